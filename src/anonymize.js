@@ -0,0 +1,137 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { FIELD_MNEMONICS, ANONYMIZED_FIELDS, STATE_CODES, RS, US } from './constants.js';
+import { ValidationError } from './errors.js';
+import { getField, setField, deleteField } from './fields.js';
+import { parseType2Demographics } from './eft-parser.js';
+import { parseTransactionHeader } from './transaction-header.js';
+
+const LAST_NAMES = ['SMITH', 'JOHNSON', 'WILLIAMS', 'BROWN', 'JONES', 'MILLER', 'DAVIS', 'WILSON', 'TAYLOR', 'CLARK'];
+const FIRST_NAMES = ['ALEX', 'JORDAN', 'TAYLOR', 'MORGAN', 'CASEY', 'RILEY', 'JAMIE', 'AVERY', 'QUINN', 'DREW'];
+const STREETS = ['MAIN', 'OAK', 'PINE', 'MAPLE', 'CEDAR', 'ELM', 'LAKE', 'HILL'];
+
+/**
+ * Remove or replace the subject's personal data in a parsed transaction, in
+ * place. Type-2 fields are deleted (`mode: 'blank'`) or replaced by fake
+ * values of the same kind (`mode: 'pseudonymize'`): names, dates of birth and
+ * addresses get plausible stand-ins, identifiers keep their format with
+ * different digits and letters. Pseudonyms are derived from `seed` and the
+ * original value, so the same seed gives the same output; without a seed a
+ * random one is used. The demographics derived from Type-2 (`name`, `dob`,
+ * `address`, …) and `header` are rebuilt from the edited fields, so the
+ * original values are gone from `eft`. Serialize the result with writeEft.
+ * @param {Object} eft - Output of parseEft
+ * @param {Object} [options]
+ * @param {Array<string|number>} [options.fields=ANONYMIZED_FIELDS] - Type-2 fields (mnemonic, number or tag)
+ * @param {'blank'|'pseudonymize'} [options.mode='blank'] - Delete the fields or replace their values
+ * @param {string} [options.seed] - Seed for reproducible pseudonyms
+ * @param {string} [options.tcn] - New transaction control number (1.009)
+ * @param {string} [options.ori] - New originating agency identifier (1.008)
+ * @returns {Array<{ tag: string, action: 'removed'|'replaced' }>} Fields that were changed
+ * @throws {ValidationError} If the mode or a field key is invalid
+ */
+export function anonymizeEft(eft, { fields = ANONYMIZED_FIELDS, mode = 'blank', seed, tcn, ori } = {}) {
+  if (mode !== 'blank' && mode !== 'pseudonymize') {
+    throw new ValidationError(`Unknown anonymization mode: "${mode}". Use "blank" or "pseudonymize".`);
+  }
+  for (const field of fields) {
+    if (typeof field === 'string' && !/^\d+(\.\d+)?$/.test(field)
+      && !Object.values(FIELD_MNEMONICS[2]).includes(field.toUpperCase())) {
+      throw new ValidationError(`Unknown Type-2 field: "${field}"`);
+    }
+  }
+  const key = seed ?? randomBytes(16).toString('hex');
+  const changes = [];
+
+  const type2Records = eft.records.filter(r => r.recordType === 2);
+  for (const field of fields) {
+    for (const rec of type2Records) {
+      const current = getField(rec, field);
+      if (!current) continue;
+      if (mode === 'blank') {
+        deleteField(rec, current.tag);
+        changes.push({ tag: current.tag, action: 'removed' });
+      } else {
+        setField(rec, current.tag, pseudonymize(current, key));
+        changes.push({ tag: current.tag, action: 'replaced' });
+      }
+    }
+  }
+
+  for (const [mnemonic, value] of [['ORI', ori], ['TCN', tcn]]) {
+    if (value === undefined || value === null) continue;
+    changes.push({ tag: setField(eft.type1, mnemonic, value).tag, action: 'replaced' });
+  }
+
+  // Rebuild what was derived from the original values, in place so eft.type2 stays the same object
+  for (const rec of type2Records) {
+    Object.assign(rec, parseType2Demographics(rec.raw, rec.idc));
+  }
+  if (eft.header) eft.header = parseTransactionHeader(eft.type1);
+  return changes;
+}
+
+/**
+ * Fake value for one field, keeping its subfield and item structure.
+ */
+function pseudonymize(field, key) {
+  const rs = String.fromCharCode(RS);
+  const us = String.fromCharCode(US);
+  return field.subfields.map((items, s) => items.map((value, i) => {
+    if (!value) return value;
+    const rand = generator(`${key}\0${field.tag}\0${s}.${i}\0${value}`);
+    switch (field.mnemonic) {
+      case 'NAM':
+      case 'AKA':
+        return `${pick(rand, LAST_NAMES)},${pick(rand, FIRST_NAMES)}`;
+      case 'DOB':
+        return `${1940 + rand(66)}${pad2(1 + rand(12))}${pad2(1 + rand(28))}`;
+      case 'RES':
+      case 'EAD':
+        return `${100 + rand(9900)} ${pick(rand, STREETS)} ST, ANYTOWN`;
+      case 'POB':
+        return pick(rand, Object.keys(STATE_CODES));
+      case 'CTZ':
+        return 'US';
+      case 'OCP':
+        return 'UNKNOWN';
+      default:
+        return scramble(value, rand);
+    }
+  }).join(us)).join(rs);
+}
+
+/**
+ * Replace digits with digits and letters with letters, keeping punctuation.
+ */
+function scramble(value, rand) {
+  return value.replace(/[0-9]/g, () => String(rand(10)))
+    .replace(/[A-Za-z]/g, ch => {
+      const letter = String.fromCharCode(65 + rand(26));
+      return ch === ch.toLowerCase() ? letter.toLowerCase() : letter;
+    });
+}
+
+/**
+ * Deterministic integer generator: rand(n) returns 0 to n-1.
+ */
+function generator(input) {
+  let block = createHash('sha256').update(input).digest();
+  let pos = 0;
+  return (n) => {
+    if (pos + 4 > block.length) {
+      block = createHash('sha256').update(block).digest();
+      pos = 0;
+    }
+    const value = block.readUInt32BE(pos);
+    pos += 4;
+    return value % n;
+  };
+}
+
+function pick(rand, list) {
+  return list[rand(list.length)];
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
@@ -0,0 +1,55 @@
+import { subfields, items, toInt, copyFields } from './tagged-record.js';
+
+// Hex digest of a record hash reference
+const HEX_DIGEST = /^[0-9a-f]+$/i;
+
+/**
+ * Build a Type-98 information assurance record from its parsed tagged fields.
+ * Record hashes are read from the format owner-defined fields (98.200-98.899):
+ * each subfield with the items record type, IDC, algorithm and hex digest is
+ * a hash over the complete bytes of the referenced record.
+ * @param {{ fields: Object, numbered: Object, length: number }} record - Output of parseTaggedRecord
+ * @param {number} idc - IDC from the CNT entry
+ * @returns {Object} Type-98 record
+ */
+export function parseType98(record, idc) {
+  const f = record.numbered;
+
+  const hashes = [];
+  for (let num = 200; num <= 899; num++) {
+    for (const s of subfields(f[num])) {
+      const [type, refIdc, algorithm, digest] = items(s);
+      if (toInt(type) === null || toInt(refIdc) === null || !algorithm || !HEX_DIGEST.test(digest || '')) continue;
+      hashes.push({
+        field: num,
+        recordType: toInt(type),
+        idc: toInt(refIdc),
+        algorithm,
+        digest: digest.toLowerCase(),
+      });
+    }
+  }
+
+  return {
+    recordType: 98,
+    length: record.length,
+    idc,
+    formatOwner: f[3] || null,
+    formatType: f[4] || null,
+    createdAt: f[5] || null,
+    auditLog: subfields(f[900]).map(s => {
+      const [event, reason, field, date, agency, oldValue] = items(s);
+      return {
+        event: event || '',
+        reason: reason || null,
+        field: field || null,
+        date: date || null,
+        agency: agency || null,
+        oldValue: oldValue || null,
+      };
+    }),
+    revision: toInt(f[901]),
+    hashes,
+    fields: copyFields(record.fields),
+  };
+}
@@ -0,0 +1,190 @@
+import { FINGER_NAMES, COMPRESSION_TYPES, BILEVEL_COMPRESSION_TYPES, IMPRESSION_TYPES } from './constants.js';
+import { EftParseError } from './errors.js';
+
+const IMAGE_HEADER_SIZE = 18;
+const TYPE7_HEADER_SIZE = 5;
+const FGP_BYTES = 6;
+
+// FGP bytes of each parsed record, so unchanged positions keep their fill when written
+const fgpBytes = new WeakMap();
+
+// Minimum scanning resolution when ISR is 0: low-resolution records (Type-3, 5) are
+// scanned at half the 500 PPI minimum scanning resolution
+const DEFAULT_PPI = {
+  3: 250,
+  4: 500,
+  5: 250,
+  6: 500,
+};
+
+// Magic bytes of image formats commonly embedded in Type-7 records
+const IMAGE_SIGNATURES = [
+  { name: 'JPEG', extension: 'jpg', compression: 'JPEGB', magic: [0xff, 0xd8, 0xff] },
+  { name: 'PNG', extension: 'png', compression: 'PNG', magic: [0x89, 0x50, 0x4e, 0x47] },
+  { name: 'JPEG 2000', extension: 'jp2', compression: 'JP2', magic: [0x00, 0x00, 0x00, 0x0c, 0x6a, 0x50, 0x20, 0x20] },
+  { name: 'JPEG 2000', extension: 'j2k', compression: 'JP2', magic: [0xff, 0x4f, 0xff, 0x51] },
+  { name: 'WSQ', extension: 'wsq', compression: 'WSQ', magic: [0xff, 0xa0] },
+  { name: 'TIFF', extension: 'tiff', compression: null, magic: [0x49, 0x49, 0x2a, 0x00] },
+  { name: 'TIFF', extension: 'tiff', compression: null, magic: [0x4d, 0x4d, 0x00, 0x2a] },
+  { name: 'GIF', extension: 'gif', compression: null, magic: [0x47, 0x49, 0x46, 0x38] },
+  { name: 'BMP', extension: 'bmp', compression: null, magic: [0x42, 0x4d] },
+  { name: 'PDF', extension: 'pdf', compression: null, magic: [0x25, 0x50, 0x44, 0x46] },
+];
+
+/**
+ * Parse a binary image record with the fixed 18-byte header shared by
+ * Type-3 (low-res grayscale), Type-4 (high-res grayscale), Type-5 (low-res
+ * binary) and Type-6 (high-res binary) followed by image data.
+ * @param {Buffer} buf - Raw EFT file data
+ * @param {number} offset - Byte offset of the record
+ * @param {number|null} expectedIdc - IDC from the CNT entry, or null to skip the check
+ * @param {number} [recordType=4] - Record type (3, 4, 5 or 6)
+ * @param {number|null} [nativePpi=null] - Native scanning resolution from Type-1, used when ISR is 1
+ * @returns {Object} Binary image record
+ */
+export function parseBinaryImageRecord(buf, offset, expectedIdc, recordType = 4, nativePpi = null) {
+  const len = checkBinaryRecord(buf, offset, expectedIdc, recordType, IMAGE_HEADER_SIZE);
+  const idc = buf[offset + 4];
+  const imp = buf[offset + 5];
+  const fgpField = Buffer.from(buf.subarray(offset + 6, offset + 6 + FGP_BYTES));
+  const fingerPositions = readFingerPositions(fgpField);
+  const fgp = fingerPositions[0] ?? buf[offset + 6];
+  const isr = buf[offset + 12]; // Image scanning resolution (0 = minimum, 1 = native)
+  const hll = buf.readUInt16BE(offset + 13); // Horizontal line length (width)
+  const vll = buf.readUInt16BE(offset + 15); // Vertical line length (height)
+  const cga = buf[offset + 17]; // Compression algorithm (GCA for grayscale, BCA for binary)
+
+  const imageData = buf.subarray(offset + IMAGE_HEADER_SIZE, offset + len);
+  const bilevel = recordType === 5 || recordType === 6;
+  const compressionTable = bilevel ? BILEVEL_COMPRESSION_TYPES : COMPRESSION_TYPES;
+
+  const rec = {
+    recordType,
+    length: len,
+    idc,
+    impressionType: imp,
+    impressionName: IMPRESSION_TYPES[imp] || `Unknown (${imp})`,
+    fingerPosition: fgp,
+    fingerName: FINGER_NAMES[fgp] || `Unknown (${fgp})`,
+    fingerPositions,
+    imageScanningResolution: isr,
+    ppi: scanningPpi(isr, recordType, nativePpi),
+    width: hll,
+    height: vll,
+    bitsPerPixel: bilevel ? 1 : 8,
+    compression: cga,
+    compressionName: compressionTable[cga] || `Unknown (${cga})`,
+    imageData,
+  };
+  fgpBytes.set(rec, fgpField);
+  return rec;
+}
+
+/**
+ * The FGP bytes a binary image record was parsed from, while its
+ * `fingerPositions` still match them.
+ * @param {Object} rec - Record from parseBinaryImageRecord
+ * @returns {Buffer|null} The six FGP bytes, or null for edited or hand-built records
+ */
+export function fingerPositionBytes(rec) {
+  const bytes = fgpBytes.get(rec);
+  if (!bytes) return null;
+  const positions = readFingerPositions(bytes);
+  const unchanged = positions.length === rec.fingerPositions?.length && positions.every((p, i) => p === rec.fingerPositions[i]);
+  return unchanged ? bytes : null;
+}
+
+/**
+ * Up to six possible finger positions. Unused bytes are filled with 255, or
+ * with 0 by some writers, which is only a position (unknown finger) when first.
+ */
+function readFingerPositions(bytes) {
+  return [...bytes].filter(p => p !== 255).filter((p, i) => i === 0 || p !== 0);
+}
+
+/**
+ * Resolution of a binary image from its ISR byte: 0 is the minimum scanning
+ * resolution for the record type, 1 the native scanning resolution declared
+ * in Type-1. Any other value is undefined and leaves the resolution unknown (null).
+ */
+function scanningPpi(isr, recordType, nativePpi) {
+  if (isr === 0) return DEFAULT_PPI[recordType];
+  if (isr === 1) return nativePpi ?? DEFAULT_PPI[recordType];
+  return null;
+}
+
+/**
+ * Parse a Type-7 user-defined image record: a 4-byte length and 1-byte IDC
+ * followed by an agency-defined payload. The payload is kept opaque; when a
+ * known image format is found at its start or after a Type-4 style header,
+ * `format` and `imageData` describe the embedded image.
+ * @param {Buffer} buf - Raw EFT file data
+ * @param {number} offset - Byte offset of the record
+ * @param {number|null} expectedIdc - IDC from the CNT entry, or null to skip the check
+ * @returns {Object} Type-7 record
+ */
+export function parseType7(buf, offset, expectedIdc) {
+  const len = checkBinaryRecord(buf, offset, expectedIdc, 7, TYPE7_HEADER_SIZE);
+  const payload = buf.subarray(offset + TYPE7_HEADER_SIZE, offset + len);
+
+  let format = null;
+  let imageOffset = null;
+  for (const candidate of [0, IMAGE_HEADER_SIZE - TYPE7_HEADER_SIZE]) {
+    format = detectImageFormat(payload.subarray(candidate));
+    if (format) {
+      imageOffset = candidate;
+      break;
+    }
+  }
+
+  return {
+    recordType: 7,
+    length: len,
+    idc: buf[offset + 4],
+    payload,
+    format,
+    imageData: format ? payload.subarray(imageOffset) : null,
+  };
+}
+
+/**
+ * Identify a common image format from its leading magic bytes.
+ * @param {Buffer|Uint8Array} bytes - Candidate image data
+ * @returns {{ name: string, extension: string, compression: string|null }|null} Format, or null if unrecognized
+ */
+export function detectImageFormat(bytes) {
+  const sig = IMAGE_SIGNATURES.find(s => s.magic.every((b, i) => bytes[i] === b));
+  if (!sig) return null;
+  return { name: sig.name, extension: sig.extension, compression: sig.compression };
+}
+
+/**
+ * Validate a length-prefixed binary record and return its length.
+ * @throws {EftParseError} If the record is truncated, too short, or its IDC does not match
+ */
+function checkBinaryRecord(buf, offset, expectedIdc, recordType, headerSize) {
+  if (offset + headerSize > buf.length) {
+    throw new EftParseError(
+      `Type-${recordType} record at offset ${offset} exceeds buffer (need ${headerSize} bytes, have ${buf.length - offset})`,
+      { offset, recordType },
+    );
+  }
+  const len = buf.readUInt32BE(offset);
+  if (len < headerSize) {
+    throw new EftParseError(`Type-${recordType} record length ${len} is smaller than header size`, { offset, recordType });
+  }
+  if (offset + len > buf.length) {
+    throw new EftParseError(
+      `Type-${recordType} record at offset ${offset} exceeds buffer (claims ${len} bytes, have ${buf.length - offset})`,
+      { offset, recordType },
+    );
+  }
+  const idc = buf[offset + 4];
+  if (expectedIdc !== null && idc !== expectedIdc) {
+    throw new EftParseError(
+      `Type-${recordType} IDC mismatch at offset ${offset}: expected ${expectedIdc}, got ${idc}`,
+      { offset, recordType },
+    );
+  }
+  return len;
+}
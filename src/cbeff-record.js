@@ -0,0 +1,71 @@
+import { FINGER_NAMES, CBEFF_BIOMETRIC_TYPES, CBEFF_FORMATS } from './constants.js';
+import { subfields, items, toInt, copyFields } from './tagged-record.js';
+
+// ISO/IEC 19794-2:2005 record header: "FMR\0", version " 20\0", then the first finger view
+const ISO_MINUTIAE_MAGIC = Buffer.from('FMR\0 20\0', 'latin1');
+const ISO_MINUTIAE_FINGER_OFFSET = 24;
+
+/**
+ * Build a Type-99 CBEFF biometric data record from its parsed tagged fields.
+ * The BDB (99.999) is kept as an opaque payload; registered format owner /
+ * format type pairs are labelled from CBEFF_FORMATS.
+ * @param {{ fields: Object, numbered: Object, data: Buffer|null, length: number }} record - Output of parseTaggedRecord
+ * @param {number} idc - IDC from the CNT entry
+ * @returns {Object} Type-99 record
+ */
+export function parseType99(record, idc) {
+  const f = record.numbered;
+  const biometricType = parseHex(f[101]);
+  const formatOwner = normalizeHex(f[103]);
+  const formatType = normalizeHex(f[104]);
+  const formatKey = formatOwner && formatType ? `${formatOwner}/${formatType}` : null;
+  const bdb = record.data || Buffer.alloc(0);
+  const fingerPosition = formatKey === '0101/0001' ? isoMinutiaeFingerPosition(bdb) : null;
+
+  return {
+    recordType: 99,
+    length: record.length,
+    idc,
+    source: f[4] || null,
+    createdAt: f[5] || null,
+    headerVersion: f[100] || null,
+    biometricType,
+    biometricTypeName: biometricType === null ? null : CBEFF_BIOMETRIC_TYPES[biometricType] || `Unknown (${f[101]})`,
+    biometricSubtype: fingerPosition === null ? null : FINGER_NAMES[fingerPosition] || `Unknown (${fingerPosition})`,
+    fingerPosition,
+    quality: subfields(f[102]).map(s => {
+      const [score, vendor, product] = items(s);
+      return { score: toInt(score), vendor: vendor || '', product: product || '' };
+    }),
+    formatOwner,
+    formatType,
+    formatName: formatKey ? CBEFF_FORMATS[formatKey] || null : null,
+    bdb,
+    fields: copyFields(record.fields),
+  };
+}
+
+/**
+ * Parse a hexadecimal field value, or null if absent or malformed.
+ */
+function parseHex(value) {
+  if (!value || !/^[0-9a-f]+$/i.test(value)) return null;
+  return parseInt(value, 16);
+}
+
+/**
+ * Normalize a 4-digit hexadecimal owner/type code (e.g. "1b" → "001B").
+ */
+function normalizeHex(value) {
+  const n = parseHex(value);
+  return n === null ? null : n.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Finger position of the first finger view in an ISO/IEC 19794-2:2005 template.
+ */
+function isoMinutiaeFingerPosition(bdb) {
+  if (bdb.length <= ISO_MINUTIAE_FINGER_OFFSET) return null;
+  if (!bdb.subarray(0, ISO_MINUTIAE_MAGIC.length).equals(ISO_MINUTIAE_MAGIC)) return null;
+  return bdb[ISO_MINUTIAE_FINGER_OFFSET];
+}
@@ -0,0 +1,170 @@
+import { TextDecoder } from 'node:util';
+import { CHARACTER_SETS } from './constants.js';
+
+const STX = 0x02;
+const ETX = 0x03;
+const CSI_DIGITS = 3;
+const LATIN1_INDEX = 1;
+const UTF8_INDEX = 3;
+// Character sets for STX/ETX segments that can hold any character, most compact first
+const UNICODE_INDEXES = [UTF8_INDEX, 2, 4];
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+const utf16 = new TextDecoder('utf-16be', { fatal: true });
+
+/**
+ * Default text encoding for a transaction: UTF-8 when the Type-1 DCS field
+ * (1.015) declares it, 7-bit ASCII otherwise. Other declared character sets
+ * only apply inside STX/ETX segments.
+ * @param {Array<{ index: number|null }>} characterSets - Parsed DCS entries
+ * @returns {string} "UTF-8" or "ASCII"
+ */
+export function defaultEncoding(characterSets = []) {
+  return characterSets.some(cs => cs.index === UTF8_INDEX) ? CHARACTER_SETS[UTF8_INDEX] : CHARACTER_SETS[0];
+}
+
+/**
+ * Decode the bytes of a tagged field value. Text between STX (0x02) and ETX
+ * (0x03) starts with a three-digit character set index and is decoded with
+ * that set; everything else uses the default encoding. Bytes that are invalid
+ * for their encoding are decoded as ISO-8859-1 and the value is flagged.
+ * @param {Buffer|Uint8Array} bytes - Raw field value bytes
+ * @param {string} [encoding='ASCII'] - Default encoding (see defaultEncoding)
+ * @returns {{ text: string, valid: boolean, encodings: string[] }} Decoded text, whether every byte was valid, and the encodings used
+ */
+export function decodeText(bytes, encoding = CHARACTER_SETS[0]) {
+  let text = '';
+  let valid = true;
+  const encodings = new Set();
+
+  const append = (segment, enc) => {
+    if (segment.length === 0) return;
+    encodings.add(enc);
+    const decoded = decodeSegment(segment, enc);
+    if (decoded === null) {
+      valid = false;
+      text += Buffer.from(segment).toString('latin1');
+    } else {
+      text += decoded;
+    }
+  };
+
+  let pos = 0;
+  while (pos < bytes.length) {
+    const stx = bytes.indexOf(STX, pos);
+    if (stx === -1) {
+      append(bytes.subarray(pos), encoding);
+      break;
+    }
+    append(bytes.subarray(pos, stx), encoding);
+
+    const csi = Buffer.from(bytes.subarray(stx + 1, stx + 1 + CSI_DIGITS)).toString('latin1');
+    const etx = bytes.indexOf(ETX, stx + 1 + CSI_DIGITS);
+    const segmentEnd = etx === -1 ? bytes.length : etx;
+    const segmentEncoding = /^\d{3}$/.test(csi) ? CHARACTER_SETS[parseInt(csi, 10)] : undefined;
+    if (!segmentEncoding || etx === -1) {
+      // Unknown character set or unterminated segment: keep the bytes, flag the value
+      valid = false;
+      text += Buffer.from(bytes.subarray(stx, segmentEnd)).toString('latin1');
+    } else {
+      append(bytes.subarray(stx + 1 + CSI_DIGITS, segmentEnd), segmentEncoding);
+    }
+    pos = segmentEnd + 1;
+  }
+
+  return { text, valid, encodings: [...encodings] };
+}
+
+/**
+ * Encode a field value, the reverse of decodeText. Text is written in the
+ * default encoding; characters it cannot hold are written in STX/ETX
+ * segments, with ISO-8859-1 when every character fits and DCS declares it,
+ * otherwise the first Unicode set DCS declares (UTF-8, UTF-16, UTF-32).
+ * Without a suitable declaration ISO-8859-1 or UTF-8 is used.
+ * @param {string} text - Field value
+ * @param {string} [encoding='ASCII'] - Default encoding (see defaultEncoding)
+ * @param {Array<{ index: number|null }>} [characterSets=[]] - Parsed DCS entries
+ * @returns {Buffer} Encoded bytes
+ */
+export function encodeText(text, encoding = CHARACTER_SETS[0], characterSets = []) {
+  if (encoding === CHARACTER_SETS[UTF8_INDEX]) return Buffer.from(text, 'utf8');
+
+  const declared = characterSets.map(cs => cs.index);
+  const parts = [];
+  for (const [, plain, other] of text.matchAll(/([^\u0080-\u{10ffff}]+)|([\u0080-\u{10ffff}]+)/gu)) {
+    if (plain) {
+      parts.push(Buffer.from(plain, 'latin1'));
+      continue;
+    }
+    const latin1 = [...other].every(ch => ch.codePointAt(0) <= 0xff);
+    const candidates = latin1 ? [LATIN1_INDEX, ...UNICODE_INDEXES] : UNICODE_INDEXES;
+    const index = candidates.find(i => declared.includes(i)) ?? candidates[0];
+    parts.push(
+      Buffer.from([STX]),
+      Buffer.from(String(index).padStart(CSI_DIGITS, '0'), 'latin1'),
+      encodeSegment(other, CHARACTER_SETS[index]),
+      Buffer.from([ETX]),
+    );
+  }
+  return Buffer.concat(parts);
+}
+
+function encodeSegment(text, encoding) {
+  switch (encoding) {
+    case 'ISO-8859-1':
+      return Buffer.from(text, 'latin1');
+    case 'UTF-16':
+      return Buffer.from(text, 'utf16le').swap16();
+    case 'UTF-32': {
+      const codePoints = [...text].map(ch => ch.codePointAt(0));
+      const out = Buffer.alloc(codePoints.length * 4);
+      codePoints.forEach((cp, i) => out.writeUInt32BE(cp, i * 4));
+      return out;
+    }
+    default:
+      return Buffer.from(text, 'utf8');
+  }
+}
+
+/**
+ * Decode bytes in one character set, or return null if any byte is invalid.
+ */
+function decodeSegment(bytes, encoding) {
+  switch (encoding) {
+    case 'ASCII':
+      return bytes.every(b => b < 0x80) ? Buffer.from(bytes).toString('latin1') : null;
+    case 'ISO-8859-1':
+      return Buffer.from(bytes).toString('latin1');
+    case 'UTF-8':
+      return tryDecode(utf8, bytes);
+    case 'UTF-16':
+      return tryDecode(utf16, bytes);
+    case 'UTF-32':
+      return decodeUtf32(bytes);
+    default:
+      return null;
+  }
+}
+
+function tryDecode(decoder, bytes) {
+  try {
+    return decoder.decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Big-endian UTF-32, which TextDecoder does not support.
+ */
+function decodeUtf32(bytes) {
+  if (bytes.length % 4 !== 0) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 4) {
+    const cp = view.getUint32(i);
+    if (cp > 0x10ffff || (cp >= 0xd800 && cp <= 0xdfff)) return null;
+    text += String.fromCodePoint(cp);
+  }
+  return text;
+}
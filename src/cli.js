@@ -1,16 +1,36 @@
 #!/usr/bin/env node
 
 import { readFileSync, mkdirSync, writeFileSync } from 'node:fs';
-import { resolve, basename } from 'node:path';
+import { open } from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { resolve, basename, extname } from 'node:path';
 import { Command, Option } from 'commander';
 import pkg from '../package.json' with { type: 'json' };
 import pc from 'picocolors';
 import Table from 'cli-table3';
-import { parseEft, formatDate, titleCase } from './eft-parser.js';
-import { decodeWsq } from './wsq-decoder.js';
-import { toTiff, toPng, exportFilename } from './image-export.js';
+import { parseAllEft, groupRecords, formatDate, titleCase } from './eft-parser.js';
+import { parseEftStream } from './eft-stream.js';
+import { unwrapEft, parseWrappedEft } from './containers.js';
+import {
+  toTiff, toPng, exportFilename, exportImageRecord, photoFilename, latentFilename, irisFilename, decodeImage,
+  userDefinedFilename,
+} from './image-export.js';
+import { verifyEft } from './integrity.js';
+import { writeEft } from './eft-writer.js';
+import { anonymizeEft } from './anonymize.js';
+import { validateEft } from './validator.js';
+import { describeType2 } from './type2-fields.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+import { EftError, EftParseError, ValidationError } from './errors.js';
 import { filterRecords, formatHeight } from './helpers.js';
-import { SEX_CODES, EYE_COLORS, HAIR_COLORS } from './constants.js';
+import { SEX_CODES, EYE_COLORS, HAIR_COLORS, TRANSACTION_TYPES, ANONYMIZED_FIELDS } from './constants.js';
+
+// Impression type codes (IMPRESSION_TYPES) of rolled and plain live-scan and nonlive-scan prints
+const ROLLED_IMPRESSIONS = [1, 3];
+const PLAIN_IMPRESSIONS = [0, 2];
+
+// Type-2 fields shown in the info summary, or not worth listing
+const SUMMARY_TYPE2_FIELDS = ['LEN', 'IDC', 'NAM', 'DOB', 'SEX', 'EYE', 'HAI', 'HGT', 'WGT', 'RES', 'RFP', 'IMA', 'DPR'];
 
 function withErrorHandling(fn) {
   return async (...args) => {
@@ -50,8 +70,8 @@ program
 // view subcommand
 program
   .command('view <file>')
-  .description('Display fingerprint images in the terminal')
-  .option('-f, --finger <finger>', 'Finger position number or name (e.g. 1, right_thumb)')
+  .description('Display fingerprint, palm and latent images in the terminal')
+  .option('-f, --finger <finger>', 'Finger or palm position number, name or group (e.g. 1, right_thumb, right_full_palm, rolled)')
   .action(withErrorHandling(async (file, opts) => {
     if (!process.stdout.isTTY) {
       console.error(pc.yellow('Terminal display requires a TTY. Use "nist-fingerprint export" to save images to files.'));
@@ -63,28 +83,94 @@ program
 // export subcommand
 program
   .command('export <file>')
-  .description('Export fingerprint images as TIFF or PNG files')
+  .description('Export fingerprint, palm and latent images as TIFF or PNG files, plus any photos and iris images')
   .option('-o, --output <dir>', 'Output directory', './output')
-  .option('-f, --finger <finger>', 'Finger position number or name (e.g. 1, right_thumb)')
+  .option('-f, --finger <finger>', 'Finger or palm position number, name or group (e.g. 1, right_thumb, right_full_palm, rolled)')
   .addOption(new Option('--format <format>', 'Image format').choices(['tiff', 'png']).default('tiff'))
   .action(withErrorHandling(doExport));
 
+// verify subcommand
+program
+  .command('verify <file>')
+  .description('Check record hashes from Type-98 information assurance records')
+  .action(withErrorHandling(doVerify));
+
+// validate subcommand
+program
+  .command('validate <file>')
+  .description('Check ANSI/NIST-ITL 1-2011 conformance and agency profile rules; exits with code 1 if any error is found')
+  .option('-p, --profile <profile>', 'Agency profile id, a profile JSON file, or "none"', DEFAULT_PROFILE)
+  .option('--json', 'Print the report as JSON')
+  .action(withErrorHandling(doValidate));
+
+// anonymize subcommand
+program
+  .command('anonymize <file>')
+  .description('Remove or pseudonymize Type-2 personal data and write a new EFT file')
+  .option('-o, --output <file>', 'Output file (default: <file>-anonymized.eft)')
+  .option('--fields <list>', 'Comma-separated Type-2 fields (mnemonics, numbers or tags)', ANONYMIZED_FIELDS.join(','))
+  .option('--pseudonymize', 'Replace values with fake names, dates and identifiers instead of removing them')
+  .option('--seed <seed>', 'Seed for reproducible pseudonyms')
+  .option('--tcn <tcn>', 'New transaction control number (1.009)')
+  .option('--ori <ori>', 'New originating agency identifier (1.008)')
+  .action(withErrorHandling(doAnonymize));
+
 program.parse();
 
 // ---- Commands ----
 
-function showInfo(filePath) {
-  const absPath = resolve(filePath);
-  const buf = readFileSync(absPath);
-  const eft = parseEft(buf);
-  const t2 = eft.type2;
+// Binary (Type-3 to 6) and Type-14 records share the same shape and are listed together
+function fingerprintRecords(eft) {
+  return [...eft.type3Records, ...eft.type4Records, ...eft.type5Records, ...eft.type6Records, ...eft.type14Records];
+}
 
-  const fileName = basename(absPath);
+// Fingerprints and palms matching --finger, followed by latents when no filter is given
+function frictionRidgeImages(eft, finger) {
+  const latents = finger ? [] : eft.type13Records;
+  return [...filterRecords([...fingerprintRecords(eft), ...eft.type15Records], finger), ...latents];
+}
 
-  console.log();
-  console.log(pc.bold(`EFT Fingerprint File: ${fileName}`));
-  console.log();
+// e.g. "zip prints/a.eft.gz › gzip a.eft"
+function containerLabel(containers) {
+  return containers.map(c => [c.type, c.name ?? (c.offset > 0 ? `at ${c.offset}` : null)].filter(Boolean).join(' ')).join(' › ');
+}
+
+// Commands that write a new EFT accept one EFT file, possibly in a container
+function readEftFile(absPath) {
+  const files = unwrapEft(readFileSync(absPath));
+  if (files.length > 1) {
+    throw new ValidationError(`${basename(absPath)} contains ${files.length} EFT files; extract them to write each one`);
+  }
+  return files[0].data;
+}
+
+// The bytes of every transaction in the input, for commands that check them;
+// data after the last transaction stays with it so that it is reported
+function readTransactionBuffers(absPath) {
+  return unwrapEft(readFileSync(absPath)).flatMap(({ data, containers }) => {
+    const transactions = parseAllEft(data, { strict: false });
+    return transactions.map((eft, i) => {
+      const end = i === transactions.length - 1 ? data.length : eft.offset + eft.length;
+      return { containers, offset: eft.offset, length: eft.length, data: data.subarray(eft.offset, end) };
+    });
+  });
+}
 
+// e.g. "Transaction 2 of 3 (zip b.eft, offset 0, 1024 bytes)"
+function transactionHeading(index, count, { containers, offset, length }) {
+  const where = [containers.length > 0 ? containerLabel(containers) : null, `offset ${offset}`, `${length} bytes`];
+  return `  ${pc.bold(`Transaction ${index + 1} of ${count}`)} ${pc.dim(`(${where.filter(Boolean).join(', ')})`)}`;
+}
+
+function agencyLabel(id, name) {
+  return name ? `${name} (${id})` : id;
+}
+
+function recordLabel(rec) {
+  return rec.latent ? `Latent #${rec.idc}` : rec.fingerName;
+}
+
+function showSubject(t2) {
   const info = [];
   if (t2.fullName) info.push(['Name', pc.cyan(t2.fullName)]);
   if (t2.dob) info.push(['Date of Birth', formatDate(t2.dob)]);
@@ -102,27 +188,119 @@ function showInfo(filePath) {
     console.log(`  ${pc.dim(label.padEnd(16))} ${value}`);
   }
 
+  // Every other populated Type-2 field, labeled from the EBTS dictionary
+  const others = describeType2(t2).filter(f => !SUMMARY_TYPE2_FIELDS.includes(f.mnemonic));
+  if (others.length > 0) {
+    const fieldTable = new Table({
+      head: ['Tag', 'Field', 'Value'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+    for (const f of others) {
+      fieldTable.push([f.tag, f.name || '—', f.value]);
+    }
+    console.log();
+    console.log(fieldTable.toString());
+  }
+}
+
+async function showInfo(filePath) {
+  const absPath = resolve(filePath);
+  let transactions;
+  const handle = await open(absPath);
+  try {
+    transactions = await streamTransactions(handle);
+  } catch (err) {
+    if (!(err instanceof EftParseError)) throw err;
+    // Lenient: show what can be read and list the problems at the end
+    transactions = parseWrappedEft(readFileSync(absPath), { strict: false });
+  } finally {
+    await handle.close();
+  }
+
+  const fileName = basename(absPath);
+
+  console.log();
+  console.log(pc.bold(`EFT Fingerprint File: ${fileName}`));
+  console.log();
+
+  transactions.forEach((eft, i) => {
+    if (transactions.length > 1) {
+      console.log(transactionHeading(i, transactions.length, eft));
+      console.log();
+    }
+    showTransaction(eft);
+  });
+}
+
+function showTransaction(eft) {
+  const header = [];
+  if (eft.containers.length > 0) header.push(['Container', containerLabel(eft.containers)]);
+  const h = eft.header;
+  if (h.transactionType) {
+    const totName = TRANSACTION_TYPES[h.transactionType];
+    header.push(['Transaction', totName ? `${h.transactionType} — ${totName}` : h.transactionType]);
+  }
+  if (h.versionName) header.push(['Version', h.versionName]);
+  if (h.date) header.push(['Date', formatDate(h.date)]);
+  if (h.gmt) header.push(['GMT', h.gmt.toISOString()]);
+  if (h.priority !== null) header.push(['Priority', String(h.priority)]);
+  if (h.originatingAgency) header.push(['Originating', agencyLabel(h.originatingAgency, h.agencyNames?.originating)]);
+  if (h.destinationAgency) header.push(['Destination', agencyLabel(h.destinationAgency, h.agencyNames?.destination)]);
+  if (h.controlNumber) header.push(['TCN', h.controlNumber]);
+  if (h.controlReference) header.push(['TCR', h.controlReference]);
+  if (h.nativeResolution || h.transmittingResolution) {
+    const res = (r) => (r ? `${r.ppi} PPI` : '—');
+    header.push(['Resolution', `${res(h.nativeResolution)} native, ${res(h.transmittingResolution)} transmitted`]);
+  }
+  if (h.domain) header.push(['Domain', [h.domain.name, h.domain.version].filter(Boolean).join(' ')]);
+  if (h.characterSets.length > 0) header.push(['Character Sets', h.characterSets.map(cs => cs.name).join(', ')]);
+
+  for (const [label, value] of header) {
+    console.log(`  ${pc.dim(label.padEnd(16))} ${value}`);
+  }
+  if (header.length > 0) console.log();
+
+  // One block per subject: batches and responses may carry several Type-2 records, or none
+  eft.type2Records.forEach((t2, i) => {
+    if (eft.type2Records.length > 1) {
+      if (i > 0) console.log();
+      console.log(`  ${pc.bold(`Subject ${i + 1}`)} ${pc.dim(`(Type-2 IDC ${t2.idc})`)}`);
+    }
+    showSubject(t2);
+  });
+  if (eft.encodingIssues.length > 0) {
+    const tags = eft.encodingIssues.map(i => i.tag).join(', ');
+    console.log(`  ${pc.dim('Encoding'.padEnd(16))} ${pc.yellow(`${eft.encodingIssues.length} fields with bytes invalid for their character set`)} (${tags})`);
+  }
+
   // Fingerprints summary
-  const rolled = eft.type4Records.filter(r => r.fingerPosition <= 10).length;
-  const plain = eft.type4Records.filter(r => r.fingerPosition > 10).length;
-  const comprName = eft.type4Records[0]?.compressionName || 'Unknown';
-  const ppi = eft.type4Records[0]?.ppi || 500;
+  const fingerprints = fingerprintRecords(eft);
+  const rolled = fingerprints.filter(r => ROLLED_IMPRESSIONS.includes(r.impressionType)).length;
+  const plain = fingerprints.filter(r => PLAIN_IMPRESSIONS.includes(r.impressionType)).length;
+  // Every compression and resolution in use, e.g. "WSQ @ 500 PPI, unknown resolution"
+  const distinct = (values) => [...new Set(values)].join(', ');
+  const compressions = distinct(fingerprints.map(r => r.compressionName));
+  const resolutions = distinct(fingerprints.map(r => (r.ppi ? `${r.ppi} PPI` : 'unknown resolution')));
+  const formats = fingerprints.length > 0 ? ` — ${compressions} @ ${resolutions}` : '';
 
   console.log();
-  console.log(`  ${pc.dim('Fingerprints'.padEnd(16))} ${eft.type4Records.length} images (${rolled} rolled, ${plain} plain) — ${comprName} @ ${ppi} PPI`);
+  console.log(`  ${pc.dim('Fingerprints'.padEnd(16))} ${fingerprints.length} images (${rolled} rolled, ${plain} plain)${formats}`);
   console.log();
 
   // Fingerprint table
   const table = new Table({
-    head: ['#', 'Finger', 'Size', 'Type', 'Compression'].map(h => pc.dim(h)),
+    head: ['#', 'Finger', 'Size', 'PPI', 'Type', 'Compression'].map(h => pc.dim(h)),
     style: { head: [], border: [] },
   });
 
-  for (const rec of eft.type4Records) {
+  for (const rec of fingerprints) {
+    // A record may list several possible positions when the finger is uncertain
+    const positions = rec.fingerPositions?.length > 1 ? rec.fingerPositions.join(', ') : rec.fingerPosition;
     table.push([
-      rec.fingerPosition,
+      positions,
       rec.fingerName,
       `${rec.width}x${rec.height}`,
+      rec.ppi || '—',
       rec.impressionName,
       rec.compressionName,
     ]);
@@ -130,64 +308,562 @@ function showInfo(filePath) {
 
   console.log(table.toString());
   console.log();
+
+  if (eft.type9Records.length > 0) {
+    console.log(`  ${pc.dim('Minutiae'.padEnd(16))} ${eft.type9Records.length} records`);
+    console.log();
+
+    const minutiaeTable = new Table({
+      head: ['IDC', 'Finger', 'Format', 'Minutiae', 'Cores', 'Deltas', 'Image'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+
+    for (const rec of eft.type9Records) {
+      minutiaeTable.push([
+        rec.idc,
+        rec.fingerName || '—',
+        rec.format,
+        rec.minutiae.length,
+        rec.cores.length,
+        rec.deltas.length,
+        rec.linkedRecord ? `Type-${rec.linkedRecord.recordType} #${rec.linkedRecord.idc}` : '—',
+      ]);
+    }
+
+    console.log(minutiaeTable.toString());
+    console.log();
+  }
+
+  if (eft.type10Records.length > 0) {
+    console.log(`  ${pc.dim('Photos'.padEnd(16))} ${eft.type10Records.length} images`);
+    console.log();
+
+    const photoTable = new Table({
+      head: ['IDC', 'Type', 'Size', 'Pose', 'Date', 'Compression'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+
+    for (const rec of eft.type10Records) {
+      const smt = rec.smt?.descriptors.map(d => d.codeName).join(', ');
+      photoTable.push([
+        rec.idc,
+        smt ? `${rec.imageTypeName} (${smt})` : rec.imageTypeName,
+        `${rec.width}x${rec.height}`,
+        rec.poseName || '—',
+        rec.photoDate ? formatDate(rec.photoDate) : '—',
+        rec.compressionName,
+      ]);
+    }
+
+    console.log(photoTable.toString());
+    console.log();
+  }
+
+  if (eft.type15Records.length > 0) {
+    console.log(`  ${pc.dim('Palms'.padEnd(16))} ${eft.type15Records.length} images`);
+    console.log();
+
+    const palmTable = new Table({
+      head: ['#', 'Palm', 'Size', 'Type', 'Compression'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+
+    for (const rec of eft.type15Records) {
+      palmTable.push([
+        rec.fingerPosition,
+        rec.fingerName,
+        `${rec.width}x${rec.height}`,
+        rec.impressionName,
+        rec.compressionName,
+      ]);
+    }
+
+    console.log(palmTable.toString());
+    console.log();
+  }
+
+  if (eft.type17Records.length > 0) {
+    console.log(`  ${pc.dim('Iris'.padEnd(16))} ${eft.type17Records.length} images`);
+    console.log();
+
+    const irisTable = new Table({
+      head: ['IDC', 'Eye', 'Size', 'Compression', 'Device'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+
+    for (const rec of eft.type17Records) {
+      const device = rec.device ? [rec.device.make, rec.device.model].filter(Boolean).join(' ') : '';
+      irisTable.push([
+        rec.idc,
+        rec.eyeName,
+        `${rec.width}x${rec.height}`,
+        rec.compressionName,
+        device || '—',
+      ]);
+    }
+
+    console.log(irisTable.toString());
+    console.log();
+  }
+
+  if (eft.type13Records.length > 0) {
+    console.log(`  ${pc.dim('Latents'.padEnd(16))} ${eft.type13Records.length} images`);
+    console.log();
+
+    const latentTable = new Table({
+      head: ['IDC', 'Label', 'Positions', 'Size', 'Type', 'Compression'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+
+    for (const rec of eft.type13Records) {
+      latentTable.push([
+        rec.idc,
+        pc.yellow('latent'),
+        rec.fingerPositions.join(', ') || '—',
+        `${rec.width}x${rec.height}`,
+        rec.impressionName,
+        rec.compressionName,
+      ]);
+    }
+
+    console.log(latentTable.toString());
+    console.log();
+  }
+
+  if (eft.type7Records.length > 0) {
+    console.log(`  ${pc.dim('User-defined'.padEnd(16))} ${eft.type7Records.length} records`);
+    console.log();
+
+    const userTable = new Table({
+      head: ['IDC', 'Size', 'Format'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+
+    for (const rec of eft.type7Records) {
+      userTable.push([
+        rec.idc,
+        `${rec.payload.length} bytes`,
+        rec.format?.name || 'Unknown',
+      ]);
+    }
+
+    console.log(userTable.toString());
+    console.log();
+  }
+
+  if (eft.type99Records.length > 0) {
+    console.log(`  ${pc.dim('CBEFF'.padEnd(16))} ${eft.type99Records.length} records`);
+    console.log();
+
+    const cbeffTable = new Table({
+      head: ['IDC', 'Biometric', 'Format', 'Quality', 'Size'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+
+    for (const rec of eft.type99Records) {
+      const biometric = [rec.biometricTypeName, rec.biometricSubtype].filter(Boolean).join(' — ');
+      cbeffTable.push([
+        rec.idc,
+        biometric || '—',
+        rec.formatName || `${rec.formatOwner ?? '?'}/${rec.formatType ?? '?'}`,
+        rec.quality.map(q => q.score).join(', ') || '—',
+        `${rec.bdb.length} bytes`,
+      ]);
+    }
+
+    console.log(cbeffTable.toString());
+    console.log();
+  }
+
+  if (eft.type98Records.length > 0) {
+    console.log(`  ${pc.dim('Assurance'.padEnd(16))} ${eft.type98Records.length} records`);
+    console.log();
+
+    const iaTable = new Table({
+      head: ['IDC', 'Format Owner', 'Format Type', 'Hashes', 'Audit Log'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+
+    for (const rec of eft.type98Records) {
+      iaTable.push([
+        rec.idc,
+        rec.formatOwner || '—',
+        rec.formatType || '—',
+        rec.hashes.length,
+        rec.auditLog.length,
+      ]);
+    }
+
+    console.log(iaTable.toString());
+    console.log();
+  }
+
+  if (eft.warnings.length > 0) {
+    console.log(`  ${pc.dim('Warnings'.padEnd(16))} ${pc.yellow(`${eft.warnings.length} problems found`)}`);
+    console.log();
+    for (const w of eft.warnings) {
+      const where = [`Type-${w.recordType}`, w.idc !== null ? `IDC ${w.idc}` : null, w.tag, `offset ${w.offset}`].filter(Boolean).join(', ');
+      console.log(`  ${pc.yellow('!')} ${w.message} ${pc.dim(`(${where})`)}`);
+    }
+    console.log();
+  }
+}
+
+function doVerify(filePath) {
+  const absPath = resolve(filePath);
+  const transactions = readTransactionBuffers(absPath);
+
+  console.log();
+  let failed = false;
+  transactions.forEach((transaction, i) => {
+    if (transactions.length > 1) {
+      console.log(transactionHeading(i, transactions.length, transaction));
+      console.log();
+    }
+    if (!showVerification(verifyEft(transaction.data))) failed = true;
+  });
+  if (failed) process.exitCode = 1;
+}
+
+// Prints one transaction's hash results and returns whether they all verified
+function showVerification({ valid, results }) {
+  const statusColors = {
+    match: pc.green,
+    mismatch: pc.red,
+    missing: pc.red,
+    unsupported: pc.yellow,
+    unreferenced: pc.dim,
+  };
+  const table = new Table({
+    head: ['Record', 'IDC', 'Algorithm', 'Status'].map(h => pc.dim(h)),
+    style: { head: [], border: [] },
+  });
+  for (const r of results) {
+    table.push([`Type-${r.recordType}`, r.idc, r.algorithm || '—', statusColors[r.status](r.status)]);
+  }
+  console.log(table.toString());
+  console.log();
+
+  const checked = results.filter(r => r.status !== 'unreferenced').length;
+  if (checked === 0) {
+    console.log(`  ${pc.yellow('No record hashes found')} — the file has no Type-98 hash references`);
+  } else if (valid) {
+    console.log(`  ${pc.green('OK')} ${checked} record hashes verified`);
+  } else {
+    console.log(`  ${pc.red('FAILED')} ${results.filter(r => r.status !== 'match' && r.status !== 'unreferenced').length} of ${checked} record hashes did not verify`);
+  }
+  console.log();
+  return valid;
 }
 
-async function showView(filePath, opts) {
+function doValidate(filePath, opts) {
+  const absPath = resolve(filePath);
+  const profile = opts.profile === 'none' ? null
+    : extname(opts.profile) === '.json' ? JSON.parse(readFileSync(resolve(opts.profile), 'utf8'))
+    : opts.profile;
+  const transactions = readTransactionBuffers(absPath);
+  const reports = transactions.map(({ data }) => validateEft(data, { profile }));
+  if (reports.some(r => !r.valid)) process.exitCode = 1;
+
+  if (opts.json) {
+    const file = { file: basename(absPath), profile: profile?.id ?? profile };
+    // A file with several transactions gets one report per transaction
+    const json = reports.length === 1 ? { ...file, ...reports[0] } : {
+      ...file,
+      valid: reports.every(r => r.valid),
+      transactions: reports.map((report, i) => ({ offset: transactions[i].offset, containers: transactions[i].containers, ...report })),
+    };
+    console.log(JSON.stringify(json, null, 2));
+    return;
+  }
+
+  console.log();
+  reports.forEach((report, i) => {
+    if (reports.length > 1) {
+      console.log(transactionHeading(i, reports.length, transactions[i]));
+      console.log();
+    }
+    showReport(report);
+  });
+}
+
+function showReport(report) {
+  if (report.issues.length > 0) {
+    const table = new Table({
+      head: ['Severity', 'Record', 'Field', 'Rule', 'Problem'].map(h => pc.dim(h)),
+      style: { head: [], border: [] },
+    });
+    for (const issue of report.issues) {
+      const record = issue.idc !== null ? `Type-${issue.recordType} (IDC ${issue.idc})` : `Type-${issue.recordType}`;
+      const severity = issue.severity === 'error' ? pc.red(issue.severity) : pc.yellow(issue.severity);
+      table.push([severity, record, issue.tag || '—', issue.rule, issue.message]);
+    }
+    console.log(table.toString());
+    console.log();
+  }
+
+  if (report.valid) {
+    console.log(`  ${pc.green('OK')} no conformance errors${report.warnings ? ` (${report.warnings} warnings)` : ''}`);
+  } else {
+    console.log(`  ${pc.red('FAILED')} ${report.errors} errors, ${report.warnings} warnings`);
+  }
+  console.log();
+}
+
+function doAnonymize(filePath, opts) {
   const absPath = resolve(filePath);
-  const buf = readFileSync(absPath);
-  const eft = parseEft(buf);
+  // Every transaction is anonymized and written back, in order
+  const transactions = parseAllEft(readEftFile(absPath));
+  if (opts.tcn && transactions.length > 1) {
+    throw new ValidationError(`--tcn sets a single transaction control number but ${basename(absPath)} holds ${transactions.length} transactions`);
+  }
+  const changes = transactions.map(eft => anonymizeEft(eft, {
+    fields: opts.fields.split(',').map(f => f.trim()).filter(Boolean),
+    mode: opts.pseudonymize ? 'pseudonymize' : 'blank',
+    seed: opts.seed,
+    tcn: opts.tcn,
+    ori: opts.ori,
+  }));
 
-  const records = filterRecords(eft.type4Records, opts.finger);
+  const outPath = resolve(opts.output || `${basename(absPath, extname(absPath))}-anonymized.eft`);
+  writeFileSync(outPath, Buffer.concat(transactions.map(eft => writeEft(eft))));
 
+  console.log();
+  changes.forEach((transactionChanges, i) => {
+    if (transactions.length > 1) {
+      console.log(transactionHeading(i, transactions.length, { ...transactions[i], containers: [] }));
+    }
+    for (const { tag, action } of transactionChanges) {
+      console.log(`  ${pc.dim(tag.padEnd(8))} ${action}`);
+    }
+  });
+  const total = changes.flat().length;
+  if (total === 0) console.log(`  ${pc.yellow('No personal data fields found')}`);
+  console.log();
+  const scope = transactions.length > 1 ? ` in ${transactions.length} transactions` : '';
+  console.log(`  ${pc.green('Done!')} ${total} fields changed${scope}, written to ${pc.cyan(outPath)}`);
+  console.log();
+}
+
+async function showView(filePath, opts) {
+  const absPath = resolve(filePath);
+  const handle = await open(absPath);
+  try {
+    await viewTransactions(await streamTransactions(handle), opts);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function viewTransactions(transactions, opts) {
   // Dynamic import since terminal-image is ESM-only
   const termImg = await import('terminal-image');
 
-  for (const rec of records) {
-    console.log();
-    console.log(pc.bold(`${rec.fingerName} (${rec.width}x${rec.height})`));
-
-    const decoded = decodeWsq(rec.imageData);
-    const pngBuf = await toPng(decoded.pixels, decoded.width, decoded.height);
-    const rendered = await termImg.default.buffer(pngBuf, {
-      width: '50%',
-      preserveAspectRatio: true,
-    });
-    console.log(rendered);
+  for (const { eft, number, records } of matchingImages(transactions, opts.finger)) {
+    if (transactions.length > 1) {
+      console.log();
+      console.log(transactionHeading(number - 1, transactions.length, eft));
+    }
+    for (const rec of records) {
+      console.log();
+      const title = rec.latent ? `${recordLabel(rec)} — ${rec.impressionName}` : rec.fingerName;
+      console.log(pc.bold(`${title} (${rec.width}x${rec.height})`));
+
+      let decoded;
+      try {
+        decoded = await decodeImage(await withImageData(rec));
+      } catch (err) {
+        if (!(err instanceof EftError)) throw err;
+        console.log(pc.yellow(`Skipped: ${err.message}`));
+        continue;
+      }
+      const pngBuf = await toPng(decoded.pixels, decoded.width, decoded.height);
+      const rendered = await termImg.default.buffer(pngBuf, {
+        width: '50%',
+        preserveAspectRatio: true,
+      });
+      console.log(rendered);
+    }
   }
 }
 
 async function doExport(filePath, opts) {
   const absPath = resolve(filePath);
-  const buf = readFileSync(absPath);
-  const eft = parseEft(buf);
+  const handle = await open(absPath);
+  try {
+    await exportTransactions(await streamTransactions(handle), opts);
+  } finally {
+    await handle.close();
+  }
+}
 
-  const records = filterRecords(eft.type4Records, opts.finger);
-  const format = opts.format.toLowerCase();
+// Every transaction in an open file, in parseEft's shape. Images are read from
+// the file one at a time instead of loading it whole (see withImageData), while
+// containers are unwrapped in memory.
+async function streamTransactions(handle) {
+  const { buffer } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+  if (buffer.toString('latin1') === '1.') {
+    return readTransactions(handle, [], (await handle.stat()).size);
+  }
+  const transactions = [];
+  for (const { data, containers } of unwrapEft(await handle.readFile())) {
+    transactions.push(...await readTransactions(Readable.from([data]), containers, data.length));
+  }
+  return transactions;
+}
+
+// Records from parseEftStream grouped by transaction into parseEft's per-type lists
+async function readTransactions(source, containers, size) {
+  const transactions = [];
+  for await (const rec of parseEftStream(source)) {
+    if (rec.recordType === 1) {
+      transactions.push({
+        containers,
+        type1: rec.fields,
+        header: rec.header,
+        records: [],
+        warnings: [...rec.warnings],
+        encodingIssues: [...rec.encodingIssues],
+        offset: rec.offset,
+        length: rec.length,
+      });
+      continue;
+    }
+    const eft = transactions.at(-1);
+    eft.records.push(rec);
+    eft.warnings.push(...rec.warnings);
+    eft.encodingIssues.push(...rec.encodingIssues);
+    eft.length = rec.offset + rec.length - eft.offset;
+  }
+  for (const eft of transactions) Object.assign(eft, groupRecords(eft.records));
+
+  // parseEftStream stops at the first bytes that do not start another transaction
+  const last = transactions.at(-1);
+  const end = last.offset + last.length;
+  if (end < size) {
+    const message = `${size - end} bytes of unrecognized data follow the transaction`;
+    last.warnings.push({ code: 'trailing-data', message, offset: end, recordType: 1, idc: null, tag: null });
+  }
+  return transactions;
+}
+
+// Images of each transaction matching --finger, skipping transactions without a match
+function matchingImages(transactions, finger) {
+  const matches = [];
+  let noMatch = null;
+  transactions.forEach((eft, i) => {
+    try {
+      matches.push({ eft, number: i + 1, records: frictionRidgeImages(eft, finger) });
+    } catch (err) {
+      // --finger only has to match in one of the transactions
+      if (transactions.length === 1 || !(err instanceof ValidationError)) throw err;
+      noMatch ??= err;
+    }
+  });
+  if (matches.length === 0) throw noMatch;
+  return matches;
+}
+
+async function exportTransactions(transactions, opts) {
   const outDir = resolve(opts.output);
 
-  mkdirSync(outDir, { recursive: true });
+  // Each transaction of a multi-transaction file is exported to its own subdirectory
+  const multiple = transactions.length > 1;
+  const exports = matchingImages(transactions, opts.finger).map(e => ({
+    ...e,
+    dir: multiple ? resolve(outDir, transactionDirname(e.number - 1)) : outDir,
+  }));
 
   console.log();
+  let total = 0;
+  for (const { eft, number, dir, records } of exports) {
+    if (multiple) {
+      const source = eft.containers.length > 0 ? `${containerLabel(eft.containers)} ` : '';
+      console.log(`  ${pc.bold(`Transaction ${number} of ${transactions.length}`)} ${pc.dim(`${source}→ ${basename(dir)}`)}`);
+    }
+    total += await exportTransaction(eft, records, dir, opts);
+  }
+  console.log();
+  console.log(`  ${pc.green('Done!')} ${total} images exported to ${pc.cyan(outDir)}`);
+  console.log();
+}
+
+// Stream records leave their image data in the file until it is needed
+async function withImageData(rec) {
+  return { ...rec, imageData: await rec.loadImageData() };
+}
+
+// e.g. transaction-01
+function transactionDirname(index) {
+  return `transaction-${String(index + 1).padStart(2, '0')}`;
+}
+
+// Records sharing a position (e.g. a rolled Type-4 and a plain Type-14 of the same
+// finger) would share a file name; later ones get their record type and IDC added
+function uniqueFilename(filename, rec, taken) {
+  let name = filename;
+  if (taken.has(name)) {
+    const ext = extname(filename);
+    name = `${basename(filename, ext)}-type${rec.recordType}-${String(rec.idc).padStart(2, '0')}${ext}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+// Writes one transaction's images to outDir and returns how many were written
+async function exportTransaction(eft, records, outDir, opts) {
+  const format = opts.format.toLowerCase();
+
+  mkdirSync(outDir, { recursive: true });
+
+  let written = 0;
+  const filenames = new Set();
   for (let i = 0; i < records.length; i++) {
     const rec = records[i];
     const progress = pc.dim(`[${i + 1}/${records.length}]`);
-    process.stdout.write(`  ${progress} Decoding ${rec.fingerName}...`);
+    process.stdout.write(`  ${progress} Decoding ${recordLabel(rec)}...`);
 
-    const decoded = decodeWsq(rec.imageData);
-    const filename = exportFilename(rec.fingerPosition, format);
+    // Formats that cannot be decoded are skipped, not the whole export
+    let decoded;
+    try {
+      decoded = await decodeImage(await withImageData(rec));
+    } catch (err) {
+      if (!(err instanceof EftError)) throw err;
+      process.stdout.write(` ${pc.yellow('skipped')} ${pc.dim(err.message)}\n`);
+      continue;
+    }
+    const filename = uniqueFilename(rec.latent ? latentFilename(rec, format) : exportFilename(rec.fingerPosition, format), rec, filenames);
     const outPath = resolve(outDir, filename);
 
     let imgBuf;
     if (format === 'png') {
       imgBuf = await toPng(decoded.pixels, decoded.width, decoded.height);
     } else {
-      imgBuf = await toTiff(decoded.pixels, decoded.width, decoded.height, rec.ppi);
+      imgBuf = await toTiff(decoded.pixels, decoded.width, decoded.height, rec.ppi || undefined);
     }
 
     writeFileSync(outPath, imgBuf);
+    written++;
     process.stdout.write(` ${pc.green('saved')} ${pc.dim(filename)}\n`);
   }
-  console.log();
-  console.log(`  ${pc.green('Done!')} ${records.length} images exported to ${pc.cyan(outDir)}`);
-  console.log();
+
+  // Photos and iris images are written in their native format; skipped when filtering by finger
+  const passthrough = opts.finger ? [] : [...eft.type10Records, ...eft.type17Records];
+  for (const rec of passthrough) {
+    const { buffer, extension } = await exportImageRecord(await withImageData(rec));
+    const isIris = rec.recordType === 17;
+    const filename = isIris ? irisFilename(rec, extension) : photoFilename(rec, extension);
+    writeFileSync(resolve(outDir, filename), buffer);
+    const tag = pc.dim(isIris ? '[iris]' : '[photo]');
+    console.log(`  ${tag} ${isIris ? rec.eyeName : rec.imageTypeName} ${pc.green('saved')} ${pc.dim(filename)}`);
+  }
+
+  // Type-7 payloads are written as-is: the embedded image when one is recognized, otherwise the raw bytes
+  const userDefined = opts.finger ? [] : eft.type7Records;
+  for (const rec of userDefined) {
+    const filename = userDefinedFilename(rec);
+    writeFileSync(resolve(outDir, filename), rec.imageData || rec.payload);
+    console.log(`  ${pc.dim('[user-defined]')} ${rec.format?.name || 'Unknown format'} ${pc.green('saved')} ${pc.dim(filename)}`);
+  }
+  return written + passthrough.length + userDefined.length;
 }
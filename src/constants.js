@@ -4,8 +4,9 @@ export const GS = 0x1d; // Group Separator — separates fields
 export const RS = 0x1e; // Record Separator — separates subfields
 export const US = 0x1f; // Unit Separator — separates information items
 
-// Finger position names (ANSI/NIST standard)
+// Finger position names (ANSI/NIST-ITL 1-2011 Table 8)
 export const FINGER_NAMES = {
+  0: 'Unknown Finger',
   1: 'Right Thumb',
   2: 'Right Index',
   3: 'Right Middle',
@@ -20,10 +21,27 @@ export const FINGER_NAMES = {
   12: 'Plain Left Thumb',
   13: 'Plain Right Four',
   14: 'Plain Left Four',
+  15: 'Plain Thumbs',
+  16: 'Right Extra Digit',
+  17: 'Left Extra Digit',
+  18: 'Unknown Friction Ridge',
+  19: 'EJI or Tip',
+  40: 'Right Index/Middle',
+  41: 'Right Middle/Ring',
+  42: 'Right Ring/Little',
+  43: 'Left Index/Middle',
+  44: 'Left Middle/Ring',
+  45: 'Left Ring/Little',
+  46: 'Right Index/Left Index',
+  47: 'Right Index/Middle/Ring',
+  48: 'Right Middle/Ring/Little',
+  49: 'Left Index/Middle/Ring',
+  50: 'Left Middle/Ring/Little',
 };
 
 // Slug aliases for CLI finger selection
 export const FINGER_ALIASES = {
+  unknown_finger: 0,
   right_thumb: 1,
   right_index: 2,
   right_middle: 3,
@@ -38,10 +56,38 @@ export const FINGER_ALIASES = {
   plain_left_thumb: 12,
   plain_right_four: 13,
   plain_left_four: 14,
+  plain_thumbs: 15,
+  right_extra_digit: 16,
+  left_extra_digit: 17,
+  unknown_friction_ridge: 18,
+  eji: 19,
+  right_index_middle: 40,
+  right_middle_ring: 41,
+  right_ring_little: 42,
+  left_index_middle: 43,
+  left_middle_ring: 44,
+  left_ring_little: 45,
+  right_index_left_index: 46,
+  right_index_middle_ring: 47,
+  right_middle_ring_little: 48,
+  left_index_middle_ring: 49,
+  left_middle_ring_little: 50,
+};
+
+// Aliases for CLI selection of several positions at once
+export const FINGER_GROUPS = {
+  rolled: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  plain: [11, 12, 13, 14, 15, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50],
+  thumbs: [1, 6, 11, 12, 15],
+  right_slap: [13, 40, 41, 42, 47, 48],
+  left_slap: [14, 43, 44, 45, 49, 50],
+  right_hand: [1, 2, 3, 4, 5, 11, 13, 40, 41, 42, 47, 48],
+  left_hand: [6, 7, 8, 9, 10, 12, 14, 43, 44, 45, 49, 50],
 };
 
 // File name slugs for export
 export const FINGER_SLUGS = {
+  0: 'unknown-finger',
   1: 'right-thumb',
   2: 'right-index',
   3: 'right-middle',
@@ -56,6 +102,91 @@ export const FINGER_SLUGS = {
   12: 'plain-left-thumb',
   13: 'plain-right-four',
   14: 'plain-left-four',
+  15: 'plain-thumbs',
+  16: 'right-extra-digit',
+  17: 'left-extra-digit',
+  18: 'unknown-friction-ridge',
+  19: 'eji',
+  40: 'right-index-middle',
+  41: 'right-middle-ring',
+  42: 'right-ring-little',
+  43: 'left-index-middle',
+  44: 'left-middle-ring',
+  45: 'left-ring-little',
+  46: 'right-index-left-index',
+  47: 'right-index-middle-ring',
+  48: 'right-middle-ring-little',
+  49: 'left-index-middle-ring',
+  50: 'left-middle-ring-little',
+};
+
+// Palm position codes (ANSI/NIST standard, Type-15 FGP)
+export const PALM_NAMES = {
+  20: 'Unknown Palm',
+  21: 'Right Full Palm',
+  22: "Right Writer's Palm",
+  23: 'Left Full Palm',
+  24: "Left Writer's Palm",
+  25: 'Right Lower Palm',
+  26: 'Right Upper Palm',
+  27: 'Left Lower Palm',
+  28: 'Left Upper Palm',
+  29: 'Right Other',
+  30: 'Left Other',
+  31: 'Right Interdigital',
+  32: 'Right Thenar',
+  33: 'Right Hypothenar',
+  34: 'Left Interdigital',
+  35: 'Left Thenar',
+  36: 'Left Hypothenar',
+  37: 'Right Grasp',
+  38: 'Left Grasp',
+};
+
+// Slug aliases for CLI palm selection
+export const PALM_ALIASES = {
+  unknown_palm: 20,
+  right_full_palm: 21,
+  right_writers_palm: 22,
+  left_full_palm: 23,
+  left_writers_palm: 24,
+  right_lower_palm: 25,
+  right_upper_palm: 26,
+  left_lower_palm: 27,
+  left_upper_palm: 28,
+  right_other: 29,
+  left_other: 30,
+  right_interdigital: 31,
+  right_thenar: 32,
+  right_hypothenar: 33,
+  left_interdigital: 34,
+  left_thenar: 35,
+  left_hypothenar: 36,
+  right_grasp: 37,
+  left_grasp: 38,
+};
+
+// File name slugs for palm export
+export const PALM_SLUGS = {
+  20: 'unknown-palm',
+  21: 'right-full-palm',
+  22: 'right-writers-palm',
+  23: 'left-full-palm',
+  24: 'left-writers-palm',
+  25: 'right-lower-palm',
+  26: 'right-upper-palm',
+  27: 'left-lower-palm',
+  28: 'left-upper-palm',
+  29: 'right-other',
+  30: 'left-other',
+  31: 'right-interdigital',
+  32: 'right-thenar',
+  33: 'right-hypothenar',
+  34: 'left-interdigital',
+  35: 'left-thenar',
+  36: 'left-hypothenar',
+  37: 'right-grasp',
+  38: 'left-grasp',
 };
 
 // Sex codes (Type-2 field 2.024)
@@ -101,6 +232,29 @@ export const HAIR_COLORS = {
   XXX: 'Unknown',
 };
 
+// US state and territory codes, and Canadian province codes (NCIC; Type-2 POB)
+export const STATE_CODES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+  AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico', VI: 'U.S. Virgin Islands',
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NF: 'Newfoundland',
+  NS: 'Nova Scotia', NT: 'Northwest Territories', ON: 'Ontario', PE: 'Prince Edward Island',
+  PQ: 'Quebec', SN: 'Saskatchewan', YT: 'Yukon',
+};
+
+// Yes/no indicator codes (Type-2 RET, PPA, PHT, RAP)
+export const YES_NO_CODES = {
+  Y: 'Yes',
+  N: 'No',
+};
+
 // Compression type codes (Type-4 CGA byte)
 export const COMPRESSION_TYPES = {
   0: 'Uncompressed',
@@ -110,6 +264,12 @@ export const COMPRESSION_TYPES = {
   4: 'JPEG 2000 Lossless',
 };
 
+// Binary compression algorithm codes (Type-5/6 BCA byte)
+export const BILEVEL_COMPRESSION_TYPES = {
+  0: 'Uncompressed',
+  1: 'Facsimile (ANSI/EIA-538)',
+};
+
 // Impression type codes (Type-4 IMP byte)
 export const IMPRESSION_TYPES = {
   0: 'Live-scan plain',
@@ -122,3 +282,301 @@ export const IMPRESSION_TYPES = {
   7: 'Latent lift',
   8: 'Live-scan vertical swipe',
 };
+
+// Minutia type codes (Type-9 standard 9.012 and FBI 9.023 blocks)
+export const MINUTIA_TYPES = {
+  A: 'Ridge ending',
+  B: 'Ridge bifurcation',
+  C: 'Compound',
+  D: 'Undetermined',
+};
+
+// Minutia type codes (Type-9 INCITS 378 block, field 9.137)
+export const INCITS_MINUTIA_TYPES = {
+  0: 'Other',
+  1: 'Ridge ending',
+  2: 'Ridge bifurcation',
+};
+
+// Compression codes (tagged image records, CGA field)
+export const COMPRESSION_CODES = {
+  NONE: 'Uncompressed',
+  WSQ: 'WSQ',
+  WSQ20: 'WSQ',
+  JPEGB: 'JPEG',
+  JPEGL: 'JPEG Lossless',
+  JP2: 'JPEG 2000',
+  JP2L: 'JPEG 2000 Lossless',
+  PNG: 'PNG',
+};
+
+// Color space codes (tagged image records, CSP field)
+export const COLOR_SPACES = {
+  GRAY: 'Grayscale',
+  RGB: 'RGB',
+  SRGB: 'sRGB',
+  YCC: 'YCbCr',
+  SYCC: 'sYCC',
+};
+
+// Image type codes (Type-10 field 10.003)
+export const PHOTO_TYPES = {
+  FACE: 'Face',
+  SMT: 'Scar, mark or tattoo',
+};
+
+// Subject pose codes (Type-10 field 10.020)
+export const POSE_CODES = {
+  F: 'Full face frontal',
+  R: 'Right profile',
+  L: 'Left profile',
+  A: 'Angled',
+  D: 'Determined 3D',
+};
+
+// SMT code indicators (Type-10 field 10.042, first information item)
+export const SMT_TYPES = {
+  SCAR: 'Scar',
+  MARK: 'Mark',
+  TATTOO: 'Tattoo',
+  CHEMICAL: 'Chemical tattoo',
+  BRANDED: 'Branded tattoo',
+  CUT: 'Cut tattoo',
+};
+
+// Amputation / bandage codes (Type-14 field 14.018)
+export const AMPUTATION_CODES = {
+  XX: 'Amputated',
+  UP: 'Unable to print',
+};
+
+// Eye label codes (Type-17 field 17.003 FID)
+export const EYE_LABELS = {
+  0: 'Undefined',
+  1: 'Right Eye',
+  2: 'Left Eye',
+};
+
+// Iris boundary shape codes (Type-17 fields 17.033-17.036)
+export const IRIS_BOUNDARY_SHAPES = {
+  C: 'Circle',
+  E: 'Ellipse',
+  P: 'Polygon',
+};
+
+// CBEFF biometric type codes (Type-99 field 99.101 BTY, hexadecimal)
+export const CBEFF_BIOMETRIC_TYPES = {
+  0x000000: 'No information',
+  0x000001: 'Multiple biometrics',
+  0x000002: 'Face',
+  0x000004: 'Voice',
+  0x000008: 'Finger',
+  0x000010: 'Iris',
+  0x000020: 'Retina',
+  0x000040: 'Hand geometry',
+  0x000080: 'Signature dynamics',
+  0x000100: 'Keystroke dynamics',
+  0x000200: 'Lip movement',
+  0x000400: 'Thermal face image',
+  0x000800: 'Thermal hand image',
+  0x001000: 'Gait',
+  0x002000: 'Body odor',
+  0x004000: 'DNA',
+  0x008000: 'Ear shape',
+  0x010000: 'Finger geometry',
+  0x020000: 'Palm print',
+  0x040000: 'Vein pattern',
+  0x080000: 'Foot print',
+};
+
+// Registered CBEFF BDB formats, keyed by "<format owner>/<format type>" (Type-99 fields 99.103/99.104)
+export const CBEFF_FORMATS = {
+  '0101/0001': 'ISO/IEC 19794-2 finger minutiae',
+  '0101/0007': 'ISO/IEC 19794-4 finger image',
+  '0101/0008': 'ISO/IEC 19794-5 face image',
+  '0101/0009': 'ISO/IEC 19794-6 iris image',
+  '001B/0201': 'INCITS 378 finger minutiae',
+  '001B/0401': 'INCITS 381 finger image',
+  '001B/0501': 'INCITS 385 face image',
+  '001B/0601': 'INCITS 379 iris image',
+};
+
+/**
+ * EBTS Type-2 field dictionary, keyed by field number. `format` is one of
+ * text, numeric, date, code (looked up in `codes`), height (FMM) or weight
+ * (pounds); `partial` marks code tables that list only some of the valid
+ * codes; `repeating` fields may hold several subfields; `items` describes
+ * the information items of fields made of several parts.
+ */
+export const TYPE2_FIELDS = {
+  1: { mnemonic: 'LEN', name: 'Record Length', format: 'numeric' },
+  2: { mnemonic: 'IDC', name: 'Information Designation Character', format: 'numeric' },
+  3: { mnemonic: 'FFN', name: 'FBI File Number', format: 'text' },
+  5: { mnemonic: 'RET', name: 'Retention Code', format: 'code', codes: YES_NO_CODES },
+  6: { mnemonic: 'ATN', name: 'Attention Indicator', format: 'text' },
+  7: { mnemonic: 'SCO', name: 'Send Copy To', format: 'text', repeating: true },
+  9: { mnemonic: 'OCA', name: 'Originating Agency Case Number', format: 'text' },
+  10: {
+    mnemonic: 'CIN', name: 'Contributor Case Identifier Number', format: 'text', repeating: true,
+    items: [{ name: 'Prefix', format: 'text' }, { name: 'Identifier', format: 'text' }],
+  },
+  11: { mnemonic: 'CIX', name: 'Contributor Case Identifier Extension', format: 'numeric', repeating: true },
+  12: { mnemonic: 'LCN', name: 'FBI Latent Case Number', format: 'text' },
+  13: { mnemonic: 'LCX', name: 'FBI Latent Case Number Extension', format: 'numeric' },
+  14: { mnemonic: 'FBI', name: 'FBI Number / UCN', format: 'text', repeating: true },
+  15: { mnemonic: 'SID', name: 'State Identification Number', format: 'text' },
+  16: { mnemonic: 'SOC', name: 'Social Security Number', format: 'text', repeating: true },
+  17: { mnemonic: 'MNU', name: 'Miscellaneous Identification Number', format: 'text', repeating: true },
+  18: { mnemonic: 'NAM', name: 'Name', format: 'text' },
+  19: { mnemonic: 'AKA', name: 'Aliases', format: 'text', repeating: true },
+  // POB also takes NCIC country codes, which have no table here
+  20: { mnemonic: 'POB', name: 'Place of Birth', format: 'code', codes: STATE_CODES, partial: true },
+  21: { mnemonic: 'CTZ', name: 'Country of Citizenship', format: 'text', repeating: true },
+  22: { mnemonic: 'DOB', name: 'Date of Birth', format: 'date', repeating: true },
+  23: { mnemonic: 'AGR', name: 'Age Range', format: 'text' },
+  24: { mnemonic: 'SEX', name: 'Sex', format: 'code', codes: SEX_CODES },
+  25: { mnemonic: 'RAC', name: 'Race', format: 'code', codes: RACE_CODES },
+  26: { mnemonic: 'SMT', name: 'Scars, Marks and Tattoos', format: 'text', repeating: true },
+  27: { mnemonic: 'HGT', name: 'Height', format: 'height' },
+  28: { mnemonic: 'HTR', name: 'Height Range', format: 'text' },
+  29: { mnemonic: 'WGT', name: 'Weight', format: 'weight' },
+  31: { mnemonic: 'EYE', name: 'Eye Color', format: 'code', codes: EYE_COLORS },
+  32: { mnemonic: 'HAI', name: 'Hair Color', format: 'code', codes: HAIR_COLORS },
+  35: { mnemonic: 'PPA', name: 'Palmprints Available', format: 'code', codes: YES_NO_CODES },
+  36: { mnemonic: 'PHT', name: 'Photo Available', format: 'code', codes: YES_NO_CODES },
+  37: { mnemonic: 'RFP', name: 'Reason Fingerprinted', format: 'text' },
+  38: { mnemonic: 'DPR', name: 'Date Printed', format: 'date' },
+  39: { mnemonic: 'EAD', name: 'Employer and Address', format: 'text' },
+  40: { mnemonic: 'OCP', name: 'Occupation', format: 'text' },
+  41: { mnemonic: 'RES', name: 'Residence', format: 'text' },
+  42: { mnemonic: 'MIL', name: 'Military Code', format: 'text' },
+  43: { mnemonic: 'TSR', name: 'Type of Search Requested', format: 'text' },
+  45: { mnemonic: 'DOA', name: 'Date of Arrest', format: 'date' },
+  47: {
+    mnemonic: 'ASL', name: 'Arrest Segment Literal', format: 'text', repeating: true,
+    items: [{ name: 'Date of Offense', format: 'date' }, { name: 'Offense', format: 'text' }],
+  },
+  51: {
+    mnemonic: 'CSL', name: 'Court Segment Literal', format: 'text', repeating: true,
+    items: [{ name: 'Court Disposition Date', format: 'date' }, { name: 'Offense', format: 'text' }, { name: 'Other Provisions', format: 'text' }],
+  },
+  53: { mnemonic: 'OFC', name: 'Offense Category', format: 'text' },
+  54: { mnemonic: 'SSD', name: 'Custody or Supervisory Status Start Date', format: 'date' },
+  55: { mnemonic: 'SLE', name: 'Custody or Supervisory Status Literal', format: 'text' },
+  56: { mnemonic: 'ICO', name: 'Identification Comments', format: 'text' },
+  60: { mnemonic: 'MSG', name: 'Status / Error Message', format: 'text', repeating: true },
+  67: {
+    mnemonic: 'IMA', name: 'Image Capture Equipment', format: 'text',
+    items: [{ name: 'Make', format: 'text' }, { name: 'Model', format: 'text' }, { name: 'Serial Number', format: 'text' }],
+  },
+  70: { mnemonic: 'RAP', name: 'Request for Electronic Rap Sheet', format: 'code', codes: YES_NO_CODES },
+  71: { mnemonic: 'ACN', name: 'Action to be Taken', format: 'text' },
+  73: { mnemonic: 'CRI', name: 'Controlling Agency Identifier', format: 'text', repeating: true },
+  75: { mnemonic: 'ERS', name: 'Electronic Rap Sheet', format: 'text' },
+  84: {
+    mnemonic: 'AMP', name: 'Amputated or Bandaged', format: 'text', repeating: true,
+    items: [{ name: 'Finger', format: 'code', codes: FINGER_NAMES }, { name: 'Code', format: 'code', codes: AMPUTATION_CODES }],
+  },
+  98: { mnemonic: 'NDR', name: 'Name of Designated Repository', format: 'text', repeating: true },
+};
+
+// Field mnemonics by record type and field number, as named in ANSI/NIST-ITL
+export const FIELD_MNEMONICS = {
+  1: {
+    1: 'LEN', 2: 'VER', 3: 'CNT', 4: 'TOT', 5: 'DAT', 6: 'PRY', 7: 'DAI', 8: 'ORI',
+    9: 'TCN', 10: 'TCR', 11: 'NSR', 12: 'NTR', 13: 'DOM', 14: 'GMT', 15: 'DCS',
+    16: 'APS', 17: 'ANM', 18: 'GNS',
+  },
+  2: Object.fromEntries(Object.entries(TYPE2_FIELDS).map(([number, field]) => [number, field.mnemonic])),
+  9: {
+    1: 'LEN', 2: 'IDC', 3: 'IMP', 4: 'FMT', 5: 'OFR', 6: 'FGP', 7: 'FPC', 8: 'CRP',
+    9: 'DLT', 10: 'MIN', 11: 'RDG', 12: 'MRC',
+  },
+  10: {
+    1: 'LEN', 2: 'IDC', 3: 'IMT', 4: 'SRC', 5: 'PHD', 6: 'HLL', 7: 'VLL', 8: 'SLC',
+    9: 'THPS', 10: 'TVPS', 11: 'CGA', 12: 'CSP', 13: 'SAP', 16: 'SHPS', 17: 'SVPS',
+    20: 'POS', 21: 'POA', 40: 'SMT', 41: 'SMS', 42: 'SMD', 43: 'COL', 999: 'DATA',
+  },
+  13: {
+    1: 'LEN', 2: 'IDC', 3: 'IMP', 4: 'SRC', 5: 'LCD', 6: 'HLL', 7: 'VLL', 8: 'SLC',
+    9: 'THPS', 10: 'TVPS', 11: 'CGA', 12: 'BPX', 13: 'FGP', 14: 'SPD', 15: 'PPC',
+    16: 'SHPS', 17: 'SVPS', 20: 'COM', 24: 'LQM', 999: 'DATA',
+  },
+  14: {
+    1: 'LEN', 2: 'IDC', 3: 'IMP', 4: 'SRC', 5: 'FCD', 6: 'HLL', 7: 'VLL', 8: 'SLC',
+    9: 'THPS', 10: 'TVPS', 11: 'CGA', 12: 'BPX', 13: 'FGP', 14: 'PPD', 15: 'PPC',
+    16: 'SHPS', 17: 'SVPS', 18: 'AMP', 20: 'COM', 21: 'SEG', 22: 'NQM', 23: 'SQM',
+    24: 'FQM', 25: 'ASEG', 999: 'DATA',
+  },
+  15: {
+    1: 'LEN', 2: 'IDC', 3: 'IMP', 4: 'SRC', 5: 'PCD', 6: 'HLL', 7: 'VLL', 8: 'SLC',
+    9: 'THPS', 10: 'TVPS', 11: 'CGA', 12: 'BPX', 13: 'PLP', 16: 'SHPS', 17: 'SVPS',
+    18: 'AMP', 20: 'COM', 24: 'PQM', 999: 'DATA',
+  },
+  17: {
+    1: 'LEN', 2: 'IDC', 3: 'FID', 4: 'SRC', 5: 'ICD', 6: 'HLL', 7: 'VLL', 8: 'SLC',
+    9: 'THPS', 10: 'TVPS', 11: 'CGA', 12: 'BPX', 13: 'CSP', 14: 'RAE', 15: 'RAU',
+    16: 'IPC', 17: 'DUI', 18: 'GUI', 19: 'MMS', 20: 'ECL', 21: 'COM', 22: 'SHPS',
+    23: 'SVPS', 24: 'IQS', 26: 'IRD', 33: 'IPB', 34: 'ISB', 35: 'UEB', 36: 'LEB',
+    999: 'DATA',
+  },
+  98: {
+    1: 'LEN', 2: 'IDC', 3: 'DFO', 4: 'DFT', 5: 'ACD', 900: 'ALF', 901: 'ARN',
+  },
+  99: {
+    1: 'LEN', 2: 'IDC', 4: 'SRC', 5: 'BCD', 100: 'HDV', 101: 'BTY', 102: 'BDQ',
+    103: 'BFO', 104: 'BFT', 999: 'BDB',
+  },
+};
+
+// Type-2 fields that identify the subject, removed or replaced by anonymizeEft
+export const ANONYMIZED_FIELDS = [
+  'NAM', 'AKA', 'POB', 'CTZ', 'DOB', 'SOC', 'MNU', 'FBI', 'SID', 'OCA', 'RES', 'EAD', 'OCP',
+];
+
+// Standard version codes (Type-1 field 1.002 VER)
+export const STANDARD_VERSIONS = {
+  '0200': 'ANSI/NIST-CSL 1-1993',
+  '0201': 'ANSI/NIST-ITL 1a-1997',
+  '0300': 'ANSI/NIST-ITL 1-2000',
+  '0400': 'ANSI/NIST-ITL 1-2007',
+  '0500': 'ANSI/NIST-ITL 1-2011',
+  '0501': 'ANSI/NIST-ITL 1-2011 Update:2013',
+  '0502': 'ANSI/NIST-ITL 1-2011 Update:2015',
+};
+
+// Type of transaction codes (Type-1 field 1.004 TOT), as used by FBI EBTS
+export const TRANSACTION_TYPES = {
+  AMN: 'Amnesia Victim',
+  CAR: 'Criminal Ten-Print Submission (Answer Required)',
+  CNA: 'Criminal Ten-Print Submission (No Answer Necessary)',
+  CPDR: 'Criminal Fingerprint Direct Route',
+  CPNU: 'Criminal Fingerprint Processing Non-Urgent',
+  DEK: 'Known Deceased',
+  DEU: 'Unknown Deceased',
+  DOCE: 'Departmental Order Channeling Electronic',
+  EMUF: 'Electronic In/Manual Out User Fee',
+  ERRT: 'Tenprint Transaction Error',
+  FANC: 'Federal Applicant (No Charge)',
+  FAUF: 'Federal Applicant User Fee',
+  FNDR: 'Federal No-Charge Direct Route',
+  LFS: 'Latent Fingerprint Image Submission',
+  MAP: 'Miscellaneous Applicant Civil',
+  MPR: 'Missing Person',
+  NFAP: 'Non-Federal Advanced Payment',
+  NFUE: 'Non-Federal Applicant User Fee Expedite',
+  NFUF: 'Non-Federal Applicant User Fee',
+  NNDR: 'Non-Federal No-Charge Direct Route',
+  SRE: 'Submission Results — Electronic',
+  TPIS: 'Tenprint Fingerprint Image Search',
+  TPRS: 'Tenprint Rap Sheet Search',
+};
+
+// Character set indexes (Type-1 field 1.015 DCS, and STX/ETX text segments)
+export const CHARACTER_SETS = {
+  0: 'ASCII',
+  1: 'ISO-8859-1',
+  2: 'UTF-16',
+  3: 'UTF-8',
+  4: 'UTF-32',
+};
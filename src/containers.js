@@ -0,0 +1,176 @@
+import { gunzipSync, inflateRawSync } from 'node:zlib';
+import { EftParseError } from './errors.js';
+import { parseAllEft } from './eft-parser.js';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+// End of central directory record without its comment, which may be up to 64 KiB
+const ZIP_EOCD_SIZE = 22;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// gzip header flags (RFC 1952)
+const GZIP_FEXTRA = 0x04;
+const GZIP_FNAME = 0x08;
+
+// Base64 text of an EFT ("1."), a gzip stream or a zip archive; JSON may escape "/" as "\/"
+const BASE64_BLOCK = /(?:MS4|H4sI|UEsDB)(?:[A-Za-z0-9+/=\s]|\\\/)*/g;
+
+// Containers nested deeper than this are not opened
+const MAX_DEPTH = 8;
+
+/**
+ * Find the EFT files in a buffer that may be wrapped in containers: gzip
+ * (node:zlib), zip archives (stored or deflated entries) and base64 text,
+ * either a whole file or blocks inside a SOAP or JSON document. Containers
+ * may be nested, e.g. a base64 zip of gzipped EFTs; zip entries and base64
+ * blocks that hold no EFT are skipped.
+ * @param {Buffer|Uint8Array} buf - Raw input data
+ * @returns {Array<{ data: Buffer, containers: Array<{ type: 'gzip'|'zip'|'base64', name: string|null, offset: number }> }>}
+ *   One entry per EFT file found, in input order. `containers` lists the
+ *   wrappers around it, outermost first: `name` is the zip entry path or the
+ *   file name stored in the gzip header, `offset` where the wrapped data
+ *   starts in its parent. Input that is not wrapped is returned as is, with
+ *   no containers, so that parseEft reports what is wrong with it.
+ * @throws {EftParseError} If a container is corrupt, uses an unsupported zip feature or holds no EFT
+ */
+export function unwrapEft(buf) {
+  const data = Buffer.from(buf.buffer, buf.byteOffset, buf.length);
+  const found = unwrap(data, [], 0);
+  if (found?.length === 0) {
+    throw new EftParseError('No EFT file found in the input');
+  }
+  return found ?? [{ data, containers: [] }];
+}
+
+/**
+ * Parse every transaction of every EFT file in a possibly wrapped buffer
+ * (see unwrapEft). Each transaction is parsed like parseAllEft and has a
+ * `containers` list telling which container entry it came from.
+ * @param {Buffer|Uint8Array} buf - Raw input data
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true] - Throw on the first structural error
+ * @returns {Array<Object>} Transactions in input order
+ * @throws {EftParseError} If a container is corrupt or holds no EFT, or on a parse error as parseAllEft
+ */
+export function parseWrappedEft(buf, { strict = true } = {}) {
+  return unwrapEft(buf).flatMap(({ data, containers }) => parseAllEft(data, { strict }).map(eft => ({ ...eft, containers })));
+}
+
+/**
+ * EFT files inside `buf`, or null when it is neither an EFT nor a container.
+ */
+function unwrap(buf, containers, depth) {
+  if (isEft(buf)) return [{ data: buf, containers }];
+  if (depth === MAX_DEPTH) return null;
+
+  if (startsWith(buf, GZIP_MAGIC)) {
+    const container = { type: 'gzip', name: gzipName(buf), offset: 0 };
+    return unwrap(gunzip(buf), [...containers, container], depth + 1) ?? [];
+  }
+  if (buf.length >= 4 && buf.readUInt32LE(0) === ZIP_LOCAL_HEADER) {
+    return readZip(buf).flatMap(({ name, offset, data }) => {
+      return unwrap(data, [...containers, { type: 'zip', name, offset }], depth + 1) ?? [];
+    });
+  }
+
+  const blocks = [...buf.toString('latin1').matchAll(BASE64_BLOCK)].flatMap(match => {
+    const decoded = Buffer.from(match[0].replace(/\\|\s/g, ''), 'base64');
+    return unwrap(decoded, [...containers, { type: 'base64', name: null, offset: match.index }], depth + 1) ?? [];
+  });
+  return blocks.length > 0 ? blocks : null;
+}
+
+function isEft(buf) {
+  return buf.length >= 2 && buf[0] === 0x31 && buf[1] === 0x2e;
+}
+
+function startsWith(buf, magic) {
+  return magic.every((b, i) => buf[i] === b);
+}
+
+function gunzip(buf) {
+  try {
+    return gunzipSync(buf);
+  } catch (err) {
+    throw new EftParseError(`Invalid gzip data: ${err.message}`, { offset: 0 });
+  }
+}
+
+/**
+ * Original file name from a gzip header (FNAME), or null.
+ */
+function gzipName(buf) {
+  const flags = buf[3];
+  if (!(flags & GZIP_FNAME)) return null;
+  let pos = 10;
+  if (flags & GZIP_FEXTRA) pos += 2 + buf.readUInt16LE(pos);
+  const end = buf.indexOf(0, pos);
+  return end === -1 ? null : buf.toString('latin1', pos, end);
+}
+
+/**
+ * List the file entries of a zip archive from its central directory.
+ * Only stored and deflated entries are supported; directories are skipped.
+ * @returns {Array<{ name: string, offset: number, data: Buffer }>}
+ */
+function readZip(buf) {
+  const eocd = findEndOfDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let pos = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== ZIP_CENTRAL_HEADER) {
+      throw new EftParseError(`Corrupt zip central directory at offset ${pos}`, { offset: pos });
+    }
+    const flags = buf.readUInt16LE(pos + 8);
+    const method = buf.readUInt16LE(pos + 10);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const extraLength = buf.readUInt16LE(pos + 30);
+    const commentLength = buf.readUInt16LE(pos + 32);
+    const localOffset = buf.readUInt32LE(pos + 42);
+    // Names are UTF-8 when flag bit 11 is set, otherwise CP437, read here as Latin-1
+    const name = buf.toString(flags & 0x800 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) {
+      throw new EftParseError(`Zip entry "${name}" is encrypted`, { offset: localOffset });
+    }
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      throw new EftParseError(`Zip entry "${name}" uses ZIP64, which is not supported`, { offset: localOffset });
+    }
+    if (localOffset + 30 > buf.length || buf.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+      throw new EftParseError(`Corrupt zip local header for "${name}" at offset ${localOffset}`, { offset: localOffset });
+    }
+    // The local header repeats the name and may have its own extra field
+    const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(start, start + compressedSize);
+    entries.push({ name, offset: localOffset, data: inflateEntry(raw, method, name, localOffset) });
+  }
+  return entries;
+}
+
+function findEndOfDirectory(buf) {
+  const last = buf.length - ZIP_EOCD_SIZE;
+  for (let pos = last; pos >= Math.max(0, last - 0xffff); pos--) {
+    if (buf.readUInt32LE(pos) === ZIP_END_OF_DIRECTORY) return pos;
+  }
+  throw new EftParseError('Zip end of central directory not found; the archive may be truncated');
+}
+
+function inflateEntry(raw, method, name, offset) {
+  if (method === ZIP_STORED) return raw;
+  if (method !== ZIP_DEFLATED) {
+    throw new EftParseError(`Zip entry "${name}" uses unsupported compression method ${method}`, { offset });
+  }
+  try {
+    return inflateRawSync(raw);
+  } catch (err) {
+    throw new EftParseError(`Invalid deflate data in zip entry "${name}": ${err.message}`, { offset });
+  }
+}
@@ -1,127 +1,279 @@
-import { FS, GS, RS, US, FINGER_NAMES, COMPRESSION_TYPES, IMPRESSION_TYPES } from './constants.js';
+import { US } from './constants.js';
 import { EftParseError } from './errors.js';
+import { parseTaggedRecord, checkIdc, parseDate, copyFields } from './tagged-record.js';
+import { getField } from './fields.js';
+import { parseTransactionHeader } from './transaction-header.js';
+import { defaultEncoding } from './charset.js';
+import { parseBinaryImageRecord, parseType7 } from './binary-records.js';
+import { parseType9 } from './minutiae-record.js';
+import { parseType10, parseType13, parseType14, parseType15, parseType17 } from './image-records.js';
+import { parseType98 } from './assurance-record.js';
+import { parseType99 } from './cbeff-record.js';
 
-const TYPE4_HEADER_SIZE = 18;
+// Binary image records with the fixed 18-byte header
+export const BINARY_IMAGE_TYPES = [3, 4, 5, 6];
+
+// Tagged-field record types after Type-2, keyed by record type
+export const TAGGED_PARSERS = {
+  9: parseType9,
+  10: parseType10,
+  13: parseType13,
+  14: parseType14,
+  15: parseType15,
+  17: parseType17,
+  98: parseType98,
+  99: parseType99,
+};
+
+// Record types after Type-1 that parseEft lists by type
+const RECORD_TYPES = [2, ...BINARY_IMAGE_TYPES, 7, ...Object.keys(TAGGED_PARSERS).map(Number)];
 
 /**
  * Parse an ANSI/NIST-ITL EFT file from a Buffer.
+ * By default the first structural error throws. With `strict: false`,
+ * recoverable problems are recorded in `warnings` instead: IDC mismatches
+ * keep the record, a length field that disagrees with the FS terminator is
+ * corrected, malformed CNT entries and unsupported tagged records are skipped,
+ * and a truncated or unreadable record ends parsing with the records read so
+ * far. Problems that never stop parsing (length mismatches, unknown
+ * compression codes, a CNT count that does not match its entries) are
+ * reported in `warnings` in both modes, as are bytes left after the
+ * transaction: another transaction (`more-transactions`, see parseAllEft) or
+ * unrecognized data (`trailing-data`).
  * @param {Buffer|Uint8Array} buf - Raw EFT file data
- * @returns {{ type1: Object, type2: Object, type4Records: Array, fileSize: number }}
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true] - Throw on the first structural error
+ * @returns {{ type1: Object, header: Object, type2: Object, type2Records: Array, type3Records: Array, type4Records: Array, type5Records: Array, type6Records: Array, type7Records: Array, type9Records: Array, type10Records: Array, type13Records: Array, type14Records: Array, type15Records: Array, type17Records: Array, type98Records: Array, type99Records: Array, records: Array, layout: Array, encodingIssues: Array, warnings: Array, offset: number, length: number, fileSize: number }}
+ *   `offset` and `length` give the transaction's byte range in `buf`
+ * @throws {EftParseError} If the Type-1 record cannot be read, or on any structural error in strict mode
+ */
+export function parseEft(buf, { strict = true } = {}) {
+  const eft = parseTransaction(buf, 0, strict);
+  const end = eft.offset + eft.length;
+  if (end < buf.length && isTaggedRecordAt(buf, end, 1)) {
+    eft.warnings.push({
+      code: 'more-transactions',
+      message: `Another transaction starts at offset ${end}; use parseAllEft to read every transaction`,
+      offset: end,
+      recordType: 1,
+      idc: null,
+      tag: null,
+    });
+  }
+  return eft;
+}
+
+/**
+ * Parse every transaction in a buffer holding several EFT transactions
+ * back to back, such as an archive dump. Each transaction is parsed like
+ * parseEft; its `offset` and `length` locate it in `buf`, and its `layout`
+ * offsets are relative to the start of `buf`. Reading stops at the first
+ * bytes that do not start a Type-1 record, reported as `trailing-data` on the
+ * last transaction.
+ * @param {Buffer|Uint8Array} buf - Raw data of one or more EFT transactions
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true] - Throw on the first structural error
+ * @returns {Array<ReturnType<typeof parseEft>>} Transactions in file order
+ * @throws {EftParseError} If a Type-1 record cannot be read, or on any structural error in strict mode
  */
-export function parseEft(buf) {
+export function parseAllEft(buf, { strict = true } = {}) {
+  const transactions = [];
   let offset = 0;
+  do {
+    const eft = parseTransaction(buf, offset, strict);
+    transactions.push(eft);
+    offset += eft.length;
+  } while (offset < buf.length && isTaggedRecordAt(buf, offset, 1));
+  return transactions;
+}
+
+/**
+ * Parse the transaction whose Type-1 record starts at `start`.
+ */
+function parseTransaction(buf, start, strict) {
+  let offset = start;
+  const warnings = [];
+  const warn = (code, message, { recordType, idc = null, tag = null, offset: at = offset }) => {
+    warnings.push({ code, message, offset: at, recordType, idc, tag });
+  };
 
   // --- Type-1 Record (ASCII, GS-delimited fields, FS-terminated) ---
-  const type1 = parseAsciiRecord(buf, offset, 1);
+  const type1 = parseTaggedRecord(buf, offset, 1, { strict });
+  for (const w of type1.warnings) warn(w.code, w.message, { recordType: 1, idc: 0, tag: w.tag });
+  // Byte range of every record in file order, used for integrity checks
+  const layout = [{ type: 1, idc: 0, offset, length: type1.length }];
   offset += type1.length;
 
   // Parse CNT field (1.03) to determine subsequent records
-  const cntField = type1.fields['1.03'];
-  const recordList = parseCnt(cntField);
+  const recordList = parseCnt(getField(type1.fields, 'CNT'), strict, warn);
 
-  // --- Type-2 Record (ASCII, GS-delimited fields, FS-terminated) ---
-  const type2 = parseAsciiRecord(buf, offset, 2);
-  offset += type2.length;
+  // Later tagged records are decoded with the character set declared in DCS (1.015)
+  const header = parseTransactionHeader(type1.fields);
+  const encoding = defaultEncoding(header.characterSets);
+  const encodingIssues = type1.invalidFields.map(tag => ({ recordType: 1, idc: 0, tag, encoding: 'ASCII' }));
+  // Binary images with ISR 1 are at the native scanning resolution (1.011), or the transmitting resolution (1.012)
+  const nativePpi = header.nativeResolution?.ppi ?? header.transmittingResolution?.ppi ?? null;
 
-  // --- Type-4 Records (binary, fixed 18-byte header + image data) ---
-  const type4Records = [];
+  // Every record after Type-1, in file order
+  const records = [];
+
+  // Records follow Type-1 in CNT order; Type-2 may be absent, repeated or anywhere
+  let unreadable = false;
   for (const entry of recordList) {
-    if (entry.type === 2) continue;
-    if (entry.type !== 4) {
-      throw new EftParseError(
-        `Unsupported record type ${entry.type} (IDC ${entry.idc}). Only Type-1, Type-2, and Type-4 are supported.`,
-        { recordType: entry.type }
-      );
+    const at = { recordType: entry.type, idc: entry.idc };
+    if (!strict && offset >= buf.length) {
+      warn('truncated-record', `Type-${entry.type} record (IDC ${entry.idc}) is missing: file ends at offset ${offset}`, at);
+      break;
+    }
+
+    let rec;
+    let length;
+    try {
+      if (BINARY_IMAGE_TYPES.includes(entry.type) || entry.type === 7) {
+        // Binary: fixed 18-byte header + image data, or 5-byte header + user-defined payload
+        rec = entry.type === 7
+          ? parseType7(buf, offset, strict ? entry.idc : null)
+          : parseBinaryImageRecord(buf, offset, strict ? entry.idc : null, entry.type, nativePpi);
+        if (rec.idc !== entry.idc) {
+          warn('idc-mismatch', `Type-${entry.type} IDC mismatch: expected ${entry.idc}, got ${rec.idc}`, at);
+        }
+        length = rec.length;
+      } else if (entry.type === 2 || TAGGED_PARSERS[entry.type]) {
+        // Tagged fields, optional binary image data in T.999
+        const record = parseTaggedRecord(buf, offset, entry.type, { encoding, strict });
+        for (const w of record.warnings) warn(w.code, w.message, { ...at, tag: w.tag });
+        if (entry.type === 2) {
+          // Type-2 IDC is not checked: many files write it as "0" or leave it out
+          rec = parseType2Demographics(record.fields, entry.idc);
+        } else {
+          try {
+            checkIdc(record, entry.idc, offset, entry.type);
+          } catch (err) {
+            if (strict) throw err;
+            warn('idc-mismatch', err.message, { ...at, tag: getField(record.fields, 2)?.tag ?? null });
+          }
+          rec = TAGGED_PARSERS[entry.type](record, entry.idc);
+        }
+        encodingIssues.push(...record.invalidFields.map(tag => ({ recordType: entry.type, idc: entry.idc, tag, encoding })));
+        length = record.length;
+      } else {
+        const message = `Unsupported record type ${entry.type} (IDC ${entry.idc}). Only Type-1 to 7, 9, 10, 13, 14, 15, 17, 98, and 99 are supported.`;
+        if (strict || !isTaggedRecordAt(buf, offset, entry.type)) {
+          throw new EftParseError(message, { offset, recordType: entry.type });
+        }
+        // Tagged records of other types can be stepped over using their length field
+        warn('unsupported-record', message, at);
+        length = parseTaggedRecord(buf, offset, entry.type, { strict }).length;
+      }
+    } catch (err) {
+      if (strict || !(err instanceof EftParseError)) throw err;
+      warn('unreadable-record', err.message, at);
+      unreadable = true;
+      break;
     }
 
-    const rec = parseType4(buf, offset, entry.idc);
-    type4Records.push(rec);
-    offset += rec.length;
+    if (rec) {
+      if (rec.compressionName?.startsWith('Unknown')) {
+        const tag = rec.fields ? getField(rec, 'CGA')?.tag ?? null : null;
+        warn('unknown-compression', `Type-${entry.type} compression code ${rec.compression} is not recognized`, { ...at, tag });
+      }
+      if (BINARY_IMAGE_TYPES.includes(entry.type) && rec.ppi === null) {
+        warn('unknown-resolution', `Type-${entry.type} image scanning resolution ${rec.imageScanningResolution} is not recognized`, at);
+      }
+      records.push(rec);
+      layout.push({ type: entry.type, idc: entry.idc, offset, length });
+    }
+    offset += length;
+  }
+
+  // Whatever follows must be another transaction
+  if (!unreadable && offset < buf.length && !isTaggedRecordAt(buf, offset, 1)) {
+    warn('trailing-data', `${buf.length - offset} bytes of unrecognized data follow the transaction`, { recordType: 1, idc: null });
   }
 
   return {
     type1: type1.fields,
-    type2: parseType2Demographics(type2.fields),
-    type4Records,
+    header,
+    ...groupRecords(records),
+    records,
+    layout,
+    encodingIssues,
+    warnings,
+    offset: start,
+    length: offset - start,
     fileSize: buf.length,
   };
 }
 
 /**
- * Parse an ASCII record (Type-1 or Type-2).
- * Fields are GS-separated, record ends with FS.
+ * Sort a transaction's records into parseEft's per-type lists (`type2`,
+ * `type2Records`, `type3Records`, …) and link each Type-9 minutiae record to
+ * the image record sharing its IDC.
+ * @param {Array<Object>} records - Records after Type-1, in file order
+ * @returns {Object} The per-type lists
  */
-function parseAsciiRecord(buf, offset, recordType) {
-  // First field gives length: "N.01:LEN"
-  const lenFieldTag = `${recordType}.01`;
-
-  // Find FS terminator
-  const fsPos = buf.indexOf(FS, offset);
-  if (fsPos === -1) {
-    // FS might be the last byte included in length
-    throw new EftParseError(`No FS terminator found for Type-${recordType} record`, { offset, recordType });
-  }
-
-  // The FS byte is included in the record length
-  const recordBuf = buf.subarray(offset, fsPos + 1);
-
-  // Split on GS to get fields (exclude trailing FS)
-  const ascii = recordBuf.subarray(0, recordBuf.length - 1).toString('ascii');
-  const fieldStrs = ascii.split(String.fromCharCode(GS));
+export function groupRecords(records) {
+  const byType = Object.fromEntries(RECORD_TYPES.map(t => [t, records.filter(r => r.recordType === t)]));
 
-  const fields = {};
-  let recordLength = 0;
-
-  for (const fieldStr of fieldStrs) {
-    const colonIdx = fieldStr.indexOf(':');
-    if (colonIdx === -1) continue;
-    const tag = fieldStr.substring(0, colonIdx);
-    const value = fieldStr.substring(colonIdx + 1);
-    fields[tag] = value;
-
-    if (tag === lenFieldTag) {
-      recordLength = parseInt(value, 10);
-    }
+  // Minutiae describe the image record sharing their IDC
+  const imageRecords = [...BINARY_IMAGE_TYPES, 13, 14].flatMap(t => byType[t]);
+  for (const rec of byType[9]) {
+    rec.linkedRecord = imageRecords.find(r => r.idc === rec.idc) || null;
   }
 
-  // Use parsed length (includes FS byte)
-  if (!recordLength) {
-    recordLength = fsPos - offset + 1;
-  }
+  return {
+    // First subject, or empty demographics when the transaction has no Type-2
+    type2: byType[2][0] ?? parseType2Demographics({}, null),
+    ...Object.fromEntries(RECORD_TYPES.map(t => [`type${t}Records`, byType[t]])),
+  };
+}
 
-  return { fields, length: recordLength };
+/**
+ * Whether the bytes at `offset` start a tagged record of the given type ("T.").
+ */
+function isTaggedRecordAt(buf, offset, recordType) {
+  const prefix = `${recordType}.`;
+  return buf.subarray(offset, offset + prefix.length).toString('latin1') === prefix;
 }
 
 /**
  * Parse the CNT field (1.03).
  * Format: "<type>US<total_count>RS<type>US<idc>RS<type>US<idc>..."
  * First subfield is special: type + total count (not a type/IDC pair).
+ * Outside strict mode malformed entries are reported through `warn` and skipped.
  */
-function parseCnt(cntValue) {
-  if (!cntValue) {
+export function parseCnt(cntField, strict, warn) {
+  if (!cntField?.raw) {
     throw new EftParseError('Missing CNT field (1.03) in Type-1 record', { recordType: 1 });
   }
-  const subfields = cntValue.split(String.fromCharCode(RS));
   const records = [];
+  const at = { recordType: 1, idc: 0, tag: cntField.tag, offset: 0 };
 
-  for (let i = 1; i < subfields.length; i++) {
-    const parts = subfields[i].split(String.fromCharCode(US));
+  for (const parts of cntField.subfields.slice(1)) {
     const type = parseInt(parts[0], 10);
     const idc = parseInt(parts[1], 10);
     if (isNaN(type) || isNaN(idc)) {
-      throw new EftParseError(`Malformed CNT subfield: "${subfields[i]}"`, { recordType: 1 });
+      const message = `Malformed CNT subfield: "${parts.join(String.fromCharCode(US))}"`;
+      if (strict) throw new EftParseError(message, { recordType: 1 });
+      warn('malformed-cnt', message, at);
+      continue;
     }
     records.push({ type, idc });
   }
 
+  const count = parseInt(cntField.subfields[0][1], 10);
+  if (count !== cntField.subfields.length - 1) {
+    warn('cnt-count-mismatch', `CNT declares ${cntField.subfields[0][1]} records but lists ${cntField.subfields.length - 1}`, at);
+  }
+
   return records;
 }
 
 /**
  * Parse Type-2 demographic fields into a structured object.
  */
-function parseType2Demographics(fields) {
-  const raw = { ...fields };
+export function parseType2Demographics(fields, idc) {
+  const raw = copyFields(fields);
 
   // Parse name (2.018): "LAST,FIRST MIDDLE" → structured
   let name = null;
@@ -140,19 +292,23 @@ function parseType2Demographics(fields) {
 
   // Scanner info (2.067): "Make US Model US Serial"
   let scanner = null;
-  if (fields['2.067']) {
-    const parts = fields['2.067'].split(String.fromCharCode(US));
+  const ima = getField(fields, 'IMA');
+  if (ima?.raw) {
+    const [make, model, serial] = ima.subfields[0];
     scanner = {
-      make: parts[0] || '',
-      model: parts[1] || '',
-      serial: parts[2] || '',
+      make: make || '',
+      model: model || '',
+      serial: serial || '',
     };
   }
 
   return {
+    recordType: 2,
+    idc,
     raw,
     name,
     fullName: name ? [name.first, name.middle, name.last].filter(Boolean).join(' ') : null,
+    aliases: getField(fields, 'AKA')?.subfields.map(s => s[0]).filter(Boolean) || [],
     dob,
     sex: fields['2.024'] || null,
     race: fields['2.025'] || null,
@@ -167,56 +323,6 @@ function parseType2Demographics(fields) {
   };
 }
 
-/**
- * Parse a Type-4 binary fingerprint record.
- * Fixed 18-byte header followed by image data.
- */
-function parseType4(buf, offset, expectedIdc) {
-  if (offset + TYPE4_HEADER_SIZE > buf.length) {
-    throw new EftParseError(
-      `Type-4 record at offset ${offset} exceeds buffer (need ${TYPE4_HEADER_SIZE} bytes, have ${buf.length - offset})`,
-      { offset, recordType: 4 },
-    );
-  }
-  const len = buf.readUInt32BE(offset);
-  if (len < TYPE4_HEADER_SIZE) {
-    throw new EftParseError(`Type-4 record length ${len} is smaller than header size`, { offset, recordType: 4 });
-  }
-  if (offset + len > buf.length) {
-    throw new EftParseError(
-      `Type-4 record at offset ${offset} exceeds buffer (claims ${len} bytes, have ${buf.length - offset})`,
-      { offset, recordType: 4 },
-    );
-  }
-  const idc = buf[offset + 4];
-  if (idc !== expectedIdc) {
-    throw new EftParseError(`Type-4 IDC mismatch at offset ${offset}: expected ${expectedIdc}, got ${idc}`, { offset, recordType: 4 });
-  }
-  const imp = buf[offset + 5];
-  const fgp = buf[offset + 6]; // Finger position (first byte of 6-byte FGP field)
-  const isr = buf[offset + 12]; // Image scanning resolution (0 = 500ppi)
-  const hll = buf.readUInt16BE(offset + 13); // Horizontal line length (width)
-  const vll = buf.readUInt16BE(offset + 15); // Vertical line length (height)
-  const cga = buf[offset + 17]; // Compression algorithm
-
-  const imageData = buf.subarray(offset + TYPE4_HEADER_SIZE, offset + len);
-
-  return {
-    length: len,
-    idc,
-    impressionType: imp,
-    impressionName: IMPRESSION_TYPES[imp] || `Unknown (${imp})`,
-    fingerPosition: fgp,
-    fingerName: FINGER_NAMES[fgp] || `Unknown (${fgp})`,
-    ppi: isr === 0 ? 500 : isr,
-    width: hll,
-    height: vll,
-    compression: cga,
-    compressionName: COMPRESSION_TYPES[cga] || `Unknown (${cga})`,
-    imageData,
-  };
-}
-
 /**
  * Convert a string to Title Case.
  * @param {string} str - Input string
@@ -225,14 +331,7 @@ function parseType4(buf, offset, expectedIdc) {
 export function titleCase(str) {
   return str
     .toLowerCase()
-    .replace(/\b\w/g, (c) => c.toUpperCase());
-}
-
-function parseDate(yyyymmdd) {
-  const y = parseInt(yyyymmdd.substring(0, 4), 10);
-  const m = parseInt(yyyymmdd.substring(4, 6), 10);
-  const d = parseInt(yyyymmdd.substring(6, 8), 10);
-  return { year: y, month: m, day: d };
+    .replace(/(^|[^\p{L}\p{N}_])(\p{L})/gu, (_, sep, c) => sep + c.toUpperCase());
 }
 
 /**
@@ -0,0 +1,308 @@
+import { open } from 'node:fs/promises';
+import { FS, GS } from './constants.js';
+import { EftError, EftParseError } from './errors.js';
+import { parseTaggedRecord, checkIdc } from './tagged-record.js';
+import { getField } from './fields.js';
+import { parseTransactionHeader } from './transaction-header.js';
+import { defaultEncoding } from './charset.js';
+import { parseBinaryImageRecord, parseType7 } from './binary-records.js';
+import { BINARY_IMAGE_TYPES, TAGGED_PARSERS, parseCnt, parseType2Demographics } from './eft-parser.js';
+
+const BINARY_IMAGE_HEADER_SIZE = 18;
+const TYPE7_HEADER_SIZE = 5;
+
+// Bytes read at a time while looking for the end of a record's text fields
+const CHUNK_SIZE = 64 * 1024;
+
+// Record types whose image data is read on demand from seekable sources
+const LAZY_IMAGE_TYPES = new Set([...BINARY_IMAGE_TYPES, 10, 13, 14, 15, 17]);
+
+/**
+ * Parse EFT transactions record by record without reading the whole input
+ * into memory. Records are yielded in file order as they are read: each
+ * transaction starts with its Type-1 record (`{ recordType: 1, idc: 0,
+ * fields, header }`), followed by its records in CNT order with the same
+ * shape as parseEft's `records`. Every yielded record also has its byte
+ * `offset` and `length`, and the `warnings` and `encodingIssues` parseEft
+ * would report for it;
+ * records after Type-1 have `loadImageData()`, which resolves to their image
+ * data (`imageData`, the Type-7 `payload` or the Type-99 `bdb`), or null.
+ *
+ * From a file path or FileHandle, the image data of Type-3 to 6, 10, 13, 14,
+ * 15 and 17 records is not read while parsing: `imageData` is null and
+ * `loadImageData()` reads it by offset. A file opened from a path is closed
+ * when iteration ends, so load image data before then, or pass a FileHandle
+ * to keep it open. A Readable stream cannot seek, so each record is read
+ * whole and only held until the caller drops it.
+ *
+ * Records are checked as in parseEft's default strict mode; reading stops
+ * after the last transaction that starts with a Type-1 record.
+ * @param {string|import('node:fs/promises').FileHandle|AsyncIterable<Uint8Array>} source - File path, open FileHandle or Readable stream
+ * @yields {Object} Records in file order
+ * @throws {EftParseError} On the first structural error, as parseEft does
+ */
+export async function* parseEftStream(source) {
+  const reader = await openReader(source);
+  try {
+    let offset = 0;
+    do {
+      offset = yield* readTransaction(reader, offset);
+    } while (ascii(await reader.read(offset, 2)) === '1.');
+  } finally {
+    await reader.close();
+  }
+}
+
+/**
+ * Yield the records of the transaction starting at `start` and return the
+ * offset of the byte after it.
+ */
+async function* readTransaction(reader, start) {
+  let offset = start;
+  const { buf } = await readTaggedRecord(reader, offset, 1, false);
+  const type1 = parseAt(offset, () => parseTaggedRecord(buf, 0, 1));
+  const warnings = type1.warnings.map(w => warning(w.code, w.message, { recordType: 1, idc: 0, tag: w.tag, offset }));
+  const recordList = parseCnt(getField(type1.fields, 'CNT'), true, (code, message, at) => {
+    warnings.push(warning(code, message, { ...at, offset }));
+  });
+
+  const header = parseTransactionHeader(type1.fields);
+  const context = {
+    encoding: defaultEncoding(header.characterSets),
+    nativePpi: header.nativeResolution?.ppi ?? header.transmittingResolution?.ppi ?? null,
+  };
+  const encodingIssues = type1.invalidFields.map(tag => ({ recordType: 1, idc: 0, tag, encoding: 'ASCII' }));
+  yield { recordType: 1, idc: 0, offset, length: type1.length, fields: type1.fields, header, warnings, encodingIssues };
+  offset += type1.length;
+
+  for (const entry of recordList) {
+    const rec = await readRecord(reader, offset, entry, context);
+    yield rec;
+    offset += rec.length;
+    reader.release(offset);
+  }
+  return offset;
+}
+
+/**
+ * Read and parse the record a CNT entry points to.
+ */
+async function readRecord(reader, offset, { type, idc }, { encoding, nativePpi }) {
+  const lazy = reader.seekable && LAZY_IMAGE_TYPES.has(type);
+  const warnings = [];
+  let encodingIssues = [];
+  let rec;
+  let image = null;
+
+  if (BINARY_IMAGE_TYPES.includes(type) || type === 7) {
+    const headerSize = type === 7 ? TYPE7_HEADER_SIZE : BINARY_IMAGE_HEADER_SIZE;
+    const header = await readBytes(reader, offset, headerSize, type);
+    const length = header.readUInt32BE(0);
+    if (length < headerSize) {
+      throw new EftParseError(`Type-${type} record length ${length} is smaller than header size`, { offset, recordType: type });
+    }
+    if (lazy) {
+      checkAvailable(reader, offset, length, type);
+      // The header alone parses as a record without image data
+      const headerOnly = Buffer.from(header);
+      headerOnly.writeUInt32BE(headerSize, 0);
+      rec = { ...parseBinaryImageRecord(headerOnly, 0, null, type, nativePpi), length, imageData: null };
+      image = { offset: offset + headerSize, length: length - headerSize };
+    } else {
+      const buf = await readBytes(reader, offset, length, type);
+      rec = type === 7 ? parseType7(buf, 0, null) : parseBinaryImageRecord(buf, 0, null, type, nativePpi);
+    }
+    if (rec.idc !== idc) {
+      throw new EftParseError(`Type-${type} IDC mismatch at offset ${offset}: expected ${idc}, got ${rec.idc}`, { offset, recordType: type });
+    }
+  } else if (type === 2 || TAGGED_PARSERS[type]) {
+    const { buf, dataStart } = await readTaggedRecord(reader, offset, type, lazy);
+    const record = parseAt(offset, () => parseTaggedRecord(buf, 0, type, { encoding, data: dataStart === null }));
+    for (const w of record.warnings) warnings.push(warning(w.code, w.message, { recordType: type, idc, tag: w.tag, offset }));
+    encodingIssues = record.invalidFields.map(tag => ({ recordType: type, idc, tag, encoding }));
+    if (type === 2) {
+      // Type-2 IDC is not checked: many files write it as "0" or leave it out
+      rec = parseType2Demographics(record.fields, idc);
+    } else {
+      checkIdc(record, idc, offset, type);
+      rec = TAGGED_PARSERS[type](record, idc);
+    }
+    rec.length = record.length;
+    if (dataStart !== null) {
+      checkAvailable(reader, offset, record.length, type);
+      image = { offset: offset + dataStart, length: record.length - dataStart - 1 };
+      rec.imageData = null;
+    }
+  } else {
+    throw new EftParseError(
+      `Unsupported record type ${type} (IDC ${idc}). Only Type-1 to 7, 9, 10, 13, 14, 15, 17, 98, and 99 are supported.`,
+      { offset, recordType: type },
+    );
+  }
+
+  if (rec.compressionName?.startsWith('Unknown')) {
+    const tag = rec.fields ? getField(rec, 'CGA')?.tag ?? null : null;
+    warnings.push(warning('unknown-compression', `Type-${type} compression code ${rec.compression} is not recognized`, { recordType: type, idc, tag, offset }));
+  }
+  if (BINARY_IMAGE_TYPES.includes(type) && rec.ppi === null) {
+    warnings.push(warning('unknown-resolution', `Type-${type} image scanning resolution ${rec.imageScanningResolution} is not recognized`, { recordType: type, idc, offset }));
+  }
+
+  const data = rec.payload ?? rec.bdb ?? rec.imageData ?? null;
+  rec.offset = offset;
+  rec.warnings = warnings;
+  rec.encodingIssues = encodingIssues;
+  rec.loadImageData = image ? () => readBytes(reader, image.offset, image.length, type) : async () => data;
+  return rec;
+}
+
+/**
+ * Read a tagged record. With `lazy`, reading stops after the T.999 tag and
+ * `dataStart` gives the position of the image data in the record; the
+ * returned bytes end with an FS so they parse as a record without data.
+ */
+async function readTaggedRecord(reader, offset, recordType, lazy) {
+  const dataTag = Buffer.from(`${String.fromCharCode(GS)}${recordType}.999:`, 'latin1');
+  let buf = Buffer.alloc(0);
+  let length = null;
+  while (length === null || buf.length < length) {
+    // Once the length is known the rest of the record is read at once, unless only its fields are wanted
+    const size = length === null || lazy ? CHUNK_SIZE : length - buf.length;
+    const chunk = await reader.read(offset + buf.length, size);
+    if (chunk.length === 0) break;
+    buf = Buffer.concat([buf, chunk]);
+    length ??= declaredLength(buf);
+
+    const tagAt = lazy && length !== null ? buf.indexOf(dataTag) : -1;
+    if (tagAt !== -1 && tagAt < length) {
+      const dataStart = tagAt + dataTag.length;
+      return { buf: Buffer.concat([buf.subarray(0, dataStart), Buffer.of(FS)]), dataStart };
+    }
+    // Without a length field the first FS ends the record
+    if (length === null && buf.includes(FS)) break;
+  }
+  if (length !== null && buf.length < length) throw truncated(recordType, offset, length, buf.length);
+  return { buf: length === null ? buf : buf.subarray(0, length), dataStart: null };
+}
+
+/**
+ * Record length from the leading "T.001:" field, or null when it is missing.
+ */
+function declaredLength(buf) {
+  const ends = [buf.indexOf(GS), buf.indexOf(FS)].filter(i => i !== -1);
+  if (ends.length === 0) return null;
+  const match = /^\d+\.0*1:(\d+)$/.exec(ascii(buf.subarray(0, Math.min(...ends))));
+  return match ? parseInt(match[1], 10) : null;
+}
+
+async function readBytes(reader, offset, length, recordType) {
+  const bytes = await reader.read(offset, length);
+  if (bytes.length < length) throw truncated(recordType, offset, length, bytes.length);
+  return bytes;
+}
+
+// Records whose image data is read later must fit in the file
+function checkAvailable(reader, offset, length, recordType) {
+  if (offset + length > reader.size) throw truncated(recordType, offset, length, reader.size - offset);
+}
+
+function truncated(recordType, offset, length, available) {
+  return new EftParseError(
+    `Type-${recordType} record at offset ${offset} exceeds input (claims ${length} bytes, have ${available})`,
+    { offset, recordType },
+  );
+}
+
+/**
+ * Run a parser on a record read into its own buffer, moving the offset of
+ * any parse error back to the record's position in the input.
+ */
+function parseAt(offset, parse) {
+  try {
+    return parse();
+  } catch (err) {
+    if (err instanceof EftParseError && err.offset !== null) err.offset += offset;
+    throw err;
+  }
+}
+
+function warning(code, message, { recordType, idc, tag = null, offset }) {
+  return { code, message, offset, recordType, idc, tag };
+}
+
+function ascii(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString('latin1');
+}
+
+/**
+ * Wrap a path, FileHandle or stream in a reader with `read(position, length)`,
+ * returning fewer bytes at the end of the input, and `release(position)`,
+ * after which earlier bytes are no longer needed.
+ */
+async function openReader(source) {
+  if (typeof source === 'string') {
+    const handle = await open(source, 'r');
+    try {
+      return fileReader(handle, (await handle.stat()).size, () => handle.close());
+    } catch (err) {
+      await handle.close();
+      throw err;
+    }
+  }
+  if (typeof source?.read === 'function' && typeof source.stat === 'function') {
+    // The caller owns the handle and closes it
+    return fileReader(source, (await source.stat()).size, async () => {});
+  }
+  if (typeof source?.[Symbol.asyncIterator] === 'function') {
+    return streamReader(source);
+  }
+  throw new EftError('parseEftStream expects a file path, a FileHandle or a readable stream');
+}
+
+function fileReader(handle, size, close) {
+  return {
+    seekable: true,
+    size,
+    async read(position, length) {
+      const wanted = Math.max(0, Math.min(length, size - position));
+      const { bytesRead, buffer } = await handle.read(Buffer.alloc(wanted), 0, wanted, position);
+      return buffer.subarray(0, bytesRead);
+    },
+    release() {},
+    close,
+  };
+}
+
+// Reads move forward only: bytes are buffered from the last released position
+function streamReader(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let base = 0;
+  let buffered = Buffer.alloc(0);
+  let ended = false;
+  return {
+    seekable: false,
+    size: null,
+    async read(position, length) {
+      const chunks = [buffered];
+      let available = base + buffered.length;
+      while (!ended && available < position + length) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          ended = true;
+        } else {
+          chunks.push(value);
+          available += value.length;
+        }
+      }
+      if (chunks.length > 1) buffered = Buffer.concat(chunks);
+      return buffered.subarray(position - base, position - base + length);
+    },
+    release(position) {
+      buffered = buffered.subarray(position - base);
+      base = position;
+    },
+    async close() {
+      await iterator.return?.();
+    },
+  };
+}
@@ -0,0 +1,190 @@
+import { FS, GS, RS, US } from './constants.js';
+import { EftError } from './errors.js';
+import { fieldNumber, encodedField } from './tagged-record.js';
+import { getField } from './fields.js';
+import { defaultEncoding, encodeText } from './charset.js';
+import { fingerPositionBytes } from './binary-records.js';
+
+const BINARY_IMAGE_HEADER_SIZE = 18;
+const TYPE7_HEADER_SIZE = 5;
+const FGP_BYTES = 6;
+const UNUSED_POSITION = 255;
+const MAX_LENGTH_DIGITS = 10;
+
+/**
+ * Serialize a transaction to ANSI/NIST-ITL bytes. Accepts the output of
+ * parseEft (or an object of the same shape): Type-1 from `type1`, then every
+ * record in `records` order. Record lengths, including the self-referential
+ * length field of tagged records, and the CNT field (1.003) are computed from
+ * the records. Parsed fields whose value is unchanged are written with the
+ * bytes they were read from, so well-formed input round-trips byte for byte.
+ * Other text is encoded as parseEft decodes it (see encodeText): UTF-8 when
+ * the Type-1 DCS field declares it, otherwise ASCII with other characters in
+ * STX/ETX segments of a declared character set.
+ * @param {{ type1: Object, records: Array<Object> }} transaction - Parsed or hand-built transaction
+ * @returns {Buffer} Serialized EFT file
+ * @throws {EftError} If a record cannot be serialized
+ */
+export function writeEft(transaction) {
+  const records = transaction.records;
+  if (!Array.isArray(records)) {
+    throw new EftError('Transaction has no records array');
+  }
+
+  const type1 = transaction.type1 || {};
+  const type1Fields = withField(type1, 1, 3, cntValue(type1, records));
+  // Type-1 is always ASCII; later records use the default encoding from DCS
+  const characterSets = (getField(type1Fields, 'DCS')?.subfields || []).map(([index]) => ({ index: parseInt(index, 10) }));
+  const text = { encoding: defaultEncoding(characterSets), characterSets };
+
+  const buffers = [taggedRecordBytes(1, type1Fields, type1, null, { ...text, encoding: 'ASCII' })];
+  for (const rec of records) {
+    buffers.push(recordBytes(rec, text));
+  }
+  return Buffer.concat(buffers);
+}
+
+/**
+ * Serialize one record (Type-2 and later).
+ */
+function recordBytes(rec, text) {
+  const type = rec.recordType;
+  if (type >= 3 && type <= 6) return binaryImageRecordBytes(rec);
+  if (type === 7) return type7Bytes(rec);
+
+  const fields = rec.fields || rec.raw;
+  if (!fields) {
+    throw new EftError(`Type-${type} record (IDC ${rec.idc}) has no fields to write`);
+  }
+  const data = rec.bdb ?? rec.imageData ?? null;
+  return taggedRecordBytes(type, withField(fields, type, 2, idcValue(fields, rec.idc)), fields, data?.length ? data : null, text);
+}
+
+/**
+ * Serialize a tagged-field record. The length field keeps its original tag
+ * ("1.01" or "1.001") and position; its value is solved so that it counts
+ * its own digits. `source` is the parsed field map the values came from.
+ */
+function taggedRecordBytes(recordType, fields, source, data, { encoding, characterSets }) {
+  const entries = Object.entries(fields).filter(([tag]) => fieldNumber(tag) !== 999);
+  let lenIndex = entries.findIndex(([tag]) => fieldNumber(tag) === 1);
+  if (lenIndex === -1) {
+    entries.unshift([`${recordType}.001`, '']);
+    lenIndex = 0;
+  }
+
+  const parts = entries.map(([tag, value], i) => (i === lenIndex
+    ? Buffer.from(`${tag}:`, 'latin1')
+    : Buffer.concat([Buffer.from(`${tag}:`, 'latin1'), valueBytes(source, tag, value, encoding, characterSets)])));
+  if (data) {
+    parts.push(Buffer.concat([Buffer.from(`${recordType}.999:`, 'latin1'), data]));
+  }
+
+  // Fields are GS-separated and the record ends with FS
+  const fixedSize = parts.reduce((sum, p) => sum + p.length, 0) + parts.length;
+  for (let digits = 1; digits <= MAX_LENGTH_DIGITS; digits++) {
+    const length = fixedSize + digits;
+    if (String(length).length !== digits) continue;
+    parts[lenIndex] = Buffer.concat([parts[lenIndex], Buffer.from(String(length), 'latin1')]);
+    const out = [];
+    parts.forEach((p, i) => {
+      if (i > 0) out.push(Buffer.from([GS]));
+      out.push(p);
+    });
+    out.push(Buffer.from([FS]));
+    return Buffer.concat(out);
+  }
+  throw new EftError(`Type-${recordType} record is too large to write`);
+}
+
+/**
+ * Serialize a Type-3, 4, 5 or 6 record: fixed 18-byte header and image data.
+ */
+function binaryImageRecordBytes(rec) {
+  const imageData = rec.imageData || Buffer.alloc(0);
+  const header = Buffer.alloc(BINARY_IMAGE_HEADER_SIZE);
+  header.writeUInt32BE(BINARY_IMAGE_HEADER_SIZE + imageData.length, 0);
+  header[4] = rec.idc;
+  header[5] = rec.impressionType;
+  const original = fingerPositionBytes(rec);
+  if (original) {
+    original.copy(header, 6);
+  } else {
+    const positions = rec.fingerPositions?.length ? rec.fingerPositions : [rec.fingerPosition];
+    header.fill(UNUSED_POSITION, 6, 6 + FGP_BYTES);
+    positions.slice(0, FGP_BYTES).forEach((p, i) => { header[6 + i] = p; });
+  }
+  header[12] = rec.imageScanningResolution ?? 0;
+  header.writeUInt16BE(rec.width, 13);
+  header.writeUInt16BE(rec.height, 15);
+  header[17] = rec.compression;
+  return Buffer.concat([header, imageData]);
+}
+
+/**
+ * Serialize a Type-7 record: 4-byte length, IDC and the opaque payload.
+ */
+function type7Bytes(rec) {
+  const payload = rec.payload || Buffer.alloc(0);
+  const header = Buffer.alloc(TYPE7_HEADER_SIZE);
+  header.writeUInt32BE(TYPE7_HEADER_SIZE + payload.length, 0);
+  header[4] = rec.idc;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * CNT value for the given records. The existing value is kept when it already
+ * lists the same records, so its formatting round-trips.
+ */
+function cntValue(type1Fields, records) {
+  const entries = records.map(r => [r.recordType, r.idc ?? 0]);
+  const existing = getField(type1Fields, 'CNT');
+  if (existing) {
+    const [first, ...rest] = existing.subfields;
+    const same = parseInt(first?.[1], 10) === entries.length
+      && rest.length === entries.length
+      && rest.every(([type, idc], i) => parseInt(type, 10) === entries[i][0] && parseInt(idc, 10) === entries[i][1]);
+    if (same) return existing.raw;
+  }
+  const us = String.fromCharCode(US);
+  return [`1${us}${entries.length}`, ...entries.map(([type, idc]) => `${type}${us}${String(idc).padStart(2, '0')}`)]
+    .join(String.fromCharCode(RS));
+}
+
+/**
+ * IDC field value, keeping the existing formatting when it already matches.
+ */
+function idcValue(fields, idc) {
+  const existing = getField(fields, 2);
+  if (idc === undefined || idc === null) return existing?.raw ?? '00';
+  if (existing && parseInt(existing.raw, 10) === idc) return existing.raw;
+  return String(idc).padStart(2, '0');
+}
+
+/**
+ * Return a copy of a raw field map with field `number` set. An existing tag
+ * keeps its position and spelling; a new field is inserted in field-number
+ * order using the three-digit tag form.
+ */
+function withField(fields, recordType, number, value) {
+  const entries = Object.entries(fields);
+  const index = entries.findIndex(([tag]) => fieldNumber(tag) === number);
+  if (index !== -1) {
+    entries[index] = [entries[index][0], value];
+  } else {
+    const before = entries.findIndex(([tag]) => fieldNumber(tag) > number);
+    const entry = [`${recordType}.${String(number).padStart(3, '0')}`, value];
+    entries.splice(before === -1 ? entries.length : before, 0, entry);
+  }
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Bytes of a field value: the bytes it was parsed from when it is unchanged,
+ * so STX/ETX segments and invalid bytes round-trip, or the encoded text.
+ */
+function valueBytes(source, tag, value, encoding, characterSets) {
+  const original = encodedField(source, tag);
+  if (original && original.text === value && original.encoding === encoding) return original.bytes;
+  return encodeText(value, encoding, characterSets);
+}
@@ -0,0 +1,124 @@
+import { FIELD_MNEMONICS, RS, US } from './constants.js';
+import { ValidationError } from './errors.js';
+import { fieldNumber, subfields, items } from './tagged-record.js';
+
+const IMAGE_DATA_FIELD = 999;
+
+/**
+ * Build the field model for one tagged field: the raw value split into
+ * RS-separated subfields, each split into US-separated information items.
+ * @param {string} tag - Field tag (e.g. "2.019")
+ * @param {string} raw - Raw field value
+ * @returns {{ tag: string, recordType: number, number: number|null, mnemonic: string|null, raw: string, subfields: string[][] }}
+ */
+export function parseField(tag, raw) {
+  const recordType = parseInt(tag, 10);
+  const number = fieldNumber(tag);
+  return {
+    tag,
+    recordType,
+    number,
+    mnemonic: FIELD_MNEMONICS[recordType]?.[number] || null,
+    raw,
+    subfields: subfields(raw).map(s => items(s)),
+  };
+}
+
+/**
+ * List every field of a tagged record using the field model.
+ * @param {Object} source - A parsed record (with `fields`), Type-2 demographics (with `raw`), or a raw tag → value map such as `eft.type1`
+ * @returns {Array<ReturnType<typeof parseField>>} Fields in tag order
+ */
+export function getFields(source) {
+  return Object.entries(rawFields(source)).map(([tag, raw]) => parseField(tag, raw));
+}
+
+/**
+ * Look up one field of a tagged record by mnemonic ("CNT"), field number (3)
+ * or tag ("1.003"). Tags match regardless of zero padding ("1.03" = "1.003").
+ * @param {Object} source - A parsed record (with `fields`), Type-2 demographics (with `raw`), or a raw tag → value map
+ * @param {string|number} key - Mnemonic, field number or tag
+ * @returns {ReturnType<typeof parseField>|null} The field, or null if absent or the mnemonic is unknown
+ */
+export function getField(source, key) {
+  const raw = rawFields(source);
+  const tags = Object.keys(raw);
+  if (tags.length === 0) return null;
+  const recordType = source.recordType ?? parseInt(tags[0], 10);
+  const number = resolveFieldNumber(recordType, key);
+  if (number === null) return null;
+  const tag = tags.find(t => fieldNumber(t) === number);
+  return tag === undefined ? null : parseField(tag, raw[tag]);
+}
+
+/**
+ * Set one field of a tagged record, in place. The key is resolved like
+ * getField; an existing field keeps its tag and position, a new field is
+ * added as "T.NNN" in field-number order. Record lengths, IDC and CNT are
+ * recomputed by writeEft, so they need not be set here.
+ * @param {Object} source - A parsed record (with `fields`), Type-2 demographics (with `raw`), or a raw tag → value map
+ * @param {string|number} key - Mnemonic, field number or tag
+ * @param {string|Array<string|string[]>} value - Raw value, or subfields (each a string or an array of information items)
+ * @returns {ReturnType<typeof parseField>} The updated field
+ * @throws {ValidationError} If the key cannot be resolved or names the image data field
+ */
+export function setField(source, key, value) {
+  const raw = rawFields(source);
+  const recordType = sourceRecordType(source, raw, key);
+  const number = resolveFieldNumber(recordType, key);
+  if (number === null || number === IMAGE_DATA_FIELD) {
+    throw new ValidationError(`Cannot set field "${key}" of a Type-${recordType} record`);
+  }
+  const text = Array.isArray(value)
+    ? value.map(s => (Array.isArray(s) ? s.join(String.fromCharCode(US)) : s)).join(String.fromCharCode(RS))
+    : String(value);
+
+  const existing = Object.keys(raw).find(t => fieldNumber(t) === number);
+  if (existing !== undefined) {
+    raw[existing] = text;
+    return parseField(existing, text);
+  }
+
+  const tag = `${recordType}.${String(number).padStart(3, '0')}`;
+  const entries = Object.entries(raw);
+  const before = entries.findIndex(([t]) => fieldNumber(t) > number);
+  entries.splice(before === -1 ? entries.length : before, 0, [tag, text]);
+  for (const t of Object.keys(raw)) delete raw[t];
+  Object.assign(raw, Object.fromEntries(entries));
+  return parseField(tag, text);
+}
+
+/**
+ * Remove one field of a tagged record, in place.
+ * @param {Object} source - A parsed record (with `fields`), Type-2 demographics (with `raw`), or a raw tag → value map
+ * @param {string|number} key - Mnemonic, field number or tag
+ * @returns {boolean} True if a field was removed
+ */
+export function deleteField(source, key) {
+  const field = getField(source, key);
+  if (!field) return false;
+  delete rawFields(source)[field.tag];
+  return true;
+}
+
+function sourceRecordType(source, raw, key) {
+  if (source.recordType !== undefined) return source.recordType;
+  const [first] = Object.keys(raw);
+  if (first !== undefined) return parseInt(first, 10);
+  if (typeof key === 'string' && key.includes('.')) return parseInt(key, 10);
+  throw new ValidationError(`Cannot determine the record type for field "${key}"`);
+}
+
+function rawFields(source) {
+  if (source.fields && typeof source.fields === 'object') return source.fields;
+  if (source.raw && typeof source.raw === 'object') return source.raw;
+  return source;
+}
+
+function resolveFieldNumber(recordType, key) {
+  if (typeof key === 'number') return key;
+  if (key.includes('.')) return fieldNumber(key);
+  if (/^\d+$/.test(key)) return parseInt(key, 10);
+  const entry = Object.entries(FIELD_MNEMONICS[recordType] || {}).find(([, m]) => m === key.toUpperCase());
+  return entry ? parseInt(entry[0], 10) : null;
+}
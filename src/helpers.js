@@ -1,11 +1,13 @@
-import { FINGER_NAMES, FINGER_ALIASES } from './constants.js';
+import { FINGER_NAMES, FINGER_ALIASES, FINGER_GROUPS, PALM_NAMES, PALM_ALIASES } from './constants.js';
 import { ValidationError } from './errors.js';
 
 /**
  * Resolve a CLI finger argument to a numeric position.
- * Accepts a number (1-14), a name like "right_thumb", or null.
- * @param {string|null} finger - Finger position number or name
- * @returns {number|null} Finger position number, or null if no filter
+ * Accepts a finger (0-19, 40-50) or palm (20-38) number, a name like
+ * "right_thumb" or "left_full_palm", a group name from FINGER_GROUPS such as
+ * "rolled" or "right_slap", or null.
+ * @param {string|null} finger - Finger position number, name or group
+ * @returns {number|number[]|null} Position number, the positions of a group, or null if no filter
  * @throws {ValidationError} If the finger name/number is not recognized
  */
 export function resolveFingerPosition(finger) {
@@ -13,19 +15,22 @@ export function resolveFingerPosition(finger) {
 
   // Try as number
   const num = parseInt(finger, 10);
-  if (!isNaN(num) && FINGER_NAMES[num]) return num;
+  if (!isNaN(num) && positionName(num)) return num;
 
   // Try as alias
-  const alias = finger.toLowerCase().replace(/[\s-]/g, '_');
-  if (FINGER_ALIASES[alias]) return FINGER_ALIASES[alias];
+  const alias = finger.toLowerCase().replace(/[\s-]/g, '_').replace(/'/g, '');
+  if (Object.hasOwn(FINGER_ALIASES, alias)) return FINGER_ALIASES[alias];
+  if (Object.hasOwn(PALM_ALIASES, alias)) return PALM_ALIASES[alias];
+  if (Object.hasOwn(FINGER_GROUPS, alias)) return FINGER_GROUPS[alias];
 
-  throw new ValidationError(`Unknown finger: "${finger}". Use a number (1-14) or name (e.g. right_thumb, left_index).`);
+  throw new ValidationError(`Unknown finger: "${finger}". Use a number (0-19, 20-38, 40-50), a name (e.g. right_thumb, left_index, right_full_palm) or a group (${Object.keys(FINGER_GROUPS).join(', ')}).`);
 }
 
 /**
- * Filter Type-4 records by finger position.
- * @param {Array} records - Array of Type-4 fingerprint records
- * @param {string|null} fingerOpt - Finger position number or name, or null for all
+ * Filter friction-ridge records (Type-4, 14, 15) by finger or palm position.
+ * A record matches if any of its possible positions (`fingerPositions`) does.
+ * @param {Array} records - Array of fingerprint or palm records
+ * @param {string|null} fingerOpt - Finger position number, name or group, or null for all
  * @returns {Array} Filtered records
  * @throws {ValidationError} If no record matches the requested position
  */
@@ -33,13 +38,24 @@ export function filterRecords(records, fingerOpt) {
   if (!fingerOpt) return records;
 
   const pos = resolveFingerPosition(fingerOpt);
-  const filtered = records.filter(r => r.fingerPosition === pos);
+  const wanted = Array.isArray(pos) ? pos : [pos];
+  const filtered = records.filter(r => (r.fingerPositions?.length ? r.fingerPositions : [r.fingerPosition]).some(p => wanted.includes(p)));
   if (filtered.length === 0) {
-    throw new ValidationError(`No fingerprint record found for position ${pos} (${FINGER_NAMES[pos]})`);
+    const label = Array.isArray(pos) ? `positions ${pos.join(', ')} (${fingerOpt})` : `position ${pos} (${positionName(pos)})`;
+    throw new ValidationError(`No fingerprint record found for ${label}`);
   }
   return filtered;
 }
 
+/**
+ * Look up the display name of a finger or palm position.
+ * @param {number} pos - Position code
+ * @returns {string|undefined} Name, or undefined if the code is not recognized
+ */
+export function positionName(pos) {
+  return FINGER_NAMES[pos] || PALM_NAMES[pos];
+}
+
 /**
  * Format a height string from "FMM" (e.g. "602") to "6'02\"".
  * @param {string} heightStr - Height in FMM format
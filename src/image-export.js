@@ -1,5 +1,75 @@
 import sharp from 'sharp';
-import { FINGER_SLUGS } from './constants.js';
+import { FINGER_SLUGS, PALM_SLUGS } from './constants.js';
+import { decodeWsq } from './wsq-decoder.js';
+import { EftError } from './errors.js';
+
+// Type-4 CGA byte → equivalent tagged-record CGA code
+const BINARY_COMPRESSION_CODES = {
+  0: 'NONE',
+  1: 'WSQ',
+  2: 'JPEGB',
+  3: 'JP2',
+  4: 'JP2L',
+};
+
+// Formats Sharp cannot read: lossless JPEG never, JPEG 2000 only when libvips is built with OpenJPEG
+const UNDECODABLE_FORMATS = {
+  JPEGL: 'lossless JPEG',
+  ...(sharp.format.jp2k?.input?.buffer ? {} : { JP2: 'JPEG 2000', JP2L: 'lossless JPEG 2000' }),
+};
+
+/**
+ * Decode a friction-ridge image record (Type-3 to 6, 13, 14, 15) to 8-bit grayscale pixels.
+ * WSQ uses the built-in decoder, uncompressed data is returned as-is (1-bit
+ * data from Type-5/6 records is expanded to black and white), and baseline
+ * JPEG and PNG are decoded by Sharp. Lossless JPEG cannot be decoded, nor
+ * JPEG 2000 unless the installed Sharp reads it.
+ * @param {{ recordType?: number, compression: number|string, width: number, height: number, imageData: Uint8Array }} rec - Image record
+ * @returns {Promise<{ width: number, height: number, pixels: Uint8Array }>} Decoded image
+ * @throws {EftError} If a binary record uses facsimile compression, or the image format cannot be decoded
+ */
+export async function decodeImage(rec) {
+  if (rec.recordType === 5 || rec.recordType === 6) {
+    if (rec.compression !== 0) {
+      throw new EftError(`Unsupported binary image compression: ${rec.compressionName}`);
+    }
+    return { width: rec.width, height: rec.height, pixels: expandBilevel(rec.imageData, rec.width, rec.height) };
+  }
+
+  const code = typeof rec.compression === 'number'
+    ? BINARY_COMPRESSION_CODES[rec.compression]
+    : rec.compression;
+
+  if (code === 'WSQ' || code === 'WSQ20') return decodeWsq(rec.imageData);
+  if (code === 'NONE') {
+    return { width: rec.width, height: rec.height, pixels: rec.imageData };
+  }
+  if (UNDECODABLE_FORMATS[code]) {
+    throw new EftError(`Cannot decode ${UNDECODABLE_FORMATS[code]} (${code}) image data`);
+  }
+
+  const { data, info } = await sharp(rec.imageData)
+    .removeAlpha()
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, pixels: new Uint8Array(data.buffer, data.byteOffset, data.length) };
+}
+
+/**
+ * Expand packed 1-bit pixels (1 = black, rows padded to whole bytes) to 8-bit grayscale.
+ */
+function expandBilevel(data, width, height) {
+  const stride = Math.ceil(width / 8);
+  const pixels = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bit = (data[y * stride + (x >> 3)] >> (7 - (x & 7))) & 1;
+      pixels[y * width + x] = bit ? 0 : 255;
+    }
+  }
+  return pixels;
+}
 
 /**
  * Convert raw grayscale pixels to a TIFF buffer.
@@ -34,13 +104,94 @@ export async function toPng(pixels, width, height) {
 }
 
 /**
- * Generate the export filename for a finger.
- * @param {number} fingerPosition - Finger position number (1-14)
+ * Generate the export filename for a finger or palm.
+ * @param {number} fingerPosition - Finger (1-14) or palm (20-38) position number
  * @param {string} [format='tiff'] - Image format extension
- * @returns {string} Filename like "01-right-thumb.tiff"
+ * @returns {string} Filename like "01-right-thumb.tiff" or "21-right-full-palm.tiff"
  */
 export function exportFilename(fingerPosition, format = 'tiff') {
   const num = String(fingerPosition).padStart(2, '0');
-  const slug = FINGER_SLUGS[fingerPosition] || `finger-${fingerPosition}`;
+  const slug = FINGER_SLUGS[fingerPosition] || PALM_SLUGS[fingerPosition] || `finger-${fingerPosition}`;
   return `${num}-${slug}.${format}`;
 }
+
+// File name slugs for Type-17 eye labels
+const IRIS_SLUGS = {
+  1: 'right-eye',
+  2: 'left-eye',
+};
+
+// File extensions for compressed image data that is written as-is
+const PASSTHROUGH_EXTENSIONS = {
+  JPEGB: 'jpg',
+  JPEGL: 'jpg',
+  JP2: 'jp2',
+  JP2L: 'jp2',
+  PNG: 'png',
+};
+
+/**
+ * Prepare a tagged image record (Type-10 photo or Type-17 iris) for export.
+ * JPEG, JPEG 2000 and PNG data is written unchanged, without decoding it;
+ * uncompressed pixels are encoded as PNG using the record's color space.
+ * @param {{ compression: string, colorSpace?: string|null, width: number, height: number, imageData: Uint8Array }} rec - Tagged image record
+ * @returns {Promise<{ buffer: Buffer, extension: string }>} Encoded image and its file extension
+ */
+export async function exportImageRecord(rec) {
+  const extension = PASSTHROUGH_EXTENSIONS[rec.compression];
+  if (extension) {
+    return { buffer: Buffer.from(rec.imageData), extension };
+  }
+
+  const channels = !rec.colorSpace || rec.colorSpace === 'GRAY' ? 1 : 3;
+  const buffer = await sharp(rec.imageData, {
+    raw: { width: rec.width, height: rec.height, channels },
+  })
+    .png()
+    .toBuffer();
+  return { buffer, extension: 'png' };
+}
+
+/**
+ * Generate the export filename for a Type-13 latent. Latent finger positions
+ * are often unknown, so latents are named by IDC.
+ * @param {{ idc: number }} rec - Type-13 record
+ * @param {string} [format='tiff'] - Image format extension
+ * @returns {string} Filename like "latent-03.tiff"
+ */
+export function latentFilename(rec, format = 'tiff') {
+  return `latent-${String(rec.idc).padStart(2, '0')}.${format}`;
+}
+
+/**
+ * Generate the export filename for a Type-10 photo.
+ * @param {{ idc: number, imageType: string }} rec - Type-10 record
+ * @param {string} extension - Image file extension
+ * @returns {string} Filename like "face-02.jpg" or "smt-03.jpg"
+ */
+export function photoFilename(rec, extension) {
+  const num = String(rec.idc).padStart(2, '0');
+  const slug = rec.imageType ? rec.imageType.toLowerCase() : 'photo';
+  return `${slug}-${num}.${extension}`;
+}
+
+/**
+ * Generate the export filename for a Type-17 iris image.
+ * @param {{ idc: number, eyeLabel: number }} rec - Type-17 record
+ * @param {string} extension - Image file extension
+ * @returns {string} Filename like "right-eye-02.jp2"
+ */
+export function irisFilename(rec, extension) {
+  const num = String(rec.idc).padStart(2, '0');
+  const slug = IRIS_SLUGS[rec.eyeLabel] || 'unknown-eye';
+  return `${slug}-${num}.${extension}`;
+}
+
+/**
+ * Generate the export filename for a Type-7 user-defined record.
+ * @param {{ idc: number, format: { extension: string }|null }} rec - Type-7 record
+ * @returns {string} Filename like "user-defined-05.jpg", or ".bin" when the format is unknown
+ */
+export function userDefinedFilename(rec) {
+  return `user-defined-${String(rec.idc).padStart(2, '0')}.${rec.format?.extension || 'bin'}`;
+}
@@ -0,0 +1,294 @@
+import {
+  FINGER_NAMES, PALM_NAMES, IMPRESSION_TYPES, AMPUTATION_CODES,
+  COMPRESSION_CODES, COLOR_SPACES, PHOTO_TYPES, POSE_CODES, SMT_TYPES,
+  EYE_LABELS, IRIS_BOUNDARY_SHAPES,
+} from './constants.js';
+import { subfields, items, toInt, parseDate, copyFields } from './tagged-record.js';
+
+const CM_PER_INCH = 2.54;
+
+/**
+ * Build a Type-10 facial / SMT photo record from its parsed tagged fields.
+ * @param {{ fields: Object, numbered: Object, data: Buffer|null, length: number }} record - Output of parseTaggedRecord
+ * @param {number} idc - IDC from the CNT entry
+ * @returns {Object} Type-10 record
+ */
+export function parseType10(record, idc) {
+  const f = record.numbered;
+  const imageType = f[3] || '';
+  const pose = f[20] || null;
+
+  const hasSmt = f[40] !== undefined || f[41] !== undefined || f[42] !== undefined;
+  const sms = items(f[41]);
+
+  return {
+    recordType: 10,
+    length: record.length,
+    idc,
+    imageType,
+    imageTypeName: PHOTO_TYPES[imageType] || `Unknown (${imageType})`,
+    source: f[4] || null,
+    photoDate: f[5] ? parseDate(f[5]) : null,
+    ...imageAttributes(f, { width: 6, height: 7, slc: 8, thps: 9, tvps: 10, cga: 11 }),
+    colorSpace: f[12] || null,
+    colorSpaceName: f[12] ? COLOR_SPACES[f[12]] || `Unknown (${f[12]})` : null,
+    acquisitionProfile: toInt(f[13]),
+    pose,
+    poseName: pose ? POSE_CODES[pose] || `Unknown (${pose})` : null,
+    poseOffsetAngle: toInt(f[21]),
+    smt: hasSmt ? {
+      codes: subfields(f[40]),
+      size: f[41] === undefined ? null : { height: toInt(sms[0]), width: toInt(sms[1]) },
+      descriptors: subfields(f[42]).map(s => {
+        const [code, tattooClass, subclass, description] = items(s);
+        return {
+          code: code || '',
+          codeName: SMT_TYPES[code] || `Unknown (${code ?? ''})`,
+          tattooClass: tattooClass || null,
+          subclass: subclass || null,
+          description: description || null,
+        };
+      }),
+      colors: subfields(f[43]).flatMap(items).filter(Boolean),
+    } : null,
+    imageData: record.data || Buffer.alloc(0),
+    fields: copyFields(record.fields),
+  };
+}
+
+/**
+ * Build a Type-14 variable-resolution fingerprint record from its parsed tagged
+ * fields. Uses the same property names as Type-4 records so both flow through
+ * filterRecords, decodeWsq and toTiff unchanged.
+ * @param {{ fields: Object, numbered: Object, data: Buffer|null, length: number }} record - Output of parseTaggedRecord
+ * @param {number} idc - IDC from the CNT entry
+ * @returns {Object} Type-14 record
+ */
+export function parseType14(record, idc) {
+  const f = record.numbered;
+  const imp = toInt(f[3]);
+  const fingerPositions = subfields(f[13]).map(toInt).filter(n => n !== null && n !== 255);
+  const fgp = fingerPositions[0] ?? null;
+
+  return {
+    recordType: 14,
+    length: record.length,
+    idc,
+    impressionType: imp,
+    impressionName: IMPRESSION_TYPES[imp] || `Unknown (${f[3] ?? ''})`,
+    fingerPosition: fgp,
+    fingerName: FINGER_NAMES[fgp] || `Unknown (${fgp})`,
+    fingerPositions,
+    source: f[4] || null,
+    captureDate: f[5] ? parseDate(f[5]) : null,
+    ...imageAttributes(f, { width: 6, height: 7, slc: 8, thps: 9, tvps: 10, cga: 11 }),
+    bitsPerPixel: toInt(f[12]) ?? 8,
+    printPositions: subfields(f[14]).map(s => {
+      const [position, code] = items(s);
+      return { position: toInt(position), code: code || '' };
+    }),
+    amputations: subfields(f[18]).map(s => {
+      const [position, code] = items(s);
+      return { position: toInt(position), code: code || '', codeName: AMPUTATION_CODES[code] || `Unknown (${code ?? ''})` };
+    }),
+    comment: f[20] || null,
+    segments: subfields(f[21]).map(s => {
+      const [position, left, right, top, bottom] = items(s).map(toInt);
+      return { position, left, right, top, bottom };
+    }),
+    nistQuality: subfields(f[22]).map(s => {
+      const [position, score] = items(s).map(toInt);
+      return { position, score };
+    }),
+    segmentationQuality: subfields(f[23]).map(parseQualityMetric),
+    fingerprintQuality: subfields(f[24]).map(parseQualityMetric),
+    imageData: record.data || Buffer.alloc(0),
+    fields: copyFields(record.fields),
+  };
+}
+
+/**
+ * Build a Type-13 latent friction-ridge record from its parsed tagged fields.
+ * Shares the Type-4/Type-14 property names; `latent` is always true.
+ * @param {{ fields: Object, numbered: Object, data: Buffer|null, length: number }} record - Output of parseTaggedRecord
+ * @param {number} idc - IDC from the CNT entry
+ * @returns {Object} Type-13 record
+ */
+export function parseType13(record, idc) {
+  const f = record.numbered;
+  const imp = toInt(f[3]);
+  const fingerPositions = subfields(f[13]).map(toInt).filter(n => n !== null && n !== 255);
+  const fgp = fingerPositions[0] ?? null;
+
+  return {
+    recordType: 13,
+    latent: true,
+    length: record.length,
+    idc,
+    impressionType: imp,
+    impressionName: IMPRESSION_TYPES[imp] || `Unknown (${f[3] ?? ''})`,
+    fingerPosition: fgp,
+    fingerName: FINGER_NAMES[fgp] || `Unknown (${fgp})`,
+    fingerPositions,
+    source: f[4] || null,
+    captureDate: f[5] ? parseDate(f[5]) : null,
+    ...imageAttributes(f, { width: 6, height: 7, slc: 8, thps: 9, tvps: 10, cga: 11 }),
+    bitsPerPixel: toInt(f[12]) ?? 8,
+    searchPositions: subfields(f[14]).map(s => {
+      const [position, code] = items(s);
+      return { position: toInt(position), code: code || '' };
+    }),
+    printPositionCoordinates: subfields(f[15]).map(s => {
+      const [view, segment, left, right, top, bottom] = items(s);
+      return {
+        view: view || '',
+        segment: segment || '',
+        left: toInt(left),
+        right: toInt(right),
+        top: toInt(top),
+        bottom: toInt(bottom),
+      };
+    }),
+    comment: f[20] || null,
+    latentQuality: subfields(f[24]).map(parseQualityMetric),
+    imageData: record.data || Buffer.alloc(0),
+    fields: copyFields(record.fields),
+  };
+}
+
+/**
+ * Build a Type-15 palmprint record from its parsed tagged fields.
+ * The palm position code (15.013 FGP) is exposed as `fingerPosition` so palms
+ * can be filtered and exported like fingerprints; `palm` is always true.
+ * @param {{ fields: Object, numbered: Object, data: Buffer|null, length: number }} record - Output of parseTaggedRecord
+ * @param {number} idc - IDC from the CNT entry
+ * @returns {Object} Type-15 record
+ */
+export function parseType15(record, idc) {
+  const f = record.numbered;
+  const imp = toInt(f[3]);
+  const plp = toInt(f[13]);
+
+  return {
+    recordType: 15,
+    palm: true,
+    length: record.length,
+    idc,
+    impressionType: imp,
+    impressionName: IMPRESSION_TYPES[imp] || `Unknown (${f[3] ?? ''})`,
+    fingerPosition: plp,
+    fingerName: PALM_NAMES[plp] || `Unknown (${plp})`,
+    source: f[4] || null,
+    captureDate: f[5] ? parseDate(f[5]) : null,
+    ...imageAttributes(f, { width: 6, height: 7, slc: 8, thps: 9, tvps: 10, cga: 11 }),
+    bitsPerPixel: toInt(f[12]) ?? 8,
+    amputations: subfields(f[18]).map(s => {
+      const [position, code] = items(s);
+      return { position: toInt(position), code: code || '', codeName: AMPUTATION_CODES[code] || `Unknown (${code ?? ''})` };
+    }),
+    comment: f[20] || null,
+    palmQuality: subfields(f[24]).map(parseQualityMetric),
+    imageData: record.data || Buffer.alloc(0),
+    fields: copyFields(record.fields),
+  };
+}
+
+/**
+ * Build a Type-17 iris image record from its parsed tagged fields.
+ * @param {{ fields: Object, numbered: Object, data: Buffer|null, length: number }} record - Output of parseTaggedRecord
+ * @param {number} idc - IDC from the CNT entry
+ * @returns {Object} Type-17 record
+ */
+export function parseType17(record, idc) {
+  const f = record.numbered;
+  const eye = toInt(f[3]) ?? 0;
+  const mms = items(f[19]);
+
+  return {
+    recordType: 17,
+    length: record.length,
+    idc,
+    eyeLabel: eye,
+    eyeName: EYE_LABELS[eye] || `Unknown (${f[3]})`,
+    source: f[4] || null,
+    captureDate: f[5] ? parseDate(f[5]) : null,
+    ...imageAttributes(f, { width: 6, height: 7, slc: 8, thps: 9, tvps: 10, cga: 11 }),
+    bitsPerPixel: toInt(f[12]) ?? 8,
+    colorSpace: f[13] || null,
+    colorSpaceName: f[13] ? COLOR_SPACES[f[13]] || `Unknown (${f[13]})` : null,
+    rotationAngle: toInt(f[14]),
+    rotationUncertainty: toInt(f[15]),
+    device: f[17] !== undefined || f[19] !== undefined ? {
+      uniqueId: f[17] || null,
+      make: mms[0] || '',
+      model: mms[1] || '',
+      serial: mms[2] || '',
+    } : null,
+    eyeColor: f[20] || null,
+    comment: f[21] || null,
+    quality: subfields(f[24]).map(s => {
+      const [score, vendor, product] = items(s);
+      return { score: toInt(score), vendor: vendor || '', product: product || '' };
+    }),
+    irisDiameter: toInt(f[26]),
+    storageFormat: toInt(f[32]),
+    boundaries: {
+      pupil: parseBoundary(f[33]),
+      sclera: parseBoundary(f[34]),
+      upperEyelid: parseBoundary(f[35]),
+      lowerEyelid: parseBoundary(f[36]),
+    },
+    imageData: record.data || Buffer.alloc(0),
+    fields: copyFields(record.fields),
+  };
+}
+
+/**
+ * Iris boundary: shape code, point count, then alternating X/Y coordinates.
+ */
+function parseBoundary(value) {
+  if (value === undefined || value === '') return null;
+  const [shape, , ...coords] = items(value);
+  const points = [];
+  for (let i = 0; i + 1 < coords.length; i += 2) {
+    points.push({ x: toInt(coords[i]), y: toInt(coords[i + 1]) });
+  }
+  return { shape, shapeName: IRIS_BOUNDARY_SHAPES[shape] || `Unknown (${shape})`, points };
+}
+
+/**
+ * Quality metric subfield: position, score, algorithm vendor ID, algorithm product code.
+ */
+function parseQualityMetric(subfield) {
+  const [position, score, vendor, product] = items(subfield);
+  return { position: toInt(position), score: toInt(score), vendor: vendor || '', product: product || '' };
+}
+
+/**
+ * Decode the image geometry and compression fields shared by tagged image
+ * records. Field numbers differ per record type, so callers pass a map.
+ * SLC (scale units): 0 = no scale, 1 = pixels per inch, 2 = pixels per centimetre.
+ */
+function imageAttributes(f, map) {
+  const slc = toInt(f[map.slc]);
+  const thps = toInt(f[map.thps]);
+  const tvps = toInt(f[map.tvps]);
+  const cga = f[map.cga] || 'NONE';
+  return {
+    width: toInt(f[map.width]),
+    height: toInt(f[map.height]),
+    scaleUnits: slc,
+    horizontalPixelScale: thps,
+    verticalPixelScale: tvps,
+    ppi: toPpi(slc, thps),
+    compression: cga,
+    compressionName: COMPRESSION_CODES[cga] || `Unknown (${cga})`,
+  };
+}
+
+function toPpi(slc, scale) {
+  if (scale === null) return null;
+  if (slc === 1) return scale;
+  if (slc === 2) return Math.round(scale * CM_PER_INCH);
+  return null;
+}
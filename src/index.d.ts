@@ -41,10 +41,45 @@ export interface Scanner {
   serial: string;
 }
 
+export interface ScanningResolution {
+  ppmm: number;
+  ppi: number;
+}
+
+export interface CharacterSet {
+  index: number | null;
+  name: string;
+  version: string | null;
+}
+
+export interface TransactionHeader {
+  raw: Record<string, string>;
+  version: number | null;
+  versionName: string | null;
+  transactionType: string | null;
+  transactionTypeName: string | null;
+  date: ParsedDate | null;
+  priority: number | null;
+  destinationAgency: string | null;
+  originatingAgency: string | null;
+  agencyNames: { destination: string | null; originating: string | null } | null;
+  controlNumber: string | null;
+  controlReference: string | null;
+  nativeResolution: ScanningResolution | null;
+  transmittingResolution: ScanningResolution | null;
+  domain: { name: string; version: string | null } | null;
+  gmt: Date | null;
+  characterSets: CharacterSet[];
+}
+
 export interface Type2Demographics {
+  recordType: 2;
+  /** IDC from CNT; null for the empty `type2` of a transaction without Type-2 */
+  idc: number | null;
   raw: Record<string, string>;
   name: SubjectName | null;
   fullName: string | null;
+  aliases: string[];
   dob: ParsedDate | null;
   sex: string | null;
   race: string | null;
@@ -58,28 +93,546 @@ export interface Type2Demographics {
   scanner: Scanner | null;
 }
 
-export interface Type4Record {
+export interface BinaryImageRecord {
+  recordType: 3 | 4 | 5 | 6;
   length: number;
   idc: number;
   impressionType: number;
   impressionName: string;
+  /** First possible finger position */
   fingerPosition: number;
   fingerName: string;
-  ppi: number;
+  /** All finger positions in the 6-byte FGP field, unused entries (255, or 0 after the first) removed */
+  fingerPositions: number[];
+  /** ISR byte: 0 = minimum scanning resolution, 1 = native scanning resolution from Type-1 */
+  imageScanningResolution: number;
+  /** Resolution derived from ISR: 500 (250 for Type-3 and 5) for ISR 0, 1.011 NSR or 1.012 NTR for ISR 1, null for other values */
+  ppi: number | null;
   width: number;
   height: number;
+  bitsPerPixel: 1 | 8;
   compression: number;
   compressionName: string;
   imageData: Uint8Array;
 }
 
+export interface Type4Record extends BinaryImageRecord {
+  recordType: 4;
+  bitsPerPixel: 8;
+}
+
+export interface DetectedImageFormat {
+  name: string;
+  extension: string;
+  compression: string | null;
+}
+
+export interface Type7Record {
+  recordType: 7;
+  length: number;
+  idc: number;
+  payload: Uint8Array;
+  format: DetectedImageFormat | null;
+  imageData: Uint8Array | null;
+}
+
+export interface Minutia {
+  index: number | null;
+  x: number | null;
+  y: number | null;
+  theta: number | null;
+  type: string | number | null;
+  typeName: string;
+  quality: number | null;
+  ridgeCounts: { neighbor: number; count: number }[];
+}
+
+export interface SingularPoint {
+  x: number | null;
+  y: number | null;
+  direction?: number | null;
+  radius?: number | null;
+  directions?: Array<number | null>;
+}
+
+export interface Type9StandardBlock {
+  originatingSystem: { name: string; method: string; equipment: string } | null;
+  fingerPositions: number[];
+  patternClassification: { source: string; code: string }[];
+  cores: SingularPoint[];
+  deltas: SingularPoint[];
+  minutiaeCount: number | null;
+  ridgeCountsPresent: boolean;
+  minutiae: Minutia[];
+}
+
+export interface Type9FbiBlock {
+  fingerPosition: number | null;
+  minutiaeCount: number | null;
+  characterizationProcess: { name: string; version: string } | null;
+  patternClassification: string[];
+  regionOfValue: SingularPoint[];
+  cores: SingularPoint[];
+  deltas: SingularPoint[];
+  minutiae: Minutia[];
+  characterizationQuality: string | null;
+}
+
+export interface Type9IncitsBlock {
+  cbeff: { formatOwner: string; formatType: string; productId: string } | null;
+  captureEquipment: { compliance: string; id: string } | null;
+  width: number | null;
+  height: number | null;
+  scaleUnits: number | null;
+  horizontalResolution: number | null;
+  verticalResolution: number | null;
+  viewNumber: number | null;
+  fingerPosition: number | null;
+  quality: { quality: number | null; vendor: string; algorithm: string }[];
+  minutiaeCount: number | null;
+  minutiae: Minutia[];
+  ridgeCounts: { from: number | null; to: number | null; count: number | null }[];
+  cores: SingularPoint[];
+  deltas: SingularPoint[];
+}
+
+export interface Type9Record {
+  recordType: 9;
+  length: number;
+  idc: number;
+  impressionType: number;
+  impressionName: string;
+  format: 'standard' | 'user-defined';
+  fingerPosition: number | null;
+  fingerName: string | null;
+  fingerPositions: number[];
+  minutiae: Minutia[];
+  cores: SingularPoint[];
+  deltas: SingularPoint[];
+  standard: Type9StandardBlock | null;
+  fbi: Type9FbiBlock | null;
+  incits: Type9IncitsBlock | null;
+  linkedRecord: BinaryImageRecord | Type13Record | Type14Record | null;
+  fields: Record<string, string>;
+}
+
+export interface SmtDescriptor {
+  code: string;
+  codeName: string;
+  tattooClass: string | null;
+  subclass: string | null;
+  description: string | null;
+}
+
+export interface Type10Record {
+  recordType: 10;
+  length: number;
+  idc: number;
+  imageType: string;
+  imageTypeName: string;
+  source: string | null;
+  photoDate: ParsedDate | null;
+  width: number | null;
+  height: number | null;
+  scaleUnits: number | null;
+  horizontalPixelScale: number | null;
+  verticalPixelScale: number | null;
+  ppi: number | null;
+  compression: string;
+  compressionName: string;
+  colorSpace: string | null;
+  colorSpaceName: string | null;
+  acquisitionProfile: number | null;
+  pose: string | null;
+  poseName: string | null;
+  poseOffsetAngle: number | null;
+  smt: {
+    codes: string[];
+    size: { height: number | null; width: number | null } | null;
+    descriptors: SmtDescriptor[];
+    colors: string[];
+  } | null;
+  imageData: Uint8Array;
+  fields: Record<string, string>;
+}
+
+export interface QualityMetric {
+  position: number | null;
+  score: number | null;
+  vendor: string;
+  product: string;
+}
+
+export interface Type14Record {
+  recordType: 14;
+  length: number;
+  idc: number;
+  impressionType: number | null;
+  impressionName: string;
+  fingerPosition: number | null;
+  fingerName: string;
+  fingerPositions: number[];
+  source: string | null;
+  captureDate: ParsedDate | null;
+  width: number | null;
+  height: number | null;
+  scaleUnits: number | null;
+  horizontalPixelScale: number | null;
+  verticalPixelScale: number | null;
+  ppi: number | null;
+  compression: string;
+  compressionName: string;
+  bitsPerPixel: number;
+  printPositions: { position: number | null; code: string }[];
+  amputations: { position: number | null; code: string; codeName: string }[];
+  comment: string | null;
+  segments: { position: number | null; left: number | null; right: number | null; top: number | null; bottom: number | null }[];
+  nistQuality: { position: number | null; score: number | null }[];
+  segmentationQuality: QualityMetric[];
+  fingerprintQuality: QualityMetric[];
+  imageData: Uint8Array;
+  fields: Record<string, string>;
+}
+
+export interface Type13Record {
+  recordType: 13;
+  latent: true;
+  length: number;
+  idc: number;
+  impressionType: number | null;
+  impressionName: string;
+  fingerPosition: number | null;
+  fingerName: string;
+  fingerPositions: number[];
+  source: string | null;
+  captureDate: ParsedDate | null;
+  width: number | null;
+  height: number | null;
+  scaleUnits: number | null;
+  horizontalPixelScale: number | null;
+  verticalPixelScale: number | null;
+  ppi: number | null;
+  compression: string;
+  compressionName: string;
+  bitsPerPixel: number;
+  searchPositions: { position: number | null; code: string }[];
+  printPositionCoordinates: {
+    view: string;
+    segment: string;
+    left: number | null;
+    right: number | null;
+    top: number | null;
+    bottom: number | null;
+  }[];
+  comment: string | null;
+  latentQuality: QualityMetric[];
+  imageData: Uint8Array;
+  fields: Record<string, string>;
+}
+
+export interface Type15Record {
+  recordType: 15;
+  palm: true;
+  length: number;
+  idc: number;
+  impressionType: number | null;
+  impressionName: string;
+  fingerPosition: number | null;
+  fingerName: string;
+  source: string | null;
+  captureDate: ParsedDate | null;
+  width: number | null;
+  height: number | null;
+  scaleUnits: number | null;
+  horizontalPixelScale: number | null;
+  verticalPixelScale: number | null;
+  ppi: number | null;
+  compression: string;
+  compressionName: string;
+  bitsPerPixel: number;
+  amputations: { position: number | null; code: string; codeName: string }[];
+  comment: string | null;
+  palmQuality: QualityMetric[];
+  imageData: Uint8Array;
+  fields: Record<string, string>;
+}
+
+export interface IrisBoundary {
+  shape: string;
+  shapeName: string;
+  points: { x: number | null; y: number | null }[];
+}
+
+export interface Type17Record {
+  recordType: 17;
+  length: number;
+  idc: number;
+  eyeLabel: number;
+  eyeName: string;
+  source: string | null;
+  captureDate: ParsedDate | null;
+  width: number | null;
+  height: number | null;
+  scaleUnits: number | null;
+  horizontalPixelScale: number | null;
+  verticalPixelScale: number | null;
+  ppi: number | null;
+  compression: string;
+  compressionName: string;
+  bitsPerPixel: number;
+  colorSpace: string | null;
+  colorSpaceName: string | null;
+  rotationAngle: number | null;
+  rotationUncertainty: number | null;
+  device: { uniqueId: string | null; make: string; model: string; serial: string } | null;
+  eyeColor: string | null;
+  comment: string | null;
+  quality: { score: number | null; vendor: string; product: string }[];
+  irisDiameter: number | null;
+  storageFormat: number | null;
+  boundaries: {
+    pupil: IrisBoundary | null;
+    sclera: IrisBoundary | null;
+    upperEyelid: IrisBoundary | null;
+    lowerEyelid: IrisBoundary | null;
+  };
+  imageData: Uint8Array;
+  fields: Record<string, string>;
+}
+
+export interface RecordHash {
+  field: number;
+  recordType: number;
+  idc: number;
+  algorithm: string;
+  digest: string;
+}
+
+export interface AuditLogEntry {
+  event: string;
+  reason: string | null;
+  field: string | null;
+  date: string | null;
+  agency: string | null;
+  oldValue: string | null;
+}
+
+export interface Type98Record {
+  recordType: 98;
+  length: number;
+  idc: number;
+  formatOwner: string | null;
+  formatType: string | null;
+  createdAt: string | null;
+  auditLog: AuditLogEntry[];
+  revision: number | null;
+  hashes: RecordHash[];
+  fields: Record<string, string>;
+}
+
+export interface Type99Record {
+  recordType: 99;
+  length: number;
+  idc: number;
+  source: string | null;
+  createdAt: string | null;
+  headerVersion: string | null;
+  biometricType: number | null;
+  biometricTypeName: string | null;
+  biometricSubtype: string | null;
+  fingerPosition: number | null;
+  quality: { score: number | null; vendor: string; product: string }[];
+  formatOwner: string | null;
+  formatType: string | null;
+  formatName: string | null;
+  bdb: Uint8Array;
+  fields: Record<string, string>;
+}
+
+export interface RecordLayout {
+  type: number;
+  idc: number;
+  offset: number;
+  length: number;
+}
+
+export interface VerifyResult {
+  recordType: number;
+  idc: number;
+  status: 'match' | 'mismatch' | 'missing' | 'unsupported' | 'unreferenced';
+  algorithm: string | null;
+  expected: string | null;
+  actual: string | null;
+  assuranceIdc: number | null;
+}
+
 export interface EftFile {
   type1: Record<string, string>;
+  header: TransactionHeader;
+  /** First Type-2 record, or empty demographics when there is none */
   type2: Type2Demographics;
+  /** Every Type-2 record (one per subject) in CNT order */
+  type2Records: Type2Demographics[];
+  type3Records: BinaryImageRecord[];
   type4Records: Type4Record[];
+  type5Records: BinaryImageRecord[];
+  type6Records: BinaryImageRecord[];
+  type7Records: Type7Record[];
+  type9Records: Type9Record[];
+  type10Records: Type10Record[];
+  type13Records: Type13Record[];
+  type14Records: Type14Record[];
+  type15Records: Type15Record[];
+  type17Records: Type17Record[];
+  type98Records: Type98Record[];
+  type99Records: Type99Record[];
+  /** Every record after Type-1, in file order */
+  records: EftRecord[];
+  layout: RecordLayout[];
+  encodingIssues: EncodingIssue[];
+  warnings: ParseWarning[];
+  /** Byte offset of the transaction in the parsed buffer */
+  offset: number;
+  /** Byte length of the transaction */
+  length: number;
   fileSize: number;
 }
 
+/** Type-1 record yielded by parseEftStream at the start of each transaction */
+export interface StreamType1Record {
+  recordType: 1;
+  idc: 0;
+  offset: number;
+  length: number;
+  fields: Record<string, string>;
+  header: TransactionHeader;
+  warnings: ParseWarning[];
+  encodingIssues: EncodingIssue[];
+}
+
+/**
+ * Record yielded by parseEftStream. From a file, image records have a null
+ * `imageData` until read with `loadImageData()`.
+ */
+export type StreamRecord = StreamType1Record | (EftRecord & {
+  offset: number;
+  length: number;
+  warnings: ParseWarning[];
+  encodingIssues: EncodingIssue[];
+  /** Image data, Type-7 payload or Type-99 BDB; null for records without one */
+  loadImageData(): Promise<Buffer | null>;
+});
+
+export interface Container {
+  type: 'gzip' | 'zip' | 'base64';
+  /** Zip entry path, or the file name stored in a gzip header */
+  name: string | null;
+  /** Where the wrapped data starts in its parent */
+  offset: number;
+}
+
+export interface UnwrappedEft {
+  data: Buffer;
+  /** Wrappers around the EFT, outermost first; empty for a plain file */
+  containers: Container[];
+}
+
+export type EftRecord =
+  | Type2Demographics | BinaryImageRecord | Type7Record | Type9Record | Type10Record | Type13Record
+  | Type14Record | Type15Record | Type17Record | Type98Record | Type99Record;
+
+/** Input to writeEft: the Type-1 field map and the records that follow it */
+export interface EftTransaction {
+  type1: Record<string, string>;
+  records: EftRecord[];
+}
+
+export interface TaggedField {
+  tag: string;
+  recordType: number;
+  number: number | null;
+  mnemonic: string | null;
+  raw: string;
+  /** RS-separated subfields, each split into US-separated information items */
+  subfields: string[][];
+}
+
+/** A parsed tagged record, Type-2 demographics, or a raw tag → value map */
+export type TaggedFieldSource =
+  | { fields: Record<string, string>; recordType?: number }
+  | { raw: Record<string, string> }
+  | Record<string, string>;
+
+export interface ParseWarning {
+  code:
+    | 'length-mismatch' | 'idc-mismatch' | 'unknown-compression' | 'truncated-record'
+    | 'unreadable-record' | 'unsupported-record' | 'malformed-cnt' | 'cnt-count-mismatch'
+    | 'more-transactions' | 'trailing-data' | 'unknown-resolution';
+  message: string;
+  offset: number;
+  recordType: number;
+  idc: number | null;
+  tag: string | null;
+}
+
+export interface ValidationIssue {
+  severity: 'error' | 'warning';
+  /** Rule name, e.g. 'mandatory-field', 'field-format', 'date', 'code-value', 'cnt', 'idc-unique', 'resolution', 'image-size', 'profile-version', 'profile-tot', 'profile-record', 'profile-field', 'profile-position', 'profile-compression', or a ParseWarning code */
+  rule: string;
+  message: string;
+  recordType: number;
+  idc: number | null;
+  tag: string | null;
+}
+
+export interface ValidationReport {
+  valid: boolean;
+  errors: number;
+  warnings: number;
+  issues: ValidationIssue[];
+}
+
+export interface ProfileTransaction {
+  /** Record count constraints, e.g. `{ types: [4, 14], min: 10 }` */
+  records?: Array<{ types: number[]; min?: number; max?: number }>;
+  /** Type-2 fields (mnemonics) every Type-2 record must contain */
+  type2?: string[];
+  /** Finger positions allowed in Type-3 to Type-6 and Type-14 records */
+  positions?: number[];
+  /** Finger positions that must be captured or listed as amputated */
+  requiredPositions?: number[];
+}
+
+export interface EbtsProfile {
+  id: string;
+  name: string;
+  /** Accepted 1.002 VER values */
+  versions?: string[];
+  /** Accepted compression per record type: CGA byte for binary records, CGA code for tagged records */
+  compression?: Record<number, Array<number | string>>;
+  /** Further compression codes accepted per 1.002 VER value, by record type */
+  versionCompression?: Record<string, Record<number, Array<number | string>>>;
+  /** Rules per TOT; a TOT without rules is reported as a warning */
+  transactions?: Record<string, ProfileTransaction>;
+}
+
+export interface ValidateOptions {
+  /** Profile id, profile object, or null to skip profile rules (default 'fbi-ebts-11') */
+  profile?: string | EbtsProfile | null;
+}
+
+export interface ParseOptions {
+  /** Throw on the first structural error (default true); false records them in `warnings` */
+  strict?: boolean;
+}
+
+export interface EncodingIssue {
+  recordType: number;
+  idc: number;
+  tag: string;
+  encoding: string;
+}
+
 export interface DecodedImage {
   width: number;
   height: number;
@@ -88,28 +641,122 @@ export interface DecodedImage {
 
 // --- Functions ---
 
-export function parseEft(buf: Buffer | Uint8Array): EftFile;
+export function parseEft(buf: Buffer | Uint8Array, options?: ParseOptions): EftFile;
+export function parseAllEft(buf: Buffer | Uint8Array, options?: ParseOptions): EftFile[];
+export function unwrapEft(buf: Buffer | Uint8Array): UnwrappedEft[];
+export function parseWrappedEft(buf: Buffer | Uint8Array, options?: ParseOptions): Array<EftFile & { containers: Container[] }>;
+export function parseEftStream(
+  source: string | import('node:fs/promises').FileHandle | AsyncIterable<Uint8Array>,
+): AsyncGenerator<StreamRecord, void, undefined>;
+export function writeEft(transaction: EftTransaction): Buffer;
+export interface AnonymizeOptions {
+  /** Type-2 fields by mnemonic, number or tag (default: ANONYMIZED_FIELDS) */
+  fields?: Array<string | number>;
+  mode?: 'blank' | 'pseudonymize';
+  seed?: string;
+  tcn?: string;
+  ori?: string;
+}
+
+export function anonymizeEft(eft: EftFile, options?: AnonymizeOptions): Array<{ tag: string; action: 'removed' | 'replaced' }>;
+export function findRecord(eft: EftFile, recordType: number, idc: number): EftRecord | null;
+export function insertRecord<T extends EftRecord>(eft: EftFile, record: T, index?: number): T;
+export function removeRecord<T extends EftRecord>(eft: EftFile, record: T): T;
+export function replaceRecord<T extends EftRecord>(eft: EftFile, record: EftRecord, replacement: T): T;
+export function moveRecord<T extends EftRecord>(eft: EftFile, record: T, index: number): T;
+export function reassignIdc<T extends EftRecord>(eft: EftFile, record: T, idc: number): T;
+export function parseField(tag: string, raw: string): TaggedField;
+export function getField(source: TaggedFieldSource, key: string | number): TaggedField | null;
+export function getFields(source: TaggedFieldSource): TaggedField[];
+export function setField(source: TaggedFieldSource, key: string | number, value: string | Array<string | string[]>): TaggedField;
+export function deleteField(source: TaggedFieldSource, key: string | number): boolean;
+export interface Type2FieldSpec {
+  mnemonic: string;
+  name: string;
+  format: 'text' | 'numeric' | 'date' | 'code' | 'height' | 'weight';
+  /** Code table for 'code' fields */
+  codes?: Record<string, string>;
+  /** The code table lists only some of the valid codes (e.g. POB, which also takes country codes) */
+  partial?: boolean;
+  /** Field may hold several RS-separated subfields */
+  repeating?: boolean;
+  /** Information items of a field made of several parts */
+  items?: Array<{ name: string; format: Type2FieldSpec['format']; codes?: Record<string, string> }>;
+}
+
+export interface DescribedField {
+  tag: string;
+  number: number | null;
+  mnemonic: string | null;
+  /** Name from TYPE2_FIELDS, or null for fields outside the dictionary */
+  name: string | null;
+  raw: string;
+  /** Human-readable value: dates formatted, codes decoded, subfields joined with "; " */
+  value: string;
+}
+
+export function describeType2(source: TaggedFieldSource): DescribedField[];
+export function decodeText(bytes: Buffer | Uint8Array, encoding?: string): { text: string; valid: boolean; encodings: string[] };
+export function encodeText(text: string, encoding?: string, characterSets?: Array<{ index: number | null }>): Buffer;
+export function validateEft(source: Buffer | Uint8Array | EftFile, options?: ValidateOptions): ValidationReport;
+export function verifyEft(buf: Buffer | Uint8Array): { valid: boolean; results: VerifyResult[] };
 export function decodeWsq(data: Buffer | Uint8Array): DecodedImage;
 export function toTiff(pixels: Uint8Array, width: number, height: number, ppi?: number): Promise<Buffer>;
 export function toPng(pixels: Uint8Array, width: number, height: number): Promise<Buffer>;
 export function exportFilename(fingerPosition: number, format?: string): string;
+export function exportImageRecord(rec: Type10Record | Type17Record): Promise<{ buffer: Buffer; extension: string }>;
+export function decodeImage(rec: Pick<BinaryImageRecord | Type13Record | Type14Record | Type15Record, 'compression' | 'width' | 'height' | 'imageData'> & { recordType?: number }): Promise<DecodedImage>;
+export function userDefinedFilename(rec: Pick<Type7Record, 'idc' | 'format'>): string;
+export function detectImageFormat(bytes: Buffer | Uint8Array): DetectedImageFormat | null;
+export function latentFilename(rec: Pick<Type13Record, 'idc'>, format?: string): string;
+export function irisFilename(rec: Pick<Type17Record, 'idc' | 'eyeLabel'>, extension: string): string;
+export function photoFilename(rec: Pick<Type10Record, 'idc' | 'imageType'>, extension: string): string;
 export function formatDate(dateObj: ParsedDate | null | undefined): string;
 export function titleCase(str: string): string;
-export function resolveFingerPosition(finger: string | null | undefined): number | null;
-export function filterRecords(records: Type4Record[], fingerOpt?: string | null): Type4Record[];
+export function resolveFingerPosition(finger: string | null | undefined): number | number[] | null;
+export function filterRecords<T extends { fingerPosition: number | null; fingerPositions?: number[] }>(records: T[], fingerOpt?: string | null): T[];
+export function positionName(pos: number): string | undefined;
 export function formatHeight(heightStr: string | null | undefined): string | null | undefined;
 
 // --- Constants ---
 
 export const FINGER_NAMES: Record<number, string>;
 export const FINGER_ALIASES: Record<string, number>;
+/** Named sets of positions, e.g. `rolled`, `thumbs`, `right_slap` */
+export const FINGER_GROUPS: Record<string, number[]>;
 export const FINGER_SLUGS: Record<number, string>;
+export const PALM_NAMES: Record<number, string>;
+export const PALM_ALIASES: Record<string, number>;
+export const PALM_SLUGS: Record<number, string>;
 export const SEX_CODES: Record<string, string>;
 export const RACE_CODES: Record<string, string>;
 export const EYE_COLORS: Record<string, string>;
 export const HAIR_COLORS: Record<string, string>;
+export const STATE_CODES: Record<string, string>;
+export const YES_NO_CODES: Record<string, string>;
 export const COMPRESSION_TYPES: Record<number, string>;
+export const BILEVEL_COMPRESSION_TYPES: Record<number, string>;
 export const IMPRESSION_TYPES: Record<number, string>;
+export const MINUTIA_TYPES: Record<string, string>;
+export const INCITS_MINUTIA_TYPES: Record<number, string>;
+export const COMPRESSION_CODES: Record<string, string>;
+export const COLOR_SPACES: Record<string, string>;
+export const PHOTO_TYPES: Record<string, string>;
+export const POSE_CODES: Record<string, string>;
+export const SMT_TYPES: Record<string, string>;
+export const AMPUTATION_CODES: Record<string, string>;
+export const EYE_LABELS: Record<number, string>;
+export const IRIS_BOUNDARY_SHAPES: Record<string, string>;
+export const CBEFF_BIOMETRIC_TYPES: Record<number, string>;
+export const CBEFF_FORMATS: Record<string, string>;
+export const TYPE2_FIELDS: Record<number, Type2FieldSpec>;
+export const FIELD_MNEMONICS: Record<number, Record<number, string>>;
+export const STANDARD_VERSIONS: Record<string, string>;
+export const TRANSACTION_TYPES: Record<string, string>;
+export const CHARACTER_SETS: Record<number, string>;
+export const ANONYMIZED_FIELDS: string[];
+export const EBTS_PROFILES: Record<string, EbtsProfile>;
+export const FBI_EBTS_11: EbtsProfile;
 
 export const FS: number;
 export const GS: number;
@@ -1,11 +1,34 @@
 export { EftError, EftParseError, WsqDecodeError, ValidationError } from './errors.js';
-export { parseEft, formatDate, titleCase } from './eft-parser.js';
+export { parseEft, parseAllEft, formatDate, titleCase } from './eft-parser.js';
+export { parseEftStream } from './eft-stream.js';
+export { unwrapEft, parseWrappedEft } from './containers.js';
+export { writeEft } from './eft-writer.js';
+export {
+  findRecord, insertRecord, removeRecord, replaceRecord, moveRecord, reassignIdc,
+} from './transaction-edit.js';
+export { anonymizeEft } from './anonymize.js';
 export { decodeWsq } from './wsq-decoder.js';
-export { toTiff, toPng, exportFilename } from './image-export.js';
-export { resolveFingerPosition, filterRecords, formatHeight } from './helpers.js';
+export { detectImageFormat } from './binary-records.js';
+export { verifyEft } from './integrity.js';
+export { validateEft } from './validator.js';
+export { EBTS_PROFILES, FBI_EBTS_11 } from './profiles.js';
+export { parseField, getField, getFields, setField, deleteField } from './fields.js';
+export { describeType2 } from './type2-fields.js';
+export { decodeText, encodeText } from './charset.js';
+export {
+  toTiff, toPng, exportFilename, exportImageRecord, photoFilename, latentFilename, irisFilename, decodeImage,
+  userDefinedFilename,
+} from './image-export.js';
+export { resolveFingerPosition, filterRecords, formatHeight, positionName } from './helpers.js';
 export {
-  FINGER_NAMES, FINGER_ALIASES, FINGER_SLUGS,
-  SEX_CODES, RACE_CODES, EYE_COLORS, HAIR_COLORS,
-  COMPRESSION_TYPES, IMPRESSION_TYPES,
+  FINGER_NAMES, FINGER_ALIASES, FINGER_GROUPS, FINGER_SLUGS,
+  PALM_NAMES, PALM_ALIASES, PALM_SLUGS,
+  SEX_CODES, RACE_CODES, EYE_COLORS, HAIR_COLORS, STATE_CODES, YES_NO_CODES,
+  COMPRESSION_TYPES, BILEVEL_COMPRESSION_TYPES, IMPRESSION_TYPES,
+  MINUTIA_TYPES, INCITS_MINUTIA_TYPES,
+  COMPRESSION_CODES, COLOR_SPACES, PHOTO_TYPES, POSE_CODES, SMT_TYPES,
+  AMPUTATION_CODES, EYE_LABELS, IRIS_BOUNDARY_SHAPES,
+  CBEFF_BIOMETRIC_TYPES, CBEFF_FORMATS, TYPE2_FIELDS, FIELD_MNEMONICS,
+  STANDARD_VERSIONS, TRANSACTION_TYPES, CHARACTER_SETS, ANONYMIZED_FIELDS,
   FS, GS, RS, US,
 } from './constants.js';
@@ -0,0 +1,75 @@
+import { createHash, getHashes } from 'node:crypto';
+import { parseEft } from './eft-parser.js';
+
+/**
+ * Verify the record hashes listed in an EFT file's Type-98 records.
+ * Each referenced record's bytes are hashed with node:crypto and compared to
+ * the stored digest. Records that no Type-98 hash covers are reported as
+ * unreferenced; Type-98 records themselves are not expected to be hashed.
+ * @param {Buffer|Uint8Array} buf - Raw EFT file data
+ * @returns {{ valid: boolean, results: Array<{ recordType: number, idc: number, status: string, algorithm: string|null, expected: string|null, actual: string|null, assuranceIdc: number|null }> }}
+ *   `status` is one of "match", "mismatch", "missing" (referenced record not in the file),
+ *   "unsupported" (unknown hash algorithm) or "unreferenced"
+ */
+export function verifyEft(buf) {
+  const eft = parseEft(buf);
+  const available = new Set(getHashes());
+  const results = [];
+  const covered = new Set();
+
+  for (const ia of eft.type98Records) {
+    for (const ref of ia.hashes) {
+      const entry = eft.layout.find(r => r.type === ref.recordType && r.idc === ref.idc);
+      const algorithm = normalizeAlgorithm(ref.algorithm, available);
+      const result = {
+        recordType: ref.recordType,
+        idc: ref.idc,
+        status: 'match',
+        algorithm: ref.algorithm,
+        expected: ref.digest,
+        actual: null,
+        assuranceIdc: ia.idc,
+      };
+      if (entry) covered.add(entry);
+      if (!entry) {
+        result.status = 'missing';
+      } else if (!algorithm) {
+        result.status = 'unsupported';
+      } else {
+        const bytes = buf.subarray(entry.offset, entry.offset + entry.length);
+        result.actual = createHash(algorithm).update(bytes).digest('hex');
+        if (result.actual !== ref.digest) result.status = 'mismatch';
+      }
+      results.push(result);
+    }
+  }
+
+  for (const entry of eft.layout) {
+    if (entry.type === 98 || covered.has(entry)) continue;
+    results.push({
+      recordType: entry.type,
+      idc: entry.idc,
+      status: 'unreferenced',
+      algorithm: null,
+      expected: null,
+      actual: null,
+      assuranceIdc: null,
+    });
+  }
+
+  return {
+    valid: results.every(r => r.status === 'match' || r.status === 'unreferenced'),
+    results,
+  };
+}
+
+/**
+ * Map algorithm labels such as "SHA-256", "sha256" or "SHA3-256" to a
+ * node:crypto hash name, or null if the algorithm is not available.
+ */
+function normalizeAlgorithm(name, available) {
+  const lower = name.toLowerCase();
+  if (available.has(lower)) return lower;
+  const compact = lower.replace(/-/g, '');
+  return available.has(compact) ? compact : null;
+}
@@ -0,0 +1,192 @@
+import { FINGER_NAMES, IMPRESSION_TYPES, MINUTIA_TYPES, INCITS_MINUTIA_TYPES } from './constants.js';
+import { subfields, items, toInt, copyFields } from './tagged-record.js';
+
+/**
+ * Build a structured Type-9 minutiae record from its parsed tagged fields.
+ * Decodes the legacy standard block (9.005-9.012), the FBI/IAFIS extended
+ * block (9.014-9.030) and the INCITS 378 block (9.126-9.150) when present.
+ * @param {{ fields: Object, numbered: Object, length: number }} record - Output of parseTaggedRecord
+ * @param {number} idc - IDC from the CNT entry
+ * @returns {Object} Type-9 record
+ */
+export function parseType9(record, idc) {
+  const f = record.numbered;
+  const imp = parseInt(f[3], 10);
+
+  const standard = f[5] !== undefined || f[12] !== undefined ? parseStandardBlock(f) : null;
+  const fbi = f[14] !== undefined || f[23] !== undefined ? parseFbiBlock(f) : null;
+  const incits = f[126] !== undefined || f[137] !== undefined ? parseIncitsBlock(f) : null;
+
+  // Prefer the most explicit finger position available
+  const explicitFgp = incits?.fingerPosition ?? fbi?.fingerPosition ?? null;
+  const fingerPositions = explicitFgp !== null ? [explicitFgp] : standard?.fingerPositions || [];
+  const fgp = fingerPositions[0] ?? null;
+
+  const minutiae = standard?.minutiae.length ? standard.minutiae
+    : fbi?.minutiae.length ? fbi.minutiae
+      : incits?.minutiae || [];
+
+  return {
+    recordType: 9,
+    length: record.length,
+    idc,
+    impressionType: imp,
+    impressionName: IMPRESSION_TYPES[imp] || `Unknown (${f[3]})`,
+    format: f[4] === 'U' ? 'user-defined' : 'standard',
+    fingerPosition: fgp,
+    fingerName: fgp === null ? null : FINGER_NAMES[fgp] || `Unknown (${fgp})`,
+    fingerPositions,
+    minutiae,
+    cores: standard?.cores.length ? standard.cores : fbi?.cores || incits?.cores || [],
+    deltas: standard?.deltas.length ? standard.deltas : fbi?.deltas || incits?.deltas || [],
+    standard,
+    fbi,
+    incits,
+    linkedRecord: null,
+    fields: copyFields(record.fields),
+  };
+}
+
+/**
+ * Legacy ANSI/NIST standard minutiae block (9.005-9.012).
+ */
+function parseStandardBlock(f) {
+  const ofr = items(f[5]);
+  return {
+    originatingSystem: f[5] === undefined ? null : {
+      name: ofr[0] || '',
+      method: ofr[1] || '',
+      equipment: ofr[2] || '',
+    },
+    fingerPositions: subfields(f[6]).map(s => parseInt(s, 10)).filter(n => !isNaN(n) && n !== 255),
+    patternClassification: subfields(f[7]).map(s => {
+      const [source, code] = items(s);
+      return { source: source || '', code: code || '' };
+    }),
+    cores: subfields(f[8]).map(parseXy),
+    deltas: subfields(f[9]).map(parseXy),
+    minutiaeCount: toInt(f[10]),
+    ridgeCountsPresent: f[11] === '1',
+    minutiae: subfields(f[12]).map(s => parseXyt(items(s), MINUTIA_TYPES)),
+  };
+}
+
+/**
+ * FBI/IAFIS extended minutiae block (9.014-9.030).
+ */
+function parseFbiBlock(f) {
+  const fcp = items(f[16]);
+  return {
+    fingerPosition: toInt(f[14]),
+    minutiaeCount: toInt(f[15]),
+    characterizationProcess: f[16] === undefined ? null : { name: fcp[0] || '', version: fcp[1] || '' },
+    patternClassification: subfields(f[17]).map(s => items(s)[0]),
+    regionOfValue: subfields(f[18]).map(parseXy),
+    cores: subfields(f[21]).map(s => {
+      const [loc, direction, radius] = items(s);
+      return { ...parseXy(loc), direction: toInt(direction), radius: toInt(radius) };
+    }),
+    deltas: subfields(f[22]).map(s => {
+      const [loc, ...directions] = items(s);
+      return { ...parseXy(loc), directions: directions.map(toInt).filter(d => d !== null) };
+    }),
+    minutiae: subfields(f[23]).map(s => parseXyt(items(s), MINUTIA_TYPES)),
+    characterizationQuality: f[24] ?? null,
+  };
+}
+
+/**
+ * INCITS 378 minutiae block (9.126-9.150). Angles are stored in
+ * 2-degree units and converted to degrees here.
+ */
+function parseIncitsBlock(f) {
+  const cbi = items(f[126]);
+  const cei = items(f[127]);
+  const fqd = subfields(f[135]).map(s => {
+    const [quality, vendor, algorithm] = items(s);
+    return { quality: toInt(quality), vendor: vendor || '', algorithm: algorithm || '' };
+  });
+  return {
+    cbeff: f[126] === undefined ? null : { formatOwner: cbi[0] || '', formatType: cbi[1] || '', productId: cbi[2] || '' },
+    captureEquipment: f[127] === undefined ? null : { compliance: cei[0] || '', id: cei[1] || '' },
+    width: toInt(f[128]),
+    height: toInt(f[129]),
+    scaleUnits: toInt(f[130]),
+    horizontalResolution: toInt(f[131]),
+    verticalResolution: toInt(f[132]),
+    viewNumber: toInt(f[133]),
+    fingerPosition: toInt(f[134]),
+    quality: fqd,
+    minutiaeCount: toInt(f[136]),
+    minutiae: subfields(f[137]).map(s => {
+      const [index, x, y, angle, type, quality] = items(s);
+      const t = toInt(type);
+      return {
+        index: toInt(index),
+        x: toInt(x),
+        y: toInt(y),
+        theta: incitsAngle(angle),
+        type: t,
+        typeName: INCITS_MINUTIA_TYPES[t] || `Unknown (${type ?? ''})`,
+        quality: toInt(quality),
+        ridgeCounts: [],
+      };
+    }),
+    ridgeCounts: subfields(f[138]).map(s => {
+      const [from, to, count] = items(s);
+      return { from: toInt(from), to: toInt(to), count: toInt(count) };
+    }),
+    cores: subfields(f[139]).map(s => {
+      const [x, y, angle] = items(s);
+      return { x: toInt(x), y: toInt(y), direction: incitsAngle(angle) };
+    }),
+    deltas: subfields(f[140]).map(s => {
+      const [x, y, ...angles] = items(s);
+      return { x: toInt(x), y: toInt(y), directions: angles.map(incitsAngle) };
+    }),
+  };
+}
+
+/**
+ * Degrees from an INCITS angle in 2-degree units, or null when it is missing.
+ */
+function incitsAngle(value) {
+  const units = toInt(value);
+  return units === null ? null : units * 2;
+}
+
+/**
+ * Decode a minutia whose location is packed as "XXXXYYYYTTT"
+ * (standard 9.012 and FBI 9.023): index, location, quality, type, ridge counts.
+ */
+function parseXyt(parts, typeTable) {
+  const [index, loc = '', quality, type, ...ridges] = parts;
+  return {
+    index: toInt(index),
+    x: toInt(loc.substring(0, 4)),
+    y: toInt(loc.substring(4, 8)),
+    theta: toInt(loc.substring(8, 11)),
+    type: type || null,
+    typeName: typeTable[type] || `Unknown (${type ?? ''})`,
+    quality: toInt(quality),
+    ridgeCounts: ridges.map(parseRidgeCount).filter(Boolean),
+  };
+}
+
+/**
+ * Ridge count items are "NNN,CC" (standard) or packed "NNNCC" (FBI).
+ */
+function parseRidgeCount(item) {
+  if (!item) return null;
+  const [neighbor, count] = item.includes(',')
+    ? item.split(',')
+    : [item.substring(0, 3), item.substring(3)];
+  const n = toInt(neighbor);
+  const c = toInt(count);
+  if (n === null || c === null) return null;
+  return { neighbor: n, count: c };
+}
+
+function parseXy(loc = '') {
+  return { x: toInt(loc.substring(0, 4)), y: toInt(loc.substring(4, 8)) };
+}
@@ -0,0 +1,79 @@
+// Agency profiles: per-transaction requirements layered on top of the
+// ANSI/NIST-ITL conformance rules checked by validateEft.
+
+const ROLLED = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const TENPRINT_POSITIONS = [...ROLLED, 11, 12, 13, 14, 15];
+
+// Type-2 fields the FBI requires on every tenprint submission
+const TENPRINT_FIELDS = ['NAM', 'POB', 'DOB', 'SEX', 'RAC', 'HGT', 'WGT', 'EYE', 'HAI', 'DPR'];
+
+const tenprint = (type2) => ({
+  records: [{ types: [2], min: 1, max: 1 }, { types: [4, 14], min: 10 }],
+  type2: [...TENPRINT_FIELDS, ...type2],
+  positions: TENPRINT_POSITIONS,
+  requiredPositions: ROLLED,
+});
+
+const criminal = tenprint(['ASL', 'DOA']);
+const civil = tenprint(['RFP']);
+const unidentified = {
+  records: [{ types: [2], min: 1, max: 1 }, { types: [4, 14], min: 1 }],
+  type2: ['SEX', 'RAC', 'DPR'],
+  positions: TENPRINT_POSITIONS,
+};
+const response = { records: [{ types: [2], min: 1, max: 1 }], type2: [] };
+
+/**
+ * FBI Electronic Biometric Transmission Specification 11. Covers the record
+ * counts, Type-2 fields and image constraints of the common tenprint, civil,
+ * search and response transactions; agency-specific rules go in a custom
+ * profile of the same shape.
+ */
+export const FBI_EBTS_11 = {
+  id: 'fbi-ebts-11',
+  name: 'FBI EBTS 11.0',
+  versions: ['0400', '0500', '0501', '0502'],
+  // Binary records use the CGA byte, tagged records the CGA code
+  compression: {
+    4: [1],
+    13: ['NONE', 'WSQ20', 'JPEGL', 'JP2L', 'PNG'],
+    14: ['WSQ20', 'JP2', 'JP2L'],
+    15: ['WSQ20', 'JP2', 'JP2L'],
+  },
+  // ANSI/NIST-ITL 1-2007 (version 0400) names WSQ compression "WSQ" rather than "WSQ20"
+  versionCompression: {
+    '0400': { 13: ['WSQ'], 14: ['WSQ'], 15: ['WSQ'] },
+  },
+  transactions: {
+    CAR: { ...criminal, type2: [...criminal.type2, 'RET'] },
+    CNA: criminal,
+    CPDR: criminal,
+    CPNU: criminal,
+    DOCE: civil,
+    EMUF: civil,
+    FANC: civil,
+    FAUF: civil,
+    FNDR: civil,
+    MAP: civil,
+    NFAP: civil,
+    NFUE: civil,
+    NFUF: civil,
+    NNDR: civil,
+    AMN: unidentified,
+    DEK: { ...unidentified, type2: ['NAM', ...unidentified.type2] },
+    DEU: unidentified,
+    MPR: unidentified,
+    TPIS: { records: [{ types: [2], min: 1, max: 1 }, { types: [4, 14], min: 1 }], type2: [], positions: TENPRINT_POSITIONS },
+    TPRS: { records: [{ types: [2], min: 1, max: 1 }, { types: [4, 14], min: 1 }], type2: [], positions: TENPRINT_POSITIONS },
+    LFS: { records: [{ types: [2], min: 1, max: 1 }, { types: [13], min: 1 }], type2: [] },
+    SRE: response,
+    ERRT: response,
+  },
+};
+
+// Profiles selectable by id, e.g. `validateEft(buf, { profile: 'fbi-ebts-11' })`
+export const EBTS_PROFILES = {
+  [FBI_EBTS_11.id]: FBI_EBTS_11,
+};
+
+export const DEFAULT_PROFILE = FBI_EBTS_11.id;
@@ -0,0 +1,207 @@
+import { FS, GS, RS, US } from './constants.js';
+import { EftParseError } from './errors.js';
+import { decodeText } from './charset.js';
+
+const COLON = 0x3a;
+const RS_CHAR = String.fromCharCode(RS);
+const US_CHAR = String.fromCharCode(US);
+const IMAGE_DATA_FIELD = 999;
+
+// Bytes each field value was decoded from, keyed by the fields object, so writeEft can keep them
+const encodedFields = new WeakMap();
+
+/**
+ * Parse a tagged-field record (Type-1, 2, 9, 10, 13-17, 98, 99).
+ * Fields are GS-separated "T.NNN:value" pairs and the record ends with FS.
+ * The image data field (T.999) is binary and always last, so it is sliced
+ * using the declared record length rather than searched for delimiters.
+ * Field values are decoded with the transaction's character set (see decodeText).
+ * @param {Buffer|Uint8Array} buf - Raw EFT file data
+ * @param {number} offset - Byte offset of the record
+ * @param {number} recordType - Expected record type
+ * @param {Object} [options]
+ * @param {string} [options.encoding='ASCII'] - Default text encoding
+ * @param {boolean} [options.strict=true] - Trust the length field even when it disagrees with the FS position
+ * @param {boolean} [options.data=true] - Slice the image data field; false when `buf` stops after the T.999 tag, as read by parseEftStream
+ * @returns {{ fields: Object, numbered: Object, data: Buffer|null, length: number, invalidFields: string[], warnings: Array<{ code: string, message: string, tag: string|null }> }}
+ *   `invalidFields` lists tags whose bytes are not valid in their declared encoding;
+ *   `warnings` reports a length field that disagrees with the record terminator
+ */
+export function parseTaggedRecord(buf, offset, recordType, { encoding = 'ASCII', strict = true, data: withData = true } = {}) {
+  // Find FS terminator (may fall inside binary image data — only used to bound ASCII fields)
+  const fsPos = buf.indexOf(FS, offset);
+  if (fsPos === -1) {
+    throw new EftParseError(`No FS terminator found for Type-${recordType} record`, { offset, recordType });
+  }
+
+  const fields = {};
+  const encoded = {};
+  const numbered = {};
+  const invalidFields = [];
+  const warnings = [];
+  let recordLength = 0;
+  let lengthTag = null;
+  let dataStart = -1;
+
+  let pos = offset;
+  while (pos < fsPos) {
+    const gsPos = buf.indexOf(GS, pos);
+    const fieldEnd = gsPos === -1 || gsPos > fsPos ? fsPos : gsPos;
+    const colonIdx = buf.indexOf(COLON, pos);
+    if (colonIdx === -1 || colonIdx > fieldEnd) {
+      pos = fieldEnd + 1;
+      continue;
+    }
+
+    const tag = ascii(buf, pos, colonIdx);
+    const number = fieldNumber(tag);
+    if (number === IMAGE_DATA_FIELD) {
+      dataStart = colonIdx + 1;
+      break;
+    }
+
+    const { text: value, valid } = decodeText(buf.subarray(colonIdx + 1, fieldEnd), encoding);
+    if (!valid) invalidFields.push(tag);
+    fields[tag] = value;
+    encoded[tag] = { text: value, bytes: buf.subarray(colonIdx + 1, fieldEnd), encoding };
+    if (number !== null) numbered[number] = value;
+
+    if (number === 1) {
+      recordLength = parseInt(value, 10);
+      lengthTag = tag;
+    }
+    pos = fieldEnd + 1;
+  }
+
+  // Use parsed length (includes FS byte)
+  const terminatedLength = fsPos - offset + 1;
+  if (!recordLength) {
+    recordLength = terminatedLength;
+  } else if (dataStart === -1 && recordLength !== terminatedLength) {
+    // Without binary data the first FS ends the record
+    warnings.push({
+      code: 'length-mismatch',
+      message: `Type-${recordType} length field says ${recordLength} bytes but the record ends after ${terminatedLength}`,
+      tag: lengthTag,
+    });
+    if (!strict) recordLength = terminatedLength;
+  }
+
+  let data = null;
+  if (dataStart !== -1 && withData) {
+    const end = offset + recordLength;
+    if (end > buf.length || end <= dataStart) {
+      throw new EftParseError(
+        `Type-${recordType} record at offset ${offset} exceeds buffer (claims ${recordLength} bytes, have ${buf.length - offset})`,
+        { offset, recordType },
+      );
+    }
+    // Image data runs up to (but not including) the trailing FS
+    data = buf.subarray(dataStart, end - 1);
+    if (buf[end - 1] !== FS) {
+      warnings.push({
+        code: 'length-mismatch',
+        message: `Type-${recordType} length field says ${recordLength} bytes but byte ${end - 1} is not an FS terminator`,
+        tag: lengthTag,
+      });
+    }
+  }
+
+  encodedFields.set(fields, encoded);
+  return { fields, numbered, data, length: recordLength, invalidFields, warnings };
+}
+
+/**
+ * Copy a parsed field map, keeping the bytes its values were decoded from.
+ * @param {Object} fields - Tag → value map from parseTaggedRecord, or a copy of one
+ * @returns {Object} Shallow copy of `fields`
+ */
+export function copyFields(fields) {
+  const copy = { ...fields };
+  if (encodedFields.has(fields)) encodedFields.set(copy, encodedFields.get(fields));
+  return copy;
+}
+
+/**
+ * The bytes a field value was parsed from, as read by parseTaggedRecord.
+ * @param {Object} fields - Tag → value map from parseTaggedRecord, or a copy made by copyFields
+ * @param {string} tag - Field tag
+ * @returns {{ text: string, bytes: Buffer, encoding: string }|null} Decoded text, source bytes and default encoding, or null for fields that were not parsed
+ */
+export function encodedField(fields, tag) {
+  return encodedFields.get(fields)?.[tag] ?? null;
+}
+
+/**
+ * Extract the numeric field number from a tag ("9.012" → 12, "1.03" → 3).
+ * @param {string} tag - Field tag
+ * @returns {number|null} Field number, or null if the tag is malformed
+ */
+export function fieldNumber(tag) {
+  const dot = tag.indexOf('.');
+  if (dot === -1) return null;
+  const num = parseInt(tag.substring(dot + 1), 10);
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Check that a tagged record's IDC field (T.002) matches the CNT entry.
+ * @throws {EftParseError} On mismatch
+ */
+export function checkIdc(record, expectedIdc, offset, recordType) {
+  const idc = parseInt(record.numbered[2], 10);
+  if (idc !== expectedIdc) {
+    throw new EftParseError(
+      `Type-${recordType} IDC mismatch at offset ${offset}: expected ${expectedIdc}, got ${record.numbered[2] ?? 'none'}`,
+      { offset, recordType },
+    );
+  }
+  return idc;
+}
+
+/**
+ * Split a field value into its RS-separated subfields.
+ * @param {string|undefined} value - Raw field value
+ * @returns {string[]} Subfields (empty array when the field is absent or empty)
+ */
+export function subfields(value) {
+  if (value === undefined || value === '') return [];
+  return value.split(RS_CHAR);
+}
+
+/**
+ * Split a subfield into its US-separated information items.
+ * @param {string|undefined} value - Raw subfield value
+ * @returns {string[]} Information items (empty array when absent)
+ */
+export function items(value) {
+  if (value === undefined) return [];
+  return value.split(US_CHAR);
+}
+
+/**
+ * Parse a numeric field value, returning null when absent or non-numeric.
+ * @param {string|undefined|null} str - Field value
+ * @returns {number|null}
+ */
+export function toInt(str) {
+  if (str === undefined || str === null || str === '') return null;
+  const n = parseInt(str, 10);
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Parse a "YYYYMMDD" date field.
+ * @param {string} yyyymmdd - Date string
+ * @returns {{ year: number, month: number, day: number }}
+ */
+export function parseDate(yyyymmdd) {
+  const y = parseInt(yyyymmdd.substring(0, 4), 10);
+  const m = parseInt(yyyymmdd.substring(4, 6), 10);
+  const d = parseInt(yyyymmdd.substring(6, 8), 10);
+  return { year: y, month: m, day: d };
+}
+
+function ascii(buf, start, end) {
+  return Buffer.from(buf.buffer, buf.byteOffset + start, end - start).toString('ascii');
+}
@@ -0,0 +1,122 @@
+import { ValidationError } from './errors.js';
+import { groupRecords } from './eft-parser.js';
+
+const MAX_IDC = 99;
+
+/**
+ * Find a record of a parsed transaction by record type and IDC.
+ * @param {Object} eft - Output of parseEft
+ * @param {number} recordType - Record type
+ * @param {number} idc - Information designation character
+ * @returns {Object|null} The first matching record, or null
+ */
+export function findRecord(eft, recordType, idc) {
+  return eft.records.find(r => r.recordType === recordType && r.idc === idc) || null;
+}
+
+/**
+ * Insert a record into a parsed transaction, in place. The record needs a
+ * `recordType`, an `idc` and the properties writeEft serializes (raw fields
+ * for tagged records, header values and `imageData` for binary records).
+ * @param {Object} eft - Output of parseEft
+ * @param {Object} record - Record to insert
+ * @param {number} [index] - Position in `eft.records` (default: at the end)
+ * @returns {Object} The inserted record
+ * @throws {ValidationError} If the record type or IDC is invalid
+ */
+export function insertRecord(eft, record, index = eft.records.length) {
+  if (!Number.isInteger(record.recordType) || record.recordType < 2) {
+    throw new ValidationError(`Cannot insert a record of type ${record.recordType}`);
+  }
+  checkIdc(record.idc);
+  eft.records.splice(clampIndex(index, eft.records.length), 0, record);
+  syncRecordLists(eft);
+  return record;
+}
+
+/**
+ * Remove a record from a parsed transaction, in place.
+ * @param {Object} eft - Output of parseEft
+ * @param {Object} record - A record of `eft.records`
+ * @returns {Object} The removed record
+ * @throws {ValidationError} If the record is not part of the transaction
+ */
+export function removeRecord(eft, record) {
+  eft.records.splice(recordIndex(eft, record), 1);
+  syncRecordLists(eft);
+  return record;
+}
+
+/**
+ * Replace a record with another, keeping its position in the file.
+ * @param {Object} eft - Output of parseEft
+ * @param {Object} record - A record of `eft.records`
+ * @param {Object} replacement - Record to put in its place
+ * @returns {Object} The replacement record
+ * @throws {ValidationError} If the record is not part of the transaction or the replacement IDC is invalid
+ */
+export function replaceRecord(eft, record, replacement) {
+  const index = recordIndex(eft, record);
+  checkIdc(replacement.idc);
+  eft.records[index] = replacement;
+  syncRecordLists(eft);
+  return replacement;
+}
+
+/**
+ * Move a record to another position in the file.
+ * @param {Object} eft - Output of parseEft
+ * @param {Object} record - A record of `eft.records`
+ * @param {number} index - New position in `eft.records`
+ * @returns {Object} The moved record
+ * @throws {ValidationError} If the record is not part of the transaction
+ */
+export function moveRecord(eft, record, index) {
+  eft.records.splice(recordIndex(eft, record), 1);
+  eft.records.splice(clampIndex(index, eft.records.length), 0, record);
+  syncRecordLists(eft);
+  return record;
+}
+
+/**
+ * Give a record a new IDC. writeEft writes it to the record's IDC field
+ * (or binary header) and to CNT.
+ * @param {Object} eft - Output of parseEft
+ * @param {Object} record - A record of `eft.records`
+ * @param {number} idc - New IDC (0-99)
+ * @returns {Object} The record
+ * @throws {ValidationError} If the record is not part of the transaction or the IDC is invalid
+ */
+export function reassignIdc(eft, record, idc) {
+  recordIndex(eft, record);
+  checkIdc(idc);
+  record.idc = idc;
+  return record;
+}
+
+/**
+ * Rebuild `type2` and the `typeNRecords` lists from `records` the way
+ * parseEft builds them, so they follow the file order after an edit.
+ */
+function syncRecordLists(eft) {
+  Object.assign(eft, groupRecords(eft.records));
+}
+
+function recordIndex(eft, record) {
+  const index = eft.records.indexOf(record);
+  if (index === -1) {
+    throw new ValidationError(`Type-${record?.recordType} record (IDC ${record?.idc}) is not part of this transaction`);
+  }
+  return index;
+}
+
+function clampIndex(index, max) {
+  if (!Number.isInteger(index)) throw new ValidationError(`Invalid record index: ${index}`);
+  return Math.max(0, Math.min(index, max));
+}
+
+function checkIdc(idc) {
+  if (!Number.isInteger(idc) || idc < 0 || idc > MAX_IDC) {
+    throw new ValidationError(`Invalid IDC: ${idc}. Use an integer from 0 to ${MAX_IDC}.`);
+  }
+}
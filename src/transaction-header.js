@@ -0,0 +1,63 @@
+import { STANDARD_VERSIONS, TRANSACTION_TYPES } from './constants.js';
+import { getField } from './fields.js';
+import { toInt, parseDate } from './tagged-record.js';
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Build a structured Type-1 transaction header from its raw fields.
+ * @param {Object} fields - Raw Type-1 tag → value map
+ * @returns {Object} Transaction header; the raw map is kept as `raw`
+ */
+export function parseTransactionHeader(fields) {
+  const value = (key) => getField(fields, key)?.raw || null;
+  const ver = value('VER');
+  const tot = value('TOT');
+  const dat = value('DAT');
+  const dom = getField(fields, 'DOM')?.subfields[0] || [];
+  const anm = getField(fields, 'ANM')?.subfields[0] || [];
+
+  return {
+    raw: { ...fields },
+    version: toInt(ver),
+    versionName: ver ? STANDARD_VERSIONS[ver] || `Unknown (${ver})` : null,
+    transactionType: tot,
+    transactionTypeName: tot ? TRANSACTION_TYPES[tot] || `Unknown (${tot})` : null,
+    date: dat ? parseDate(dat) : null,
+    priority: toInt(value('PRY')),
+    destinationAgency: value('DAI'),
+    originatingAgency: value('ORI'),
+    agencyNames: anm.length ? { destination: anm[0] || null, originating: anm[1] || null } : null,
+    controlNumber: value('TCN'),
+    controlReference: value('TCR'),
+    nativeResolution: parseResolution(value('NSR')),
+    transmittingResolution: parseResolution(value('NTR')),
+    domain: dom.length ? { name: dom[0] || '', version: dom[1] || null } : null,
+    gmt: parseGmt(value('GMT')),
+    characterSets: (getField(fields, 'DCS')?.subfields || []).map(([index, name, version]) => ({
+      index: toInt(index),
+      name: name || '',
+      version: version || null,
+    })),
+  };
+}
+
+/**
+ * Scanning resolution in pixels per millimetre ("19.69"), also given in PPI.
+ * Values that are not in the NN.NN form are ignored.
+ */
+function parseResolution(value) {
+  if (!value || !/^\d{1,2}\.\d{2}$/.test(value)) return null;
+  const ppmm = parseFloat(value);
+  return { ppmm, ppi: Math.round(ppmm * MM_PER_INCH) };
+}
+
+/**
+ * Greenwich Mean Time stamp "YYYYMMDDhhmmssZ".
+ */
+function parseGmt(value) {
+  const m = value?.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  return new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+}
@@ -0,0 +1,50 @@
+import { TYPE2_FIELDS } from './constants.js';
+import { parseDate } from './tagged-record.js';
+import { formatDate } from './eft-parser.js';
+import { getFields } from './fields.js';
+import { formatHeight } from './helpers.js';
+
+/**
+ * Label and decode every populated field of a Type-2 record using the
+ * TYPE2_FIELDS dictionary: dates are formatted, codes looked up in their
+ * table (SEX_CODES, STATE_CODES, …) and kept as they are when a partial table
+ * such as the POB state codes does not list them, heights and weights given units, and
+ * repeating subfields joined with "; ". Fields missing from the dictionary
+ * keep their raw value with a null `name`.
+ * @param {Object} source - Type-2 demographics (`eft.type2`), a Type-2 record from `records`, or a raw tag → value map
+ * @returns {Array<{ tag: string, number: number|null, mnemonic: string|null, name: string|null, raw: string, value: string }>} Populated fields in tag order
+ */
+export function describeType2(source) {
+  return getFields(source).filter(field => field.raw !== '').map(field => {
+    const spec = TYPE2_FIELDS[field.number];
+    return {
+      tag: field.tag,
+      number: field.number,
+      mnemonic: field.mnemonic,
+      name: spec?.name ?? null,
+      raw: field.raw,
+      value: spec ? field.subfields.map(items => decodeSubfield(items, spec)).filter(Boolean).join('; ') : field.raw,
+    };
+  });
+}
+
+function decodeSubfield(items, spec) {
+  if (!spec.items) return decodeValue(items.join(' '), spec);
+  return items.map((value, i) => decodeValue(value, spec.items[i] ?? { format: 'text' })).filter(Boolean).join(' — ');
+}
+
+function decodeValue(value, { format, codes }) {
+  if (!value) return value;
+  switch (format) {
+    case 'date':
+      return /^\d{8}$/.test(value) ? formatDate(parseDate(value)) : value;
+    case 'code':
+      return codes[value] ?? value;
+    case 'height':
+      return formatHeight(value);
+    case 'weight':
+      return /^\d+$/.test(value) ? `${parseInt(value, 10)} lbs` : value;
+    default:
+      return value;
+  }
+}
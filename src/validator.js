@@ -0,0 +1,333 @@
+import { SEX_CODES, RACE_CODES, EYE_COLORS, HAIR_COLORS, FINGER_NAMES, IMPRESSION_TYPES, TYPE2_FIELDS } from './constants.js';
+import { parseEft } from './eft-parser.js';
+import { ValidationError } from './errors.js';
+import { getField } from './fields.js';
+import { subfields } from './tagged-record.js';
+import { EBTS_PROFILES, DEFAULT_PROFILE } from './profiles.js';
+
+// Record types holding friction-ridge images
+const FRICTION_RIDGE_TYPES = [3, 4, 5, 6, 13, 14, 15];
+
+// Records whose finger positions are checked against a profile
+const FINGER_TYPES = [3, 4, 5, 6, 14];
+
+// Parser warnings reported as warnings rather than errors
+const LENIENT_WARNINGS = new Set(['unknown-compression', 'more-transactions', 'trailing-data']);
+
+// Friction-ridge images must be scanned at 500 PPI or more, within 1%
+const MIN_FRICTION_RIDGE_PPI = 495;
+
+const DATE = { pattern: /^\d{8}$/, description: 'a date (YYYYMMDD)', date: true };
+const NUMERIC = { pattern: /^\d+$/, description: 'numeric' };
+const HEX = { pattern: /^[0-9A-Fa-f]+$/, description: 'hexadecimal' };
+const IDC = { pattern: /^\d{1,2}$/, description: '1-2 digits' };
+const SCALE_UNITS = { pattern: /^[0-2]$/, description: '0, 1 or 2' };
+const PRINTABLE = (max) => ({ pattern: new RegExp(`^[\\x20-\\x7e]{1,${max}}$`), description: `1-${max} printable ASCII characters` });
+const ALPHANUMERIC = (min, max) => ({ pattern: new RegExp(`^[A-Za-z0-9]{${min},${max}}$`), description: `${min}-${max} letters or digits` });
+
+// Shared by the tagged image records (Type-10, 13, 14, 15, 17)
+const IMAGE_FIELDS = { 6: NUMERIC, 7: NUMERIC, 8: SCALE_UNITS, 9: NUMERIC, 10: NUMERIC };
+
+/**
+ * Mandatory fields and value formats per record type (ANSI/NIST-ITL 1-2011).
+ * Fields are keyed by number; `codes` checks a value against a lookup table.
+ */
+const RECORD_RULES = {
+  1: {
+    mandatory: [1, 2, 3, 4, 5, 7, 8, 9, 11, 12],
+    formats: {
+      2: { pattern: /^\d{4}$/, description: '4 digits' },
+      4: ALPHANUMERIC(1, 16),
+      5: DATE,
+      6: { pattern: /^[1-9]$/, description: 'a digit from 1 to 9' },
+      7: PRINTABLE(40),
+      8: PRINTABLE(40),
+      9: PRINTABLE(40),
+      10: PRINTABLE(40),
+      11: { pattern: /^\d{2}\.\d{2}$/, description: 'NN.NN pixels per millimetre' },
+      12: { pattern: /^\d{2}\.\d{2}$/, description: 'NN.NN pixels per millimetre' },
+    },
+  },
+  2: {
+    mandatory: [1, 2],
+    formats: {
+      22: DATE,
+      24: { codes: SEX_CODES, name: 'SEX_CODES' },
+      25: { codes: RACE_CODES, name: 'RACE_CODES' },
+      27: { pattern: /^\d{3}$/, description: '3 digits (feet and inches)' },
+      29: { pattern: /^\d{1,3}$/, description: '1-3 digits (pounds)' },
+      31: { codes: EYE_COLORS, name: 'EYE_COLORS' },
+      32: { codes: HAIR_COLORS, name: 'HAIR_COLORS' },
+      38: DATE,
+    },
+  },
+  9: { mandatory: [1, 2, 3, 4], formats: { 3: NUMERIC } },
+  10: { mandatory: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], formats: { ...IMAGE_FIELDS, 5: DATE } },
+  13: { mandatory: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13], formats: { ...IMAGE_FIELDS, 5: DATE } },
+  14: { mandatory: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13], formats: { ...IMAGE_FIELDS, 5: DATE } },
+  15: { mandatory: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13], formats: { ...IMAGE_FIELDS, 5: DATE } },
+  17: { mandatory: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], formats: { ...IMAGE_FIELDS, 5: DATE } },
+  98: { mandatory: [1, 2, 3, 4, 5], formats: {} },
+  99: { mandatory: [1, 2, 4, 5, 100, 101, 103, 104], formats: { 101: HEX } },
+};
+
+// Largest friction-ridge image, in inches (width x height), per position; the
+// first entry that matches applies, so rolled impressions get their own limit
+const MAX_IMAGE_INCHES = [
+  { positions: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], impressions: [1, 3], width: 1.6, height: 1.5 },
+  { positions: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], width: 1.6, height: 2.0 },
+  { positions: [11, 12], width: 1.0, height: 2.0 },
+  { positions: [13, 14, 15, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50], width: 3.2, height: 3.0 },
+];
+const MAX_PALM_INCHES = { width: 5.5, height: 8.0 };
+
+/**
+ * Check a transaction against ANSI/NIST-ITL 1-2011 conformance rules:
+ * mandatory fields per record type, field formats and lengths, CNT
+ * consistency, unique IDCs, calendar dates, Type-2 codes (`SEX_CODES`,
+ * `RACE_CODES`, `EYE_COLORS`, `HAIR_COLORS`) and friction-ridge image
+ * resolution and physical size. A buffer is parsed with `strict: false` and
+ * its parse warnings are reported as issues too: unknown compression codes as
+ * warnings, everything else as errors.
+ *
+ * The transaction is also checked against an agency profile (FBI EBTS 11 by
+ * default): accepted versions, records and Type-2 fields required by the TOT,
+ * allowed finger positions and compression. A TOT the profile does not define
+ * is reported as a warning.
+ * @param {Buffer|Uint8Array|Object} source - Raw EFT data or the output of parseEft
+ * @param {Object} [options]
+ * @param {string|Object|null} [options.profile='fbi-ebts-11'] - Profile id from EBTS_PROFILES, a custom profile, or null to skip profile rules
+ * @returns {{ valid: boolean, errors: number, warnings: number, issues: Array<{ severity: 'error'|'warning', rule: string, message: string, recordType: number, idc: number|null, tag: string|null }> }}
+ *   `valid` is false if any issue is an error
+ * @throws {EftParseError} If the Type-1 record cannot be read
+ * @throws {ValidationError} If the profile id is unknown
+ */
+export function validateEft(source, { profile = DEFAULT_PROFILE } = {}) {
+  const rules = resolveProfile(profile);
+  const isBuffer = source instanceof Uint8Array;
+  const eft = isBuffer ? parseEft(source, { strict: false }) : source;
+  const issues = [];
+  const report = (severity, rule, message, rec, tag = null) => {
+    issues.push({ severity, rule, message, recordType: rec.recordType, idc: rec.idc ?? null, tag });
+  };
+
+  if (isBuffer) {
+    for (const w of eft.warnings) {
+      // Vendor-specific compression codes are allowed by some agencies, and
+      // data after the transaction does not affect the transaction itself
+      const severity = LENIENT_WARNINGS.has(w.code) ? 'warning' : 'error';
+      issues.push({ severity, rule: w.code, message: w.message, recordType: w.recordType, idc: w.idc, tag: w.tag });
+    }
+  }
+
+  const type1 = { recordType: 1, idc: 0, raw: eft.type1 };
+  for (const rec of [type1, ...eft.records]) {
+    checkFields(rec, report);
+  }
+  checkCnt(eft, report);
+  checkIdcs(eft, report);
+  for (const rec of eft.records) {
+    checkImage(rec, report);
+  }
+  if (rules) checkProfile(eft, rules, report);
+
+  const errors = issues.filter(i => i.severity === 'error').length;
+  return { valid: errors === 0, errors, warnings: issues.length - errors, issues };
+}
+
+/**
+ * Mandatory fields, value formats, dates and code values of a tagged record.
+ */
+function checkFields(rec, report) {
+  const rules = RECORD_RULES[rec.recordType];
+  if (!rules || (!rec.fields && !rec.raw)) return;
+
+  for (const number of rules.mandatory) {
+    if (!getField(rec, number)?.raw) {
+      report('error', 'mandatory-field', `Type-${rec.recordType} field ${rec.recordType}.${String(number).padStart(3, '0')} is mandatory`, rec);
+    }
+  }
+
+  const formats = { 1: NUMERIC, ...(rec.recordType === 1 ? {} : { 2: IDC }), ...rules.formats };
+  for (const [number, format] of Object.entries(formats)) {
+    const field = getField(rec, Number(number));
+    if (!field?.raw) continue;
+    for (const value of fieldValues(rec, field)) {
+      if (format.codes) {
+        if (!format.codes[value]) {
+          report('error', 'code-value', `${field.tag} value "${value}" is not in ${format.name}`, rec, field.tag);
+        }
+      } else if (!format.pattern.test(value)) {
+        report('error', 'field-format', `${field.tag} value "${value}" must be ${format.description}`, rec, field.tag);
+      } else if (format.date && !isCalendarDate(value)) {
+        report('error', 'date', `${field.tag} value "${value}" is not a valid calendar date`, rec, field.tag);
+      }
+    }
+  }
+
+  const dob = rec.recordType === 2 ? getField(rec, 'DOB') : null;
+  for (const value of dob ? fieldValues(rec, dob) : []) {
+    if (DATE.pattern.test(value) && isCalendarDate(value) && value > today()) {
+      report('error', 'date', `${dob.tag} date of birth ${value} is in the future`, rec, dob.tag);
+    }
+  }
+}
+
+/**
+ * Values to check for a field: each subfield of a repeating Type-2 field
+ * (TYPE2_FIELDS), otherwise the whole value.
+ */
+function fieldValues(rec, field) {
+  return rec.recordType === 2 && TYPE2_FIELDS[field.number]?.repeating ? subfields(field.raw) : [field.raw];
+}
+
+/**
+ * CNT must list every record after Type-1, in order, with a matching count.
+ */
+function checkCnt(eft, report) {
+  const cnt = getField(eft.type1, 'CNT');
+  const type1 = { recordType: 1, idc: 0 };
+  if (!cnt) return;
+  const [first, ...entries] = cnt.subfields;
+  if (first[0] !== '1' || parseInt(first[1], 10) !== entries.length) {
+    report('error', 'cnt', `CNT first subfield must be "1" and the number of records listed (${entries.length})`, type1, cnt.tag);
+  }
+  const listed = entries.map(([type, idc]) => `${parseInt(type, 10)}/${parseInt(idc, 10)}`);
+  const present = eft.records.map(r => `${r.recordType}/${r.idc}`);
+  if (listed.join(',') !== present.join(',')) {
+    report('error', 'cnt', `CNT lists ${listed.length} records (${listed.join(', ')}) but the file contains ${present.length} (${present.join(', ')})`, type1, cnt.tag);
+  }
+}
+
+/**
+ * No two records of the same type may share an IDC.
+ */
+function checkIdcs(eft, report) {
+  const seen = new Set();
+  for (const rec of eft.records) {
+    const key = `${rec.recordType}/${rec.idc}`;
+    if (seen.has(key)) {
+      report('error', 'idc-unique', `Type-${rec.recordType} IDC ${rec.idc} is used by more than one record`, rec);
+    }
+    seen.add(key);
+  }
+}
+
+/**
+ * Friction-ridge images: known position and impression, 500 PPI or more and
+ * no larger than the standard's maximum image area for the position.
+ */
+function checkImage(rec, report) {
+  if (!FRICTION_RIDGE_TYPES.includes(rec.recordType)) return;
+  if (rec.recordType <= 6) {
+    if (!FINGER_NAMES[rec.fingerPosition]) {
+      report('error', 'code-value', `Type-${rec.recordType} finger position ${rec.fingerPosition} is not valid`, rec);
+    }
+    if (!IMPRESSION_TYPES[rec.impressionType]) {
+      report('error', 'code-value', `Type-${rec.recordType} impression type ${rec.impressionType} is not valid`, rec);
+    }
+  }
+
+  if (!rec.width || !rec.height) {
+    report('error', 'image-size', `Type-${rec.recordType} image has no width or height`, rec);
+    return;
+  }
+  if (!rec.ppi) return;
+  // Type-3 and Type-5 are low-resolution by definition
+  if (rec.recordType !== 3 && rec.recordType !== 5 && rec.ppi < MIN_FRICTION_RIDGE_PPI) {
+    report('error', 'resolution', `Type-${rec.recordType} image resolution ${rec.ppi} PPI is below 500 PPI`, rec);
+  }
+
+  // Latent images have no size limit
+  const limit = rec.palm ? MAX_PALM_INCHES : MAX_IMAGE_INCHES.find(m => !rec.latent && m.positions.includes(rec.fingerPosition)
+    && (!m.impressions || m.impressions.includes(rec.impressionType)));
+  if (!limit) return;
+  const width = rec.width / rec.ppi;
+  const height = rec.height / rec.ppi;
+  if (width > limit.width || height > limit.height) {
+    report('error', 'image-size',
+      `Type-${rec.recordType} image is ${width.toFixed(2)} x ${height.toFixed(2)} in at ${rec.ppi} PPI, larger than ${limit.width} x ${limit.height} in`, rec);
+  }
+}
+
+function resolveProfile(profile) {
+  if (profile === null || typeof profile === 'object') return profile;
+  if (!EBTS_PROFILES[profile]) {
+    throw new ValidationError(`Unknown profile: "${profile}". Use one of: ${Object.keys(EBTS_PROFILES).join(', ')}`);
+  }
+  return EBTS_PROFILES[profile];
+}
+
+/**
+ * Agency profile rules for the transaction's TOT: version, record counts,
+ * Type-2 fields, finger positions and compression.
+ */
+function checkProfile(eft, profile, report) {
+  const type1 = { recordType: 1, idc: 0 };
+  const ver = getField(eft.type1, 'VER');
+  if (ver?.raw && profile.versions && !profile.versions.includes(ver.raw)) {
+    report('error', 'profile-version', `${profile.name} does not accept version ${ver.raw}`, type1, ver.tag);
+  }
+
+  const tot = getField(eft.type1, 'TOT');
+  const rules = profile.transactions?.[tot?.raw];
+  if (!rules) {
+    if (tot?.raw) report('warning', 'profile-tot', `${profile.name} does not define transaction type ${tot.raw}`, type1, tot.tag);
+    return;
+  }
+
+  for (const { types, min = 0, max = Infinity } of rules.records ?? []) {
+    const count = eft.records.filter(r => types.includes(r.recordType)).length;
+    const kind = types.map(t => `Type-${t}`).join(' or ');
+    if (count < min) {
+      report('error', 'profile-record', `${tot.raw} requires at least ${min} ${kind} record(s), found ${count}`, type1, tot.tag);
+    } else if (count > max) {
+      report('error', 'profile-record', `${tot.raw} allows at most ${max} ${kind} record(s), found ${count}`, type1, tot.tag);
+    }
+  }
+
+  for (const rec of eft.records.filter(r => r.recordType === 2)) {
+    for (const mnemonic of rules.type2 ?? []) {
+      if (!getField(rec, mnemonic)?.raw) {
+        report('error', 'profile-field', `${tot.raw} requires Type-2 field ${mnemonic}`, rec);
+      }
+    }
+  }
+
+  // Codes only valid in the transaction's version extend the profile's list
+  const versionCompression = profile.versionCompression?.[ver?.raw] ?? {};
+  const captured = new Set();
+  for (const rec of eft.records) {
+    const allowed = profile.compression?.[rec.recordType];
+    const accepted = allowed && [...allowed, ...(versionCompression[rec.recordType] ?? [])];
+    if (accepted && rec.compression !== undefined && !accepted.includes(rec.compression)) {
+      report('error', 'profile-compression', `${profile.name} does not accept ${rec.compressionName} compression in Type-${rec.recordType} records`, rec);
+    }
+    if (!FINGER_TYPES.includes(rec.recordType)) continue;
+    const positions = rec.fingerPositions ?? [rec.fingerPosition];
+    for (const pos of positions) {
+      captured.add(pos);
+      if (rules.positions && !rules.positions.includes(pos)) {
+        report('error', 'profile-position', `${tot.raw} does not accept finger position ${pos} in Type-${rec.recordType} records`, rec);
+      }
+    }
+    // Amputated or bandaged fingers count as accounted for
+    for (const { position } of rec.amputations ?? []) captured.add(position);
+  }
+  const missing = (rules.requiredPositions ?? []).filter(pos => !captured.has(pos));
+  if (missing.length) {
+    report('error', 'profile-position', `${tot.raw} requires finger positions ${missing.join(', ')}`, type1);
+  }
+}
+
+function isCalendarDate(value) {
+  const year = parseInt(value.slice(0, 4), 10);
+  const month = parseInt(value.slice(4, 6), 10);
+  const day = parseInt(value.slice(6, 8), 10);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { parseEft } from '../src/eft-parser.js';
+import { writeEft } from '../src/eft-writer.js';
+import { anonymizeEft } from '../src/anonymize.js';
+import { ValidationError } from '../src/errors.js';
+import { eftBuf } from './fixture.js';
+import { ANONYMIZED_FIELDS, STATE_CODES } from '../src/constants.js';
+import { buildEft, rs, us } from './builders.js';
+
+const withAliases = () => buildEft([], {
+  type2Fields: [
+    ['2.002', '00'], ['2.016', '123-45-6789'], ['2.018', 'SCOTT,MICHAEL'], ['2.019', rs('SCOTT,MIKE', 'SCARN,MICHAEL')],
+    ['2.022', '19620315'], ['2.024', 'M'], ['2.041', '1725 SLOUGH AVE, SCRANTON, PA 18505'],
+  ],
+});
+
+describe('anonymizeEft', () => {
+  it('removes personal data fields by default', () => {
+    const eft = parseEft(eftBuf);
+    const changes = anonymizeEft(eft);
+    expect(changes.map(c => c.tag)).toEqual(['2.018', '2.022', '2.041']);
+    expect(changes.every(c => c.action === 'removed')).toBe(true);
+
+    const out = parseEft(writeEft(eft));
+    expect(out.type2.fullName).toBeNull();
+    expect(out.type2.dob).toBeNull();
+    expect(out.type2.address).toBeNull();
+    expect(out.type2.sex).toBe(parseEft(eftBuf).type2.sex);
+    expect(out.type4Records[0].imageData).toEqual(parseEft(eftBuf).type4Records[0].imageData);
+  });
+
+  it('writes reproducible pseudonyms with a seed', () => {
+    const run = (seed) => {
+      const eft = parseEft(withAliases());
+      anonymizeEft(eft, { mode: 'pseudonymize', seed });
+      return writeEft(eft);
+    };
+    expect(Buffer.compare(run('qa'), run('qa'))).toBe(0);
+    expect(Buffer.compare(run('qa'), run('other'))).not.toBe(0);
+
+    const out = parseEft(run('qa'));
+    expect(out.type2.raw['2.018']).toMatch(/^[A-Z]+,[A-Z]+$/);
+    expect(out.type2.raw['2.018']).not.toBe('SCOTT,MICHAEL');
+    expect(out.type2.aliases).toHaveLength(2);
+    expect(out.type2.raw['2.022']).toMatch(/^(19[4-9]\d|200[0-5])(0[1-9]|1[0-2])(0[1-9]|1\d|2[0-8])$/);
+    expect(out.type2.raw['2.016']).toMatch(/^\d{3}-\d{2}-\d{4}$/);
+    expect(out.type2.raw['2.041']).toMatch(/ ST, ANYTOWN$/);
+    expect(out.type2.raw['2.024']).toBe('M');
+  });
+
+  it('leaves no original values in the derived demographics and header', () => {
+    const eft = parseEft(buildEft([], {
+      type1Fields: [['1.009', 'TCN0001']],
+      type2Fields: [
+        ['2.002', '00'], ['2.018', 'SCOTT,MICHAEL'], ['2.019', 'SCOTT,MIKE'], ['2.020', 'PA'], ['2.021', 'MX'],
+        ['2.022', '19620315'], ['2.041', '1725 SLOUGH AVE'], ['2.067', us('DUNDER', 'MIFFLIN', 'SN42')],
+      ],
+    }));
+    anonymizeEft(eft, { fields: [...ANONYMIZED_FIELDS, 'IMA'], mode: 'pseudonymize', seed: 'qa', tcn: 'ANON0001' });
+
+    const serialized = JSON.stringify(eft, (key, value) => (key === 'records' || key.endsWith('Records') ? undefined : value));
+    for (const original of ['SCOTT', 'Scott', 'Mike', '1962', 'SLOUGH', 'DUNDER', 'TCN0001']) {
+      expect(serialized).not.toContain(original);
+    }
+    expect(eft.type2.fullName).not.toBeNull();
+    expect(eft.header.controlNumber).toBe('ANON0001');
+    const { name, fullName, aliases, dob, address, scanner } = parseEft(writeEft(eft)).type2;
+    expect(eft.type2).toMatchObject({ name, fullName, aliases, dob, address, scanner });
+  });
+
+  it('pseudonymizes places with valid codes', () => {
+    const eft = parseEft(buildEft([], { type2Fields: [['2.002', '00'], ['2.020', 'PA'], ['2.021', 'MX']] }));
+    anonymizeEft(eft, { mode: 'pseudonymize', seed: 'qa' });
+    expect(STATE_CODES[eft.type2.raw['2.020']]).toBeDefined();
+    expect(eft.type2.raw['2.021']).toBe('US');
+  });
+
+  it('only touches the requested fields and rewrites TCN and ORI', () => {
+    const eft = parseEft(eftBuf);
+    const changes = anonymizeEft(eft, { fields: ['DOB', 'SOC'], tcn: 'ANON0001', ori: 'QA0000000' });
+    expect(changes).toEqual([
+      { tag: '2.022', action: 'removed' },
+      { tag: '1.08', action: 'replaced' },
+      { tag: '1.09', action: 'replaced' },
+    ]);
+
+    const out = parseEft(writeEft(eft));
+    expect(out.type2.fullName).toBe('Michael Scott');
+    expect(out.header.controlNumber).toBe('ANON0001');
+    expect(out.header.originatingAgency).toBe('QA0000000');
+  });
+
+  it('rejects unknown fields and modes', () => {
+    expect(() => anonymizeEft(parseEft(eftBuf), { fields: ['NAME'] })).toThrow(ValidationError);
+    expect(() => anonymizeEft(parseEft(eftBuf), { mode: 'hash' })).toThrow(ValidationError);
+  });
+});
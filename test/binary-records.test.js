@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import { parseEft } from '../src/eft-parser.js';
+import { parseBinaryImageRecord, parseType7, detectImageFormat } from '../src/binary-records.js';
+import { decodeImage, userDefinedFilename } from '../src/image-export.js';
+import { EftError, EftParseError } from '../src/errors.js';
+import { buildType4, buildType7, buildEft } from './builders.js';
+import { eftBuf } from './fixture.js';
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+
+describe('parseBinaryImageRecord', () => {
+  it('parses a Type-3 low-resolution grayscale record at 250 PPI nominal', () => {
+    const buf = buildType4(1, { fgp: [2], isr: 0, hll: 4, vll: 2, cga: 0, data: Buffer.alloc(8, 128) });
+    const rec = parseBinaryImageRecord(buf, 0, 1, 3);
+    expect(rec.recordType).toBe(3);
+    expect(rec.fingerName).toBe('Right Index');
+    expect(rec.ppi).toBe(250);
+    expect(rec.bitsPerPixel).toBe(8);
+    expect(rec.compressionName).toBe('Uncompressed');
+    expect(rec.imageData).toHaveLength(8);
+  });
+
+  it('parses Type-5 and Type-6 binary records as 1 bit per pixel', () => {
+    const buf = buildType4(2, { hll: 8, vll: 1, cga: 1, data: Buffer.from([0xaa]) });
+    const low = parseBinaryImageRecord(buf, 0, 2, 5);
+    const high = parseBinaryImageRecord(buf, 0, 2, 6);
+    expect(low.bitsPerPixel).toBe(1);
+    expect(low.ppi).toBe(250);
+    expect(high.ppi).toBe(500);
+    expect(high.compressionName).toBe('Facsimile (ANSI/EIA-538)');
+  });
+
+  it('lists every possible finger position and skips 255 fill', () => {
+    const rec = parseBinaryImageRecord(buildType4(1, { fgp: [255, 7, 8] }), 0, 1);
+    expect(rec.fingerPositions).toEqual([7, 8]);
+    expect(rec.fingerPosition).toBe(7);
+    expect(rec.fingerName).toBe('Left Index');
+  });
+
+  it('treats zero bytes after the first finger position as fill', () => {
+    expect(parseEft(eftBuf).type4Records[0].fingerPositions).toEqual([6]);
+    expect(parseBinaryImageRecord(buildType4(1, { fgp: [0, 0, 0] }), 0, 1).fingerPositions).toEqual([0]);
+  });
+
+  it('reads the native scanning resolution from Type-1 when ISR is 1', () => {
+    const native = buildType4(1, { isr: 1 });
+    expect(parseBinaryImageRecord(native, 0, 1, 4, 1000).ppi).toBe(1000);
+    expect(parseBinaryImageRecord(native, 0, 1, 4).ppi).toBe(500);
+
+    const eft = parseEft(buildEft([{ type: 4, idc: 1, buf: native }], { type1Fields: [['1.011', '39.37'], ['1.012', '19.69']] }));
+    expect(eft.type4Records[0].imageScanningResolution).toBe(1);
+    expect(eft.type4Records[0].ppi).toBe(1000);
+  });
+
+  it('reports the record type in errors', () => {
+    const buf = buildType4(1);
+    expect(() => parseBinaryImageRecord(buf, 0, 9, 6)).toThrow(/Type-6 IDC mismatch/);
+    expect(() => parseBinaryImageRecord(buf.subarray(0, 10), 0, 1, 3)).toThrow(EftParseError);
+  });
+});
+
+describe('parseType7', () => {
+  it('keeps the payload opaque when no image format is recognized', () => {
+    const buf = buildType7(4, Buffer.from('agency data'));
+    const rec = parseType7(buf, 0, 4);
+    expect(rec.recordType).toBe(7);
+    expect(rec.idc).toBe(4);
+    expect(rec.payload.toString()).toBe('agency data');
+    expect(rec.format).toBeNull();
+    expect(rec.imageData).toBeNull();
+  });
+
+  it('detects an image at the start of the payload', () => {
+    const rec = parseType7(buildType7(1, JPEG), 0, 1);
+    expect(rec.format.name).toBe('JPEG');
+    expect(rec.imageData).toEqual(JPEG);
+  });
+
+  it('detects an image after a Type-4 style header', () => {
+    const payload = Buffer.concat([Buffer.alloc(13), JPEG]);
+    const rec = parseType7(buildType7(1, payload), 0, 1);
+    expect(rec.format.extension).toBe('jpg');
+    expect(rec.imageData).toEqual(JPEG);
+    expect(rec.payload).toHaveLength(payload.length);
+  });
+
+  it('throws on truncated records', () => {
+    const buf = buildType7(1, Buffer.alloc(10));
+    expect(() => parseType7(buf.subarray(0, 8), 0, 1)).toThrow(/Type-7 record at offset 0 exceeds buffer/);
+  });
+});
+
+describe('detectImageFormat', () => {
+  it.each([
+    [[0x89, 0x50, 0x4e, 0x47, 0x0d], 'PNG'],
+    [[0xff, 0xa0, 0xff, 0xa8], 'WSQ'],
+    [[0x00, 0x00, 0x00, 0x0c, 0x6a, 0x50, 0x20, 0x20], 'JPEG 2000'],
+    [[0x49, 0x49, 0x2a, 0x00], 'TIFF'],
+    [[0x25, 0x50, 0x44, 0x46], 'PDF'],
+  ])('recognizes %j as %s', (bytes, name) => {
+    expect(detectImageFormat(Buffer.from(bytes)).name).toBe(name);
+  });
+
+  it('returns null for unknown or empty data', () => {
+    expect(detectImageFormat(Buffer.from('hello'))).toBeNull();
+    expect(detectImageFormat(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('parseEft with legacy binary records', () => {
+  it('walks Type-3, 5, 6 and 7 records in CNT order', () => {
+    const buf = buildEft([
+      { type: 3, idc: 1, buf: buildType4(1, { fgp: [1] }) },
+      { type: 5, idc: 2, buf: buildType4(2, { fgp: [2] }) },
+      { type: 6, idc: 3, buf: buildType4(3, { fgp: [3] }) },
+      { type: 7, idc: 4, buf: buildType7(4, JPEG) },
+      { type: 4, idc: 5, buf: buildType4(5, { fgp: [4] }) },
+    ]);
+    const eft = parseEft(buf);
+    expect(eft.type3Records.map(r => r.idc)).toEqual([1]);
+    expect(eft.type5Records.map(r => r.idc)).toEqual([2]);
+    expect(eft.type6Records.map(r => r.idc)).toEqual([3]);
+    expect(eft.type7Records[0].format.name).toBe('JPEG');
+    expect(eft.type4Records[0].fingerPosition).toBe(4);
+  });
+});
+
+describe('decodeImage with binary records', () => {
+  it('expands uncompressed 1-bit pixels to black and white', async () => {
+    const rec = { recordType: 6, compression: 0, width: 10, height: 1, imageData: Buffer.from([0b10000000, 0b01000000]) };
+    const { pixels } = await decodeImage(rec);
+    expect(Array.from(pixels)).toEqual([0, 255, 255, 255, 255, 255, 255, 255, 255, 0]);
+  });
+
+  it('throws EftError for facsimile-compressed data', async () => {
+    const rec = { recordType: 5, compression: 1, compressionName: 'Facsimile (ANSI/EIA-538)', width: 8, height: 1, imageData: Buffer.alloc(1) };
+    await expect(decodeImage(rec)).rejects.toThrow(EftError);
+  });
+});
+
+describe('userDefinedFilename', () => {
+  it('uses the detected extension or .bin', () => {
+    expect(userDefinedFilename({ idc: 5, format: { extension: 'jpg' } })).toBe('user-defined-05.jpg');
+    expect(userDefinedFilename({ idc: 12, format: null })).toBe('user-defined-12.bin');
+  });
+});
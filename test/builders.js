@@ -0,0 +1,112 @@
+import { crc32, deflateRawSync } from 'node:zlib';
+import { FS, GS, RS, US } from '../src/constants.js';
+
+export const c = (byte) => String.fromCharCode(byte);
+export const rs = (...parts) => parts.join(c(RS));
+export const us = (...parts) => parts.join(c(US));
+
+/**
+ * Build a tagged-field record with a computed, self-referential length field.
+ * @param {number} recordType - Record type (tags are "T.NNN")
+ * @param {Array<[string, string]>} fields - [tag, value] pairs, excluding the length field
+ * @param {Buffer} [data] - Optional binary image data for field T.999
+ * @param {string} [lenTag] - Tag used for the length field
+ */
+export function buildTaggedRecord(recordType, fields, data = null, lenTag = `${recordType}.001`) {
+  const text = fields.map(([tag, val]) => `${tag}:${val}`).join(c(GS));
+  const body = Buffer.from(text ? `${c(GS)}${text}` : '', 'latin1');
+  const tail = data
+    ? Buffer.concat([Buffer.from(`${c(GS)}${recordType}.999:`, 'latin1'), data, Buffer.from([FS])])
+    : Buffer.from([FS]);
+  const base = lenTag.length + 1 + body.length + tail.length;
+  for (let digits = 1; digits < 10; digits++) {
+    const len = base + digits;
+    if (String(len).length === digits) {
+      return Buffer.concat([Buffer.from(`${lenTag}:${len}`, 'latin1'), body, tail]);
+    }
+  }
+  throw new Error('Could not compute record length');
+}
+
+/**
+ * Build a minimal binary image record (Type-3, 4, 5 or 6 share the 18-byte header).
+ */
+export function buildType4(idc, { imp = 1, fgp = [1], isr = 0, hll = 10, vll = 10, cga = 1, data = Buffer.alloc(4) } = {}) {
+  const header = Buffer.alloc(18);
+  header.writeUInt32BE(18 + data.length, 0);
+  header[4] = idc;
+  header[5] = imp;
+  header.fill(255, 6, 12);
+  fgp.forEach((pos, i) => { header[6 + i] = pos; });
+  header[12] = isr;
+  header.writeUInt16BE(hll, 13);
+  header.writeUInt16BE(vll, 15);
+  header[17] = cga;
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Build a Type-7 user-defined record: 4-byte length, IDC, then the payload.
+ */
+export function buildType7(idc, payload = Buffer.alloc(0)) {
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(5 + payload.length, 0);
+  header[4] = idc;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Build a complete EFT: Type-1 (CNT generated from `records`), a Type-2,
+ * then each record buffer in order.
+ * @param {Array<{ type: number, idc: number, buf: Buffer }>} records - Records after Type-2
+ * @param {Object} [opts]
+ * @param {Array<[string, string]>} [opts.type1Fields] - Extra Type-1 fields
+ * @param {Array<[string, string]>|null} [opts.type2Fields] - Type-2 fields (excluding length), or null to leave the leading Type-2 out
+ */
+export function buildEft(records, { type1Fields = [], type2Fields = [['2.002', '00']] } = {}) {
+  const all = type2Fields ? [{ type: 2, idc: 0, buf: buildTaggedRecord(2, type2Fields) }, ...records] : records;
+  const cnt = rs(us('1', String(all.length)), ...all.map(e => us(String(e.type), String(e.idc))));
+  const type1 = buildTaggedRecord(1, [['1.002', '0502'], ['1.003', cnt], ...type1Fields]);
+  return Buffer.concat([type1, ...all.map(r => r.buf)]);
+}
+
+/**
+ * Build a zip archive; entries are deflated unless `stored` is set.
+ * @param {Array<{ name: string, data: Buffer, stored?: boolean, method?: number }>} entries
+ */
+export function buildZip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data, stored = false, method = stored ? 0 : 8 } of entries) {
+    const body = method === 8 ? deflateRawSync(data) : data;
+    const nameBuf = Buffer.from(name, 'utf8');
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    local.copy(header, 8, 6, 26);
+    header.writeUInt16LE(nameBuf.length, 28);
+    header.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, body);
+    central.push(header, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { parseEft } from '../src/eft-parser.js';
+import { parseTaggedRecord } from '../src/tagged-record.js';
+import { parseType99 } from '../src/cbeff-record.js';
+import { buildEft, buildTaggedRecord, rs, us } from './builders.js';
+
+// ISO/IEC 19794-2:2005 header with a single right index (2) finger view
+function isoTemplate() {
+  const header = Buffer.alloc(30);
+  header.write('FMR\0 20\0', 0, 'latin1');
+  header.writeUInt32BE(30, 8);
+  header[22] = 1;
+  header[24] = 2;
+  return header;
+}
+
+function parse99(fields, data) {
+  const buf = buildTaggedRecord(99, fields, data);
+  return parseType99(parseTaggedRecord(buf, 0, 99), 1);
+}
+
+describe('parseType99', () => {
+  it('decodes the CBEFF header and labels registered formats', () => {
+    const bdb = isoTemplate();
+    const rec = parse99([
+      ['99.002', '01'],
+      ['99.004', 'NY0000000'],
+      ['99.005', '20240102'],
+      ['99.100', '0101'],
+      ['99.101', '000008'],
+      ['99.102', rs(us('80', '0101', '0001'), us('255', '001B', '0002'))],
+      ['99.103', '0101'],
+      ['99.104', '1'],
+    ], bdb);
+    expect(rec.recordType).toBe(99);
+    expect(rec.source).toBe('NY0000000');
+    expect(rec.headerVersion).toBe('0101');
+    expect(rec.biometricType).toBe(8);
+    expect(rec.biometricTypeName).toBe('Finger');
+    expect(rec.quality).toEqual([
+      { score: 80, vendor: '0101', product: '0001' },
+      { score: 255, vendor: '001B', product: '0002' },
+    ]);
+    expect(rec.formatOwner).toBe('0101');
+    expect(rec.formatType).toBe('0001');
+    expect(rec.formatName).toBe('ISO/IEC 19794-2 finger minutiae');
+    expect(rec.fingerPosition).toBe(2);
+    expect(rec.biometricSubtype).toBe('Right Index');
+    expect(rec.bdb).toEqual(bdb);
+  });
+
+  it('keeps unregistered vendor payloads opaque', () => {
+    const rec = parse99([['99.002', '01'], ['99.101', '10'], ['99.103', '0042'], ['99.104', '8001']], Buffer.from('vendor'));
+    expect(rec.biometricTypeName).toBe('Iris');
+    expect(rec.formatName).toBeNull();
+    expect(rec.biometricSubtype).toBeNull();
+    expect(rec.bdb.toString()).toBe('vendor');
+  });
+
+  it('returns nulls for missing or malformed header fields', () => {
+    const rec = parse99([['99.002', '01'], ['99.101', 'zz']]);
+    expect(rec.biometricType).toBeNull();
+    expect(rec.formatOwner).toBeNull();
+    expect(rec.quality).toEqual([]);
+    expect(rec.bdb).toHaveLength(0);
+  });
+});
+
+describe('parseEft with Type-99 records', () => {
+  it('collects CBEFF records in type99Records', () => {
+    const cbeff = buildTaggedRecord(99, [['99.002', '05'], ['99.103', '001B'], ['99.104', '0201']], Buffer.from([1, 2, 3]));
+    const eft = parseEft(buildEft([{ type: 99, idc: 5, buf: cbeff }]));
+    expect(eft.type99Records).toHaveLength(1);
+    expect(eft.type99Records[0].formatName).toBe('INCITS 378 finger minutiae');
+  });
+});
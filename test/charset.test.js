@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { decodeText, defaultEncoding, encodeText } from '../src/charset.js';
+import { parseEft } from '../src/eft-parser.js';
+import { buildEft, rs, us } from './builders.js';
+
+// Builders write field text as Latin-1, so pre-encode UTF-8 values byte for byte
+const utf8Bytes = (str) => Buffer.from(str, 'utf8').toString('latin1');
+const STX = '\x02';
+const ETX = '\x03';
+
+describe('defaultEncoding', () => {
+  it('uses UTF-8 only when DCS declares it', () => {
+    expect(defaultEncoding([])).toBe('ASCII');
+    expect(defaultEncoding([{ index: 1 }, { index: 4 }])).toBe('ASCII');
+    expect(defaultEncoding([{ index: 0 }, { index: 3 }])).toBe('UTF-8');
+  });
+});
+
+describe('decodeText', () => {
+  it('decodes plain ASCII', () => {
+    expect(decodeText(Buffer.from('SMITH,JOHN'))).toEqual({ text: 'SMITH,JOHN', valid: true, encodings: ['ASCII'] });
+  });
+
+  it('flags 8-bit bytes in ASCII text and keeps them as Latin-1', () => {
+    const { text, valid } = decodeText(Buffer.from('MÜLLER', 'latin1'));
+    expect(text).toBe('MÜLLER');
+    expect(valid).toBe(false);
+  });
+
+  it('decodes UTF-8 when it is the default encoding', () => {
+    expect(decodeText(Buffer.from('JOSÉ,NUÑEZ'), 'UTF-8')).toMatchObject({ text: 'JOSÉ,NUÑEZ', valid: true });
+  });
+
+  it('flags invalid UTF-8 sequences', () => {
+    const { text, valid } = decodeText(Buffer.from([0x4a, 0xc3, 0x28]), 'UTF-8');
+    expect(valid).toBe(false);
+    expect(text).toHaveLength(3);
+  });
+
+  it('decodes STX/ETX segments with their character set index', () => {
+    const latin = Buffer.concat([Buffer.from(`DOE ${STX}001`), Buffer.from('Zoë', 'latin1'), Buffer.from(`${ETX} JR`)]);
+    expect(decodeText(latin)).toEqual({ text: 'DOE Zoë JR', valid: true, encodings: ['ASCII', 'ISO-8859-1'] });
+
+    const utf16 = Buffer.concat([Buffer.from(`${STX}002`), Buffer.from([0x00, 0x41, 0x01, 0x5a]), Buffer.from(ETX)]);
+    expect(decodeText(utf16).text).toBe('AŚ');
+
+    const utf32 = Buffer.concat([Buffer.from(`${STX}004`), Buffer.from([0x00, 0x01, 0xf6, 0x00]), Buffer.from(ETX)]);
+    expect(decodeText(utf32).text).toBe('😀');
+  });
+
+  it('flags unknown character sets and unterminated segments', () => {
+    expect(decodeText(Buffer.from(`A${STX}777XYZ${ETX}`)).valid).toBe(false);
+    expect(decodeText(Buffer.from(`A${STX}001XYZ`)).valid).toBe(false);
+  });
+});
+
+describe('parseEft character sets', () => {
+  it('decodes Type-2 text as UTF-8 when DCS declares it', () => {
+    const eft = parseEft(buildEft([], {
+      type1Fields: [['1.015', rs(us('0', 'ASCII'), us('3', 'UTF-8'))]],
+      type2Fields: [['2.002', '00'], ['2.018', utf8Bytes('NUÑEZ,JOSÉ')]],
+    }));
+    expect(eft.type2.fullName).toBe('José Nuñez');
+    expect(eft.encodingIssues).toEqual([]);
+  });
+
+  it('flags 8-bit text in an ASCII transaction', () => {
+    const eft = parseEft(buildEft([], { type2Fields: [['2.002', '00'], ['2.041', 'STRAßE 1']] }));
+    expect(eft.encodingIssues).toEqual([{ recordType: 2, idc: 0, tag: '2.041', encoding: 'ASCII' }]);
+  });
+});
+
+describe('encodeText', () => {
+  it('round-trips through decodeText', () => {
+    for (const index of [1, 2, 3, 4]) {
+      const bytes = encodeText('DOE Zoë 東京 JR', 'ASCII', [{ index }]);
+      expect(decodeText(bytes)).toMatchObject({ text: 'DOE Zoë 東京 JR', valid: true });
+    }
+    expect(decodeText(encodeText('NUÑEZ', 'UTF-8'), 'UTF-8')).toMatchObject({ text: 'NUÑEZ', valid: true });
+  });
+
+  it('prefers ISO-8859-1 for Latin-1 text and falls back to undeclared sets', () => {
+    expect(encodeText('ZOË', 'ASCII', [{ index: 1 }, { index: 3 }]).toString('latin1')).toBe(`ZO${STX}001Ë${ETX}`);
+    expect(encodeText('ZOË').toString('latin1')).toBe(`ZO${STX}001Ë${ETX}`);
+    expect(encodeText('東', 'ASCII', [{ index: 1 }])).toEqual(Buffer.concat([Buffer.from(`${STX}003`), Buffer.from('東'), Buffer.from(ETX)]));
+  });
+});
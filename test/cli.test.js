@@ -1,9 +1,13 @@
 import { describe, it, expect } from 'vitest';
 import { execFileSync } from 'node:child_process';
-import { readFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'node:fs';
 import { resolve, dirname, join } from 'node:path';
 import { tmpdir } from 'node:os';
+import { createHash } from 'node:crypto';
+import { gzipSync } from 'node:zlib';
 import { fileURLToPath } from 'node:url';
+import { parseEft, parseAllEft } from '../src/eft-parser.js';
+import { buildEft, buildTaggedRecord, buildType4, buildType7, buildZip, us } from './builders.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const cli = resolve(__dirname, '..', 'src', 'cli.js');
@@ -23,6 +27,32 @@ describe('CLI', () => {
   it('info command works with fixture', () => {
     const out = execFileSync('node', [cli, 'info', fixture], { encoding: 'utf8' });
     expect(out).toContain('Michael Scott');
+    // Fields outside the summary are listed with their dictionary label
+    expect(out).toMatch(/2\.025 +│ Race +│ White/);
+  });
+
+  it('info flags fields with bytes invalid for the character set', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const file = join(tmpDir, 'latin.eft');
+      writeFileSync(file, buildEft([], { type2Fields: [['2.002', '00'], ['2.041', 'STRAßE 1']] }));
+      const out = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(out).toContain('1 fields with bytes invalid for their character set (2.041)');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info shows the Type-1 transaction header', () => {
+    const out = execFileSync('node', [cli, 'info', fixture], { encoding: 'utf8' });
+    expect(out).toContain('ANSI/NIST-ITL 1-2011 Update:2015');
+    expect(out).toContain('TESTCASE001');
+  });
+
+  it('export --finger unknown_finger does not match zero FGP fill', () => {
+    expect(
+      () => execFileSync('node', [cli, 'export', fixture, '--output', tmpdir(), '--finger', 'unknown_finger'], { stdio: 'pipe' }),
+    ).toThrow(/No fingerprint record found for position 0/);
   });
 
   it('export rejects invalid format', () => {
@@ -55,4 +85,423 @@ describe('CLI', () => {
       expect(err.stderr.length > 0 || err.stdout.length > 0, 'should produce output').toBe(true);
     }
   });
+
+  it('info and export include Type-10 photos', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+      const photo = buildTaggedRecord(10, [['10.002', '01'], ['10.003', 'FACE'], ['10.006', '1'], ['10.007', '1'], ['10.011', 'JPEGB']], jpeg);
+      const file = join(tmpDir, 'photo.eft');
+      writeFileSync(file, buildEft([{ type: 10, idc: 1, buf: photo }]));
+
+      const info = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(info).toContain('Photos');
+      expect(info).toContain('Face');
+
+      execFileSync('node', [cli, 'export', file, '--output', tmpDir], { encoding: 'utf8' });
+      expect(Buffer.compare(readFileSync(join(tmpDir, 'face-01.jpg')), jpeg)).toBe(0);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('export includes Type-14 fingerprints', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const wsq = parseEft(readFileSync(fixture)).type4Records[0].imageData;
+      const rec = buildTaggedRecord(14, [['14.002', '01'], ['14.011', 'WSQ20'], ['14.013', '02']], Buffer.from(wsq));
+      const file = join(tmpDir, 'type14.eft');
+      writeFileSync(file, buildEft([{ type: 14, idc: 1, buf: rec }]));
+
+      const out = execFileSync('node', [cli, 'export', file, '--output', tmpDir, '--finger', 'right_index'], { encoding: 'utf8' });
+      expect(out).toContain('Right Index');
+      expect(readFileSync(join(tmpDir, '02-right-index.tiff')).length).toBeGreaterThan(0);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('export gives records sharing a position distinct file names', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const wsq = Buffer.from(parseEft(readFileSync(fixture)).type4Records[0].imageData);
+      const plain = buildTaggedRecord(14, [['14.002', '02'], ['14.003', '1'], ['14.011', 'WSQ20'], ['14.013', '02']], wsq);
+      const file = join(tmpDir, 'same-finger.eft');
+      writeFileSync(file, buildEft([
+        { type: 4, idc: 1, buf: buildType4(1, { fgp: [2], cga: 1, data: wsq }) },
+        { type: 14, idc: 2, buf: plain },
+      ]));
+
+      const out = execFileSync('node', [cli, 'export', file, '--output', tmpDir], { encoding: 'utf8' });
+      expect(out).toContain('2 images exported');
+      expect(readFileSync(join(tmpDir, '02-right-index.tiff')).length).toBeGreaterThan(0);
+      expect(readFileSync(join(tmpDir, '02-right-index-type14-02.tiff')).length).toBeGreaterThan(0);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('export skips images it cannot decode and writes the rest', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const wsq = parseEft(readFileSync(fixture)).type4Records[0].imageData;
+      const jpegl = buildTaggedRecord(14, [['14.002', '02'], ['14.011', 'JPEGL'], ['14.013', '03']], Buffer.alloc(16));
+      const file = join(tmpDir, 'jpegl.eft');
+      writeFileSync(file, buildEft([
+        { type: 4, idc: 1, buf: buildType4(1, { fgp: [2], cga: 1, data: Buffer.from(wsq) }) },
+        { type: 14, idc: 2, buf: jpegl },
+      ]));
+
+      const out = execFileSync('node', [cli, 'export', file, '--output', tmpDir], { encoding: 'utf8' });
+      expect(out).toContain('skipped Cannot decode lossless JPEG (JPEGL) image data');
+      expect(out).toContain('1 images exported');
+      expect(readFileSync(join(tmpDir, '02-right-index.tiff')).length).toBeGreaterThan(0);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info labels and export writes Type-13 latents', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const latent = buildTaggedRecord(13, [
+        ['13.002', '01'], ['13.003', '4'], ['13.006', '2'], ['13.007', '2'], ['13.011', 'NONE'], ['13.013', '0'],
+      ], Buffer.alloc(4, 0x80));
+      const file = join(tmpDir, 'latent.eft');
+      writeFileSync(file, buildEft([{ type: 13, idc: 1, buf: latent }]));
+
+      const info = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(info).toContain('Latents');
+      expect(info).toContain('latent');
+
+      const out = execFileSync('node', [cli, 'export', file, '--output', tmpDir, '--format', 'png'], { encoding: 'utf8' });
+      expect(out).toContain('Latent #1');
+      expect(readFileSync(join(tmpDir, 'latent-01.png'))[0]).toBe(0x89);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('export names Type-15 palms by palm position', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const palm = buildTaggedRecord(15, [
+        ['15.002', '01'], ['15.006', '2'], ['15.007', '2'], ['15.011', 'NONE'], ['15.013', '21'],
+      ], Buffer.alloc(4, 0x80));
+      const file = join(tmpDir, 'palm.eft');
+      writeFileSync(file, buildEft([{ type: 15, idc: 1, buf: palm }]));
+
+      execFileSync('node', [cli, 'export', file, '--output', tmpDir, '--finger', 'right_full_palm'], { encoding: 'utf8' });
+      expect(readFileSync(join(tmpDir, '21-right-full-palm.tiff')).length).toBeGreaterThan(0);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info lists and export writes Type-17 iris images by eye', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+      const iris = buildTaggedRecord(17, [['17.002', '01'], ['17.003', '1'], ['17.011', 'PNG']], png);
+      const file = join(tmpDir, 'iris.eft');
+      writeFileSync(file, buildEft([{ type: 17, idc: 1, buf: iris }]));
+
+      const info = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(info).toContain('Right Eye');
+
+      execFileSync('node', [cli, 'export', file, '--output', tmpDir], { encoding: 'utf8' });
+      expect(Buffer.compare(readFileSync(join(tmpDir, 'right-eye-01.png')), png)).toBe(0);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info lists and export writes Type-7 payloads and Type-6 binary images', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+      const file = join(tmpDir, 'legacy.eft');
+      writeFileSync(file, buildEft([
+        { type: 6, idc: 1, buf: buildType4(1, { fgp: [2], hll: 8, vll: 2, cga: 0, data: Buffer.from([0xf0, 0x0f]) }) },
+        { type: 7, idc: 2, buf: buildType7(2, jpeg) },
+        { type: 7, idc: 3, buf: buildType7(3, Buffer.from('opaque')) },
+      ]));
+
+      const info = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(info).toContain('User-defined');
+      expect(info).toContain('JPEG');
+
+      execFileSync('node', [cli, 'export', file, '--output', tmpDir], { encoding: 'utf8' });
+      expect(readFileSync(join(tmpDir, '02-right-index.tiff')).length).toBeGreaterThan(0);
+      expect(Buffer.compare(readFileSync(join(tmpDir, 'user-defined-02.jpg')), jpeg)).toBe(0);
+      expect(readFileSync(join(tmpDir, 'user-defined-03.bin'), 'utf8')).toBe('opaque');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('verify exits non-zero when a Type-98 record hash does not match', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const type4 = buildType4(1);
+      const digest = createHash('sha256').update(type4).digest('hex');
+      const build = (hash) => buildEft([
+        { type: 4, idc: 1, buf: type4 },
+        { type: 98, idc: 2, buf: buildTaggedRecord(98, [['98.002', '02'], ['98.200', us('4', '1', 'SHA256', hash)]]) },
+      ]);
+      const good = join(tmpDir, 'good.eft');
+      const bad = join(tmpDir, 'bad.eft');
+      writeFileSync(good, build(digest));
+      writeFileSync(bad, build('00'.repeat(32)));
+
+      const out = execFileSync('node', [cli, 'verify', good], { encoding: 'utf8' });
+      expect(out).toContain('match');
+      expect(out).toContain('1 record hashes verified');
+
+      expect(() => execFileSync('node', [cli, 'verify', bad], { encoding: 'utf8', stdio: 'pipe' })).toThrow();
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info labels Type-99 CBEFF formats', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const cbeff = buildTaggedRecord(99, [['99.002', '01'], ['99.101', '000008'], ['99.103', '0101'], ['99.104', '0001']], Buffer.alloc(8));
+      const file = join(tmpDir, 'cbeff.eft');
+      writeFileSync(file, buildEft([{ type: 99, idc: 1, buf: cbeff }]));
+
+      const info = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(info).toContain('CBEFF');
+      expect(info).toContain('ISO/IEC 19794-2 finger minutiae');
+      expect(info).toContain('Finger');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('anonymize writes a new EFT without Type-2 personal data', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const out = join(tmpDir, 'anon.eft');
+      const log = execFileSync('node', [cli, 'anonymize', fixture, '--output', out, '--pseudonymize', '--seed', 'qa', '--tcn', 'ANON0001'], { encoding: 'utf8' });
+      expect(log).toContain('2.018');
+      expect(log).toContain('4 fields changed');
+
+      const eft = parseEft(readFileSync(out));
+      expect(eft.type2.fullName).not.toBe('Michael Scott');
+      expect(eft.header.controlNumber).toBe('ANON0001');
+      expect(eft.type4Records).toHaveLength(1);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info shows one block per Type-2 subject', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const file = join(tmpDir, 'batch.eft');
+      writeFileSync(file, buildEft([
+        { type: 2, idc: 1, buf: buildTaggedRecord(2, [['2.002', '01'], ['2.018', 'SCOTT,MICHAEL']]) },
+        { type: 2, idc: 2, buf: buildTaggedRecord(2, [['2.002', '02'], ['2.018', 'HALPERT,JIM'], ['2.020', 'PA']]) },
+      ], { type2Fields: null }));
+      const out = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(out).toMatch(/Subject 1 \(Type-2 IDC 1\)\s+Name +Michael Scott/);
+      expect(out).toMatch(/Subject 2 \(Type-2 IDC 2\)\s+Name +Jim Halpert/);
+      expect(out).toContain('Pennsylvania');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info and export number the transactions of a multi-transaction file', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const wsq = parseEft(readFileSync(fixture)).type4Records[0].imageData;
+      const transaction = (name, fgp) => buildEft([{ type: 4, idc: 1, buf: buildType4(1, { fgp: [fgp], data: Buffer.from(wsq) }) }], {
+        type2Fields: [['2.002', '00'], ['2.018', name]],
+      });
+      const file = join(tmpDir, 'archive.eft');
+      writeFileSync(file, Buffer.concat([transaction('SCOTT,MICHAEL', 1), transaction('HALPERT,JIM', 2)]));
+
+      const info = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(info).toMatch(/Transaction 1 of 2 \(offset 0, \d+ bytes\)[\s\S]+Michael Scott/);
+      expect(info).toMatch(/Transaction 2 of 2 \(offset \d+, \d+ bytes\)[\s\S]+Jim Halpert/);
+
+      const out = execFileSync('node', [cli, 'export', file, '--output', tmpDir], { encoding: 'utf8' });
+      expect(out).toContain('2 images exported');
+      expect(readFileSync(join(tmpDir, 'transaction-01', '01-right-thumb.tiff')).length).toBeGreaterThan(0);
+      expect(readFileSync(join(tmpDir, 'transaction-02', '02-right-index.tiff')).length).toBeGreaterThan(0);
+
+      // --finger only needs to match in one transaction
+      const filtered = execFileSync('node', [cli, 'export', file, '--output', join(tmpDir, 'filtered'), '--finger', '2'], { encoding: 'utf8' });
+      expect(filtered).toContain('1 images exported');
+      expect(filtered).not.toContain('Transaction 1 of 2');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('anonymize, validate and verify process every transaction of a multi-transaction file', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const transaction = (name, fgp) => buildEft([{ type: 4, idc: 1, buf: buildType4(1, { fgp: [fgp] }) }], {
+        type2Fields: [['2.002', '00'], ['2.018', name]],
+      });
+      const file = join(tmpDir, 'archive.eft');
+      const first = transaction('SCOTT,MICHAEL', 1);
+      writeFileSync(file, Buffer.concat([first, transaction('HALPERT,JIM', 2)]));
+
+      const out = join(tmpDir, 'anon.eft');
+      const log = execFileSync('node', [cli, 'anonymize', file, '--output', out], { encoding: 'utf8' });
+      expect(log).toContain('2 fields changed in 2 transactions');
+      const written = parseAllEft(readFileSync(out));
+      expect(written).toHaveLength(2);
+      expect(written.map(eft => eft.type2.fullName)).toEqual([null, null]);
+      expect(written.map(eft => eft.type4Records[0].fingerPosition)).toEqual([1, 2]);
+      expect(() => execFileSync('node', [cli, 'anonymize', file, '--tcn', 'X1'], { stdio: 'pipe' })).toThrow(/holds 2 transactions/);
+
+      const verified = execFileSync('node', [cli, 'verify', file], { encoding: 'utf8' });
+      expect(verified).toMatch(/Transaction 1 of 2 \(offset 0, \d+ bytes\)/);
+      expect(verified).toMatch(/Transaction 2 of 2 \(offset \d+, \d+ bytes\)/);
+
+      let validated;
+      try {
+        validated = execFileSync('node', [cli, 'validate', file, '--json', '--profile', 'none'], { encoding: 'utf8', stdio: 'pipe' });
+      } catch (err) {
+        validated = err.stdout;
+      }
+      const report = JSON.parse(validated);
+      expect(report.transactions.map(t => t.offset)).toEqual([0, first.length]);
+      // Neither transaction is reported as followed by another one
+      expect(report.transactions.flatMap(t => t.issues).map(i => i.rule)).not.toContain('more-transactions');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads EFT files wrapped in gzip, zip and base64', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const eft = readFileSync(fixture);
+      const gz = join(tmpDir, 'sample.eft.gz');
+      writeFileSync(gz, gzipSync(eft));
+      expect(execFileSync('node', [cli, 'info', gz], { encoding: 'utf8' })).toMatch(/Container +gzip[\s\S]+Michael Scott/);
+
+      const b64 = join(tmpDir, 'sample.b64');
+      writeFileSync(b64, eft.toString('base64'));
+      let validated;
+      try {
+        validated = execFileSync('node', [cli, 'validate', b64, '--json'], { encoding: 'utf8', stdio: 'pipe' });
+      } catch (err) {
+        validated = err.stdout;
+      }
+      expect(JSON.parse(validated).issues.map(i => i.tag)).toEqual(['1.11', '1.12', '1.04']);
+
+      const zip = join(tmpDir, 'cards.zip');
+      writeFileSync(zip, buildZip([{ name: 'scott.eft', data: eft }, { name: 'copy.eft', data: eft }]));
+      const info = execFileSync('node', [cli, 'info', zip], { encoding: 'utf8' });
+      expect(info).toMatch(/Transaction 2 of 2 \(zip copy\.eft, offset 0, \d+ bytes\)/);
+      const out = execFileSync('node', [cli, 'export', zip, '--output', tmpDir], { encoding: 'utf8' });
+      expect(out).toMatch(/Transaction 1 of 2 zip scott\.eft → transaction-01/);
+      expect(readFileSync(join(tmpDir, 'transaction-02', '06-left-thumb.tiff')).length).toBeGreaterThan(0);
+
+      expect(execFileSync('node', [cli, 'verify', zip], { encoding: 'utf8' })).toMatch(/Transaction 2 of 2 \(zip copy\.eft, offset 0, \d+ bytes\)/);
+
+      // anonymize writes a single EFT file, so it refuses archives holding several
+      expect(() => execFileSync('node', [cli, 'anonymize', zip], { stdio: 'pipe' })).toThrow(/contains 2 EFT files/);
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info counts rolled and plain prints by impression type', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const file = join(tmpDir, 'impressions.eft');
+      writeFileSync(file, buildEft([
+        { type: 4, idc: 1, buf: buildType4(1, { imp: 1, fgp: [0] }) },
+        { type: 4, idc: 2, buf: buildType4(2, { imp: 3, fgp: [19] }) },
+        { type: 4, idc: 3, buf: buildType4(3, { imp: 0, fgp: [2] }) },
+      ]));
+      const out = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(out).toContain('3 images (2 rolled, 1 plain)');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info summarizes every compression and resolution, including unknown ones', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const file = join(tmpDir, 'resolutions.eft');
+      writeFileSync(file, buildEft([
+        { type: 4, idc: 1, buf: buildType4(1, { isr: 0, cga: 1 }) },
+        { type: 4, idc: 2, buf: buildType4(2, { isr: 7, cga: 0, fgp: [2] }) },
+        { type: 4, idc: 3, buf: buildType4(3, { isr: 0, cga: 1, fgp: [3] }) },
+      ]));
+      const out = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(out).toContain('— WSQ, Uncompressed @ 500 PPI, unknown resolution');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info reads a plain EFT record by record and reports trailing data and minutiae links', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const file = join(tmpDir, 'trailing.eft');
+      writeFileSync(file, Buffer.concat([buildEft([
+        { type: 4, idc: 1, buf: buildType4(1) },
+        { type: 9, idc: 1, buf: buildTaggedRecord(9, [['9.002', '01'], ['9.003', '0'], ['9.004', 'U']]) },
+      ]), Buffer.from('junk')]));
+      const out = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(out).toContain('Type-4 #1');
+      expect(out).toContain('4 bytes of unrecognized data follow the transaction');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('info lists parse warnings and keeps the readable records', () => {
+    const tmpDir = mkdtempSync(join(tmpdir(), 'eft-test-'));
+    try {
+      const file = join(tmpDir, 'idc.eft');
+      writeFileSync(file, buildEft([
+        { type: 4, idc: 1, buf: buildType4(1, { fgp: [1] }) },
+        { type: 4, idc: 2, buf: buildType4(7, { fgp: [2] }) },
+      ]));
+      const out = execFileSync('node', [cli, 'info', file], { encoding: 'utf8' });
+      expect(out).toContain('Right Index');
+      expect(out).toContain('1 problems found');
+      expect(out).toContain('Type-4 IDC mismatch: expected 2, got 7');
+    } finally {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('validate prints a JSON report and exits non-zero on errors', () => {
+    expect.assertions(5);
+    try {
+      execFileSync('node', [cli, 'validate', fixture, '--json'], { encoding: 'utf8', stdio: 'pipe' });
+    } catch (err) {
+      expect(err.status).toBe(1);
+      const report = JSON.parse(err.stdout);
+      expect(report.valid).toBe(false);
+      expect(report.file).toBe('sample.eft');
+      // The sample writes NSR/NTR as image dimensions instead of pixels per millimetre,
+      // and its CRM transaction type is not an FBI EBTS TOT
+      expect(report.issues.map(i => [i.tag, i.severity])).toEqual([['1.11', 'error'], ['1.12', 'error'], ['1.04', 'warning']]);
+      expect(report.profile).toBe('fbi-ebts-11');
+    }
+  });
+
+  it('validate --profile none skips agency profile rules', () => {
+    expect.assertions(1);
+    try {
+      execFileSync('node', [cli, 'validate', fixture, '--json', '--profile', 'none'], { encoding: 'utf8', stdio: 'pipe' });
+    } catch (err) {
+      expect(JSON.parse(err.stdout).issues.map(i => i.rule)).toEqual(['field-format', 'field-format']);
+    }
+  });
 });
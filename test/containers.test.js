@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { gzipSync } from 'node:zlib';
+import { unwrapEft, parseWrappedEft } from '../src/containers.js';
+import { EftParseError } from '../src/errors.js';
+import { buildEft, buildZip } from './builders.js';
+import { eftBuf } from './fixture.js';
+
+const other = buildEft([], { type2Fields: [['2.002', '00'], ['2.018', 'HALPERT,JIM']] });
+
+// gzip with the original file name in its header (FNAME)
+function gzipNamed(buf, name) {
+  const gz = gzipSync(buf);
+  const header = Buffer.from(gz.subarray(0, 10));
+  header[3] |= 0x08;
+  return Buffer.concat([header, Buffer.from(`${name}\0`, 'latin1'), gz.subarray(10)]);
+}
+
+// Base64 wrapped at 76 characters, as in MIME and most SOAP toolkits
+const wrapped = (buf) => buf.toString('base64').match(/.{1,76}/g).join('\r\n');
+
+describe('unwrapEft', () => {
+  it('returns a plain EFT as is', () => {
+    expect(unwrapEft(eftBuf)).toEqual([{ data: eftBuf, containers: [] }]);
+  });
+
+  it('returns unrecognized input as is', () => {
+    const [file] = unwrapEft(Buffer.from('not an eft file'));
+    expect(file.containers).toEqual([]);
+  });
+
+  it('decompresses gzip and reports the stored file name', () => {
+    expect(unwrapEft(gzipSync(eftBuf))).toEqual([{ data: eftBuf, containers: [{ type: 'gzip', name: null, offset: 0 }] }]);
+    expect(unwrapEft(gzipNamed(eftBuf, 'sample.eft'))[0].containers[0].name).toBe('sample.eft');
+  });
+
+  it('reads stored and deflated zip entries and skips the rest', () => {
+    const zip = buildZip([
+      { name: 'README.txt', data: Buffer.from('Fingerprint cards') },
+      { name: 'prints/', data: Buffer.alloc(0), stored: true },
+      { name: 'prints/scott.eft', data: eftBuf },
+      { name: 'prints/halpert.eft', data: other, stored: true },
+    ]);
+    const files = unwrapEft(zip);
+    expect(files.map(f => f.containers.map(c => c.name))).toEqual([['prints/scott.eft'], ['prints/halpert.eft']]);
+    expect(files[0].data).toEqual(eftBuf);
+    expect(files[1].data).toEqual(other);
+    expect(files[0].containers[0]).toMatchObject({ type: 'zip', offset: expect.any(Number) });
+  });
+
+  it('decodes a base64 file', () => {
+    const files = unwrapEft(Buffer.from(wrapped(eftBuf)));
+    expect(files).toEqual([{ data: eftBuf, containers: [{ type: 'base64', name: null, offset: 0 }] }]);
+  });
+
+  it('finds base64 blocks inside SOAP and JSON documents', () => {
+    const soap = `<?xml version="1.0"?><soap:Envelope><soap:Body><Submit><Eft>${wrapped(eftBuf)}</Eft></Submit></soap:Body></soap:Envelope>`;
+    const [fromSoap] = unwrapEft(Buffer.from(soap));
+    expect(fromSoap.data).toEqual(eftBuf);
+    expect(fromSoap.containers).toEqual([{ type: 'base64', name: null, offset: soap.indexOf('<Eft>') + 5 }]);
+
+    // Some serializers escape "/" in JSON strings
+    const json = JSON.stringify({ id: 7, files: [eftBuf.toString('base64'), other.toString('base64')] }).replaceAll('/', '\\/');
+    expect(unwrapEft(Buffer.from(json)).map(f => f.data)).toEqual([eftBuf, other]);
+  });
+
+  it('opens nested containers', () => {
+    const zip = buildZip([{ name: 'a.eft.gz', data: gzipNamed(eftBuf, 'a.eft'), stored: true }]);
+    const [file] = unwrapEft(Buffer.from(JSON.stringify({ archive: zip.toString('base64') })));
+    expect(file.data).toEqual(eftBuf);
+    expect(file.containers.map(c => [c.type, c.name])).toEqual([['base64', null], ['zip', 'a.eft.gz'], ['gzip', 'a.eft']]);
+  });
+
+  it('throws EftParseError when a container holds no EFT', () => {
+    expect(() => unwrapEft(gzipSync(Buffer.from('hello')))).toThrow(/No EFT file found/);
+    expect(() => unwrapEft(buildZip([{ name: 'a.txt', data: Buffer.from('hello') }]))).toThrow(EftParseError);
+  });
+
+  it('throws EftParseError on corrupt or unsupported containers', () => {
+    expect(() => unwrapEft(gzipSync(eftBuf).subarray(0, 40))).toThrow(/Invalid gzip data/);
+    expect(() => unwrapEft(buildZip([{ name: 'a.eft', data: eftBuf, method: 12 }]))).toThrow(/unsupported compression method 12/);
+    const zip = buildZip([{ name: 'a.eft', data: eftBuf }]);
+    expect(() => unwrapEft(zip.subarray(0, zip.length - 10))).toThrow(/end of central directory not found/);
+  });
+});
+
+describe('parseWrappedEft', () => {
+  it('parses every transaction with the container it came from', () => {
+    const zip = buildZip([
+      { name: 'scott.eft', data: eftBuf },
+      { name: 'batch.eft', data: Buffer.concat([other, other]) },
+    ]);
+    const transactions = parseWrappedEft(zip);
+    expect(transactions.map(t => [t.containers[0].name, t.offset, t.type2.fullName])).toEqual([
+      ['scott.eft', 0, 'Michael Scott'],
+      ['batch.eft', 0, 'Jim Halpert'],
+      ['batch.eft', other.length, 'Jim Halpert'],
+    ]);
+  });
+
+  it('parses unwrapped input like parseAllEft', () => {
+    const [eft] = parseWrappedEft(eftBuf);
+    expect(eft.containers).toEqual([]);
+    expect(eft.type2.fullName).toBe('Michael Scott');
+    expect(() => parseWrappedEft(Buffer.from('not an eft file'))).toThrow(/FS terminator/);
+  });
+
+  it('passes the strict option on', () => {
+    const truncated = gzipSync(eftBuf.subarray(0, eftBuf.length - 100));
+    expect(() => parseWrappedEft(truncated)).toThrow(EftParseError);
+    const [eft] = parseWrappedEft(truncated, { strict: false });
+    expect(eft.warnings.map(w => w.code)).toContain('unreadable-record');
+  });
+});
@@ -3,6 +3,7 @@ import { parseEft } from '../src/eft-parser.js';
 import { EftParseError } from '../src/errors.js';
 import { FS, GS, RS, US } from '../src/constants.js';
 import { eftBuf } from './fixture.js';
+import { buildEft, buildTaggedRecord, buildType4 } from './builders.js';
 
 /**
  * Build a minimal valid Type-1 + Type-2 EFT buffer.
@@ -151,15 +152,15 @@ function buildEftWithType4(type4Buf, type4Idc = 0) {
 }
 
 describe('EFT parser edge cases', () => {
-  it('throws EftParseError for unsupported record type (Type-7)', () => {
-    const buf = buildMinimalEft([2, 7]);
+  it('throws EftParseError for unsupported record type (Type-8)', () => {
+    const buf = buildMinimalEft([2, 8]);
     expect.assertions(3);
     try {
       parseEft(buf);
     } catch (err) {
       expect(err).toBeInstanceOf(EftParseError);
       expect(err.message).toMatch(/Unsupported/);
-      expect(err.recordType).toBe(7);
+      expect(err.recordType).toBe(8);
     }
   });
 
@@ -363,10 +364,69 @@ describe('Type-4 error paths and branch gaps', () => {
     expect(rec.compressionName).toBe('Unknown (99)');
   });
 
-  it('uses raw ISR value when non-zero', () => {
+  it('leaves the resolution unknown for ISR values other than 0 and 1', () => {
     const type4 = buildType4Record(0, { len: 22, isr: 250 });
     const buf = buildEftWithType4(type4, 0);
     const eft = parseEft(buf);
-    expect(eft.type4Records[0].ppi).toBe(250);
+    expect(eft.type4Records[0].ppi).toBeNull();
+    expect(eft.warnings).toContainEqual(expect.objectContaining({ code: 'unknown-resolution', recordType: 4, idc: 0 }));
+  });
+});
+
+describe('lenient parsing (strict: false)', () => {
+  const fingers = (n) => Array.from({ length: n }, (_, i) => ({ type: 4, idc: i + 1, buf: buildType4(i + 1, { fgp: [i + 1] }) }));
+
+  it('keeps records with an IDC mismatch and reports them', () => {
+    const records = fingers(3);
+    records[1] = { ...records[1], buf: buildType4(9, { fgp: [2] }) };
+    const buf = buildEft(records);
+    expect(() => parseEft(buf)).toThrow(/IDC mismatch/);
+
+    const eft = parseEft(buf, { strict: false });
+    expect(eft.type4Records).toHaveLength(3);
+    expect(eft.warnings).toEqual([expect.objectContaining({ code: 'idc-mismatch', recordType: 4, idc: 2, offset: eft.layout[3].offset })]);
+  });
+
+  it('corrects a length field that disagrees with the FS terminator', () => {
+    const latent = buildTaggedRecord(9, [['9.002', '01'], ['9.003', '0']]);
+    // Declare one byte too many: strict parsing reads into the next record
+    const bad = Buffer.from(latent.toString('latin1').replace(/^9\.001:(\d+)/, (_, n) => `9.001:${Number(n) + 1}`), 'latin1');
+    const buf = buildEft([{ type: 9, idc: 1, buf: bad }, ...fingers(1)]);
+    expect(() => parseEft(buf)).toThrow(EftParseError);
+
+    const eft = parseEft(buf, { strict: false });
+    expect(eft.type9Records).toHaveLength(1);
+    expect(eft.type4Records).toHaveLength(1);
+    expect(eft.warnings[0]).toMatchObject({ code: 'length-mismatch', recordType: 9, idc: 1, tag: '9.001' });
+  });
+
+  it('returns the records before a truncated trailing record', () => {
+    const buf = buildEft(fingers(3));
+    const truncated = buf.subarray(0, buf.length - 10);
+    expect(() => parseEft(truncated)).toThrow(/exceeds buffer/);
+
+    const eft = parseEft(truncated, { strict: false });
+    expect(eft.type4Records.map(r => r.idc)).toEqual([1, 2]);
+    expect(eft.warnings.map(w => w.code)).toEqual(['unreadable-record']);
+
+    const missing = parseEft(buf.subarray(0, eft.layout[3].offset), { strict: false });
+    expect(missing.warnings.map(w => w.code)).toEqual(['truncated-record']);
+  });
+
+  it('skips unsupported tagged records', () => {
+    const type16 = buildTaggedRecord(16, [['16.002', '01']]);
+    const buf = buildEft([{ type: 16, idc: 1, buf: type16 }, ...fingers(1)]);
+    const eft = parseEft(buf, { strict: false });
+    expect(eft.type4Records).toHaveLength(1);
+    expect(eft.warnings.map(w => w.code)).toEqual(['unsupported-record']);
+  });
+
+  it('reports unknown compression codes in both modes', () => {
+    const buf = buildEft([{ type: 4, idc: 1, buf: buildType4(1, { cga: 42 }) }]);
+    expect(parseEft(buf).warnings).toEqual([expect.objectContaining({ code: 'unknown-compression', recordType: 4 })]);
+  });
+
+  it('has no warnings for the sample fixture', () => {
+    expect(parseEft(eftBuf, { strict: false }).warnings).toEqual([]);
   });
 });
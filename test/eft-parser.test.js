@@ -1,7 +1,8 @@
 import { describe, it, expect } from 'vitest';
-import { parseEft, formatDate, titleCase } from '../src/eft-parser.js';
+import { parseEft, parseAllEft, formatDate, titleCase } from '../src/eft-parser.js';
 import { EftParseError } from '../src/errors.js';
 import { eftBuf } from './fixture.js';
+import { buildEft, buildTaggedRecord, buildType4 } from './builders.js';
 
 const eft = parseEft(eftBuf);
 
@@ -50,6 +51,62 @@ describe('parseEft', () => {
   });
 });
 
+describe('parseEft — Type-2 records', () => {
+  const subject = (idc, name) => ({ type: 2, idc, buf: buildTaggedRecord(2, [['2.002', String(idc).padStart(2, '0')], ['2.018', name]]) });
+
+  it('parses transactions without a Type-2 record', () => {
+    const parsed = parseEft(buildEft([{ type: 4, idc: 1, buf: buildType4(1) }], { type2Fields: null }));
+    expect(parsed.type2Records).toEqual([]);
+    expect(parsed.type2.fullName).toBeNull();
+    expect(parsed.records.map(r => r.recordType)).toEqual([4]);
+  });
+
+  it('reads repeated Type-2 records in CNT order, wherever they appear', () => {
+    const parsed = parseEft(buildEft([
+      subject(1, 'SCOTT,MICHAEL'),
+      { type: 4, idc: 3, buf: buildType4(3) },
+      subject(2, 'HALPERT,JIM'),
+    ], { type2Fields: null }));
+    expect(parsed.records.map(r => `${r.recordType}/${r.idc}`)).toEqual(['2/1', '4/3', '2/2']);
+    expect(parsed.type2Records.map(r => [r.idc, r.fullName])).toEqual([[1, 'Michael Scott'], [2, 'Jim Halpert']]);
+    expect(parsed.type2).toBe(parsed.type2Records[0]);
+  });
+});
+
+describe('parseAllEft', () => {
+  const transaction = (name) => buildEft([{ type: 4, idc: 1, buf: buildType4(1) }], { type2Fields: [['2.002', '00'], ['2.018', name]] });
+  const first = transaction('SCOTT,MICHAEL');
+  const second = transaction('HALPERT,JIM');
+  const both = Buffer.concat([first, second]);
+
+  it('returns every concatenated transaction with its byte range', () => {
+    const all = parseAllEft(both);
+    expect(all.map(t => t.type2.fullName)).toEqual(['Michael Scott', 'Jim Halpert']);
+    expect(all.map(t => [t.offset, t.length])).toEqual([[0, first.length], [first.length, second.length]]);
+    expect(all[1].layout[0].offset).toBe(first.length);
+    expect(all.every(t => t.warnings.length === 0)).toBe(true);
+  });
+
+  it('returns a single transaction for a regular file', () => {
+    const all = parseAllEft(eftBuf);
+    expect(all).toHaveLength(1);
+    expect(all[0].length).toBe(eftBuf.length);
+  });
+
+  it('parseEft reads the first transaction and warns about the others', () => {
+    const parsed = parseEft(both);
+    expect(parsed.type2.fullName).toBe('Michael Scott');
+    expect(parsed.length).toBe(first.length);
+    expect(parsed.warnings).toEqual([expect.objectContaining({ code: 'more-transactions', offset: first.length })]);
+  });
+
+  it('reports data after the last transaction', () => {
+    const all = parseAllEft(Buffer.concat([both, Buffer.from('\r\n')]));
+    expect(all).toHaveLength(2);
+    expect(all[1].warnings).toEqual([expect.objectContaining({ code: 'trailing-data', offset: both.length })]);
+  });
+});
+
 describe('parseEft — negative', () => {
   it('throws EftParseError on empty buffer', () => {
     expect(() => parseEft(Buffer.alloc(0))).toThrow(EftParseError);
@@ -93,4 +150,8 @@ describe('titleCase', () => {
   it('handles empty string', () => {
     expect(titleCase('')).toBe('');
   });
+
+  it('handles accented letters', () => {
+    expect(titleCase('NUÑEZ ÉLODIE')).toBe('Nuñez Élodie');
+  });
 });
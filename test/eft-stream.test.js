@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { Readable } from 'node:stream';
+import { writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { open } from 'node:fs/promises';
+import { resolve, dirname, join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { parseEftStream } from '../src/eft-stream.js';
+import { parseEft } from '../src/eft-parser.js';
+import { EftError, EftParseError } from '../src/errors.js';
+import { FS } from '../src/constants.js';
+import { buildEft, buildTaggedRecord, buildType4, buildType7 } from './builders.js';
+import { eftBuf } from './fixture.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = resolve(__dirname, '..', 'samples', 'sample.eft');
+
+// Image data containing delimiter bytes and the T.999 tag, to prove it is located by length
+const DATA = Buffer.concat([Buffer.from([0xff, 0xd8, FS, 0x1d]), Buffer.from('\x1d14.999:'), Buffer.alloc(100_000, 7)]);
+
+async function collect(source) {
+  const records = [];
+  for await (const rec of parseEftStream(source)) records.push(rec);
+  return records;
+}
+
+// Readable stream delivering the buffer in small chunks
+function chunked(buf, size = 97) {
+  const chunks = [];
+  for (let i = 0; i < buf.length; i += size) chunks.push(buf.subarray(i, i + size));
+  return Readable.from(chunks);
+}
+
+describe('parseEftStream', () => {
+  const eft = parseEft(eftBuf);
+  let tmpDir;
+  let mixedFile;
+  const mixed = buildEft([
+    { type: 4, idc: 1, buf: buildType4(1, { data: Buffer.from('wsq-bytes') }) },
+    { type: 7, idc: 2, buf: buildType7(2, Buffer.from('payload')) },
+    { type: 14, idc: 3, buf: buildTaggedRecord(14, [['14.002', '03'], ['14.011', 'WSQ20'], ['14.013', '02']], DATA) },
+  ]);
+
+  beforeAll(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'eft-stream-'));
+    mixedFile = join(tmpDir, 'mixed.eft');
+    writeFileSync(mixedFile, mixed);
+  });
+
+  afterAll(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('yields Type-1 and every record from a file path, in file order', async () => {
+    const records = await collect(fixture);
+    expect(records.map(r => r.recordType)).toEqual([1, 2, 4]);
+    expect(records[0].fields).toEqual(eft.type1);
+    expect(records[0].header.transactionType).toBe('CRM');
+    expect(records[1].fullName).toBe('Michael Scott');
+    expect(records.map(r => [r.offset, r.length])).toEqual(eft.layout.map(r => [r.offset, r.length]));
+  });
+
+  it('leaves image data in the file until loadImageData is called', async () => {
+    const handle = await open(fixture);
+    try {
+      const [, type2, type4] = await collect(handle);
+      expect(type4.imageData).toBeNull();
+      expect(type4.fingerPosition).toBe(eft.type4Records[0].fingerPosition);
+      expect(await type4.loadImageData()).toEqual(eft.type4Records[0].imageData);
+      expect(await type2.loadImageData()).toBeNull();
+    } finally {
+      await handle.close();
+    }
+  });
+
+  it('reads tagged image data by offset', async () => {
+    const handle = await open(mixedFile);
+    try {
+      const records = await collect(handle);
+      const type14 = records.find(r => r.recordType === 14);
+      expect(type14.imageData).toBeNull();
+      expect(type14.compression).toBe('WSQ20');
+      expect(type14.fingerPosition).toBe(2);
+      expect(await type14.loadImageData()).toEqual(DATA);
+      expect(await records.find(r => r.recordType === 7).loadImageData()).toEqual(Buffer.from('payload'));
+      expect(records.at(-1).offset + records.at(-1).length).toBe(mixed.length);
+    } finally {
+      await handle.close();
+    }
+  });
+
+  it('reads each record whole from a Readable stream', async () => {
+    const records = await collect(chunked(mixed));
+    const parsed = parseEft(mixed);
+    expect(records.map(r => r.recordType)).toEqual([1, 2, 4, 7, 14]);
+    expect(records.map(r => r.offset).slice(1)).toEqual(parsed.layout.slice(1).map(r => r.offset));
+    expect(records[4].imageData).toEqual(DATA);
+    expect(await records[4].loadImageData()).toEqual(DATA);
+  });
+
+  it('yields concatenated transactions one after the other', async () => {
+    const records = await collect(chunked(Buffer.concat([eftBuf, mixed])));
+    expect(records.map(r => r.recordType)).toEqual([1, 2, 4, 1, 2, 4, 7, 14]);
+    expect(records[3].offset).toBe(eftBuf.length);
+  });
+
+  it('reports warnings on the record they concern', async () => {
+    const unknown = buildEft([{ type: 4, idc: 1, buf: buildType4(1, { cga: 9, isr: 7 }) }]);
+    const records = await collect(Readable.from([unknown]));
+    expect(records[2].warnings).toEqual([
+      expect.objectContaining({ code: 'unknown-compression', offset: records[2].offset }),
+      expect.objectContaining({ code: 'unknown-resolution', offset: records[2].offset }),
+    ]);
+    expect(records[2].ppi).toBeNull();
+  });
+
+  it('reports fields with bytes invalid for their character set', async () => {
+    const latin = buildEft([], { type2Fields: [['2.002', '00'], ['2.041', 'STRAßE 1']] });
+    const records = await collect(Readable.from([latin]));
+    expect(records[0].encodingIssues).toEqual([]);
+    expect(records[1].encodingIssues).toEqual(parseEft(latin).encodingIssues);
+    expect(records[1].encodingIssues).toEqual([{ recordType: 2, idc: 0, tag: '2.041', encoding: 'ASCII' }]);
+  });
+
+  it('throws EftParseError on a truncated record', async () => {
+    const truncated = mixed.subarray(0, mixed.length - 10);
+    const file = join(tmpDir, 'truncated.eft');
+    writeFileSync(file, truncated);
+    await expect(collect(file)).rejects.toThrow(/Type-14 record at offset \d+ exceeds input/);
+    await expect(collect(Readable.from([truncated]))).rejects.toThrow(EftParseError);
+  });
+
+  it('throws EftParseError on an IDC mismatch', async () => {
+    const buf = buildEft([{ type: 4, idc: 1, buf: buildType4(2) }]);
+    await expect(collect(Readable.from([buf]))).rejects.toThrow(/Type-4 IDC mismatch at offset \d+: expected 1, got 2/);
+  });
+
+  it('rejects unsupported sources', async () => {
+    await expect(collect(42)).rejects.toThrow(EftError);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseEft } from '../src/eft-parser.js';
+import { writeEft } from '../src/eft-writer.js';
+import { EftError } from '../src/errors.js';
+import { setField } from '../src/fields.js';
+import { buildEft, buildTaggedRecord, buildType4, buildType7, c, rs, us } from './builders.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = resolve(__dirname, '..', 'samples', 'sample.eft');
+
+function buildMixedEft() {
+  return buildEft([
+    { type: 4, idc: 1, buf: buildType4(1, { fgp: [2, 3], isr: 19 }) },
+    { type: 6, idc: 2, buf: buildType4(2, { hll: 8, vll: 1, cga: 0, data: Buffer.from([0xf0]) }) },
+    { type: 7, idc: 3, buf: buildType7(3, Buffer.from([0xff, 0xd8, 0xff, 0xe0])) },
+    { type: 9, idc: 1, buf: buildTaggedRecord(9, [['9.002', '01'], ['9.003', '0'], ['9.004', 'U']]) },
+    { type: 10, idc: 4, buf: buildTaggedRecord(10, [['10.002', '04'], ['10.003', 'FACE']], Buffer.from([0xff, 0xd8, 0xff, 0xd9])) },
+    { type: 14, idc: 5, buf: buildTaggedRecord(14, [['14.002', '05'], ['14.011', 'NONE'], ['14.013', rs('2', '3')]], Buffer.alloc(300, 0x80)) },
+    { type: 98, idc: 6, buf: buildTaggedRecord(98, [['98.002', '06'], ['98.900', us('ADD', 'Capture')]]) },
+    { type: 99, idc: 7, buf: buildTaggedRecord(99, [['99.002', '07'], ['99.103', '0101'], ['99.104', '0001']], Buffer.alloc(8)) },
+  ], { type2Fields: [['2.002', '00'], ['2.018', 'SCOTT,MICHAEL']] });
+}
+
+describe('writeEft', () => {
+  it('round-trips the sample fixture byte for byte', () => {
+    const buf = readFileSync(fixture);
+    expect(Buffer.compare(writeEft(parseEft(buf)), buf)).toBe(0);
+  });
+
+  it('round-trips binary, Type-7 and tagged records byte for byte', () => {
+    const buf = buildMixedEft();
+    const eft = parseEft(buf);
+    expect(eft.records.map(r => r.recordType)).toEqual([2, 4, 6, 7, 9, 10, 14, 98, 99]);
+    expect(Buffer.compare(writeEft(eft), buf)).toBe(0);
+  });
+
+  it('recomputes record lengths when a field changes', () => {
+    const eft = parseEft(buildMixedEft());
+    eft.records[0].raw['2.018'] = 'SCOTT,MICHAEL GARY';
+    eft.records[5].fields['10.003'] = 'SCARS AND TATTOOS';
+
+    const reparsed = parseEft(writeEft(eft));
+    expect(reparsed.type2.fullName).toBe('Michael Gary Scott');
+    expect(reparsed.type10Records[0].imageType).toBe('SCARS AND TATTOOS');
+    expect(reparsed.type14Records[0].imageData.length).toBe(300);
+  });
+
+  it('solves the self-referential length across a digit boundary', () => {
+    // 23 fixed bytes + 74 characters fits a 2-digit length (99); one more needs 3 digits (101)
+    const type1 = { '1.001': '', '1.002': '0502', '1.003': '' };
+    const minutiae = (n) => ({ recordType: 9, idc: 1, fields: { '9.001': '', '9.002': '01', '9.003': 'X'.repeat(n) } });
+    const type2 = { recordType: 2, idc: 0, raw: { '2.001': '', '2.002': '00' } };
+    const lengthOf = (n) => parseEft(writeEft({ type1, records: [type2, minutiae(n)] })).type9Records[0].fields['9.001'];
+    expect(lengthOf(74)).toBe('99');
+    expect(lengthOf(75)).toBe('101');
+  });
+
+  it('regenerates CNT and IDCs after records are removed', () => {
+    const eft = parseEft(buildMixedEft());
+    eft.records = eft.records.filter(r => r.recordType !== 7 && r.recordType !== 98);
+    eft.records.find(r => r.recordType === 10).idc = 3;
+
+    const reparsed = parseEft(writeEft(eft));
+    expect(reparsed.type1['1.003']).toBe(rs(
+      us('1', '7'), us('2', '00'), us('4', '01'), us('6', '02'), us('9', '01'), us('10', '03'), us('14', '05'), us('99', '07'),
+    ));
+    expect(reparsed.type7Records).toHaveLength(0);
+    expect(reparsed.type10Records[0].idc).toBe(3);
+    expect(reparsed.type10Records[0].fields['10.002']).toBe('03');
+  });
+
+  it('writes binary headers from record properties', () => {
+    const eft = parseEft(buildMixedEft());
+    const type4 = eft.type4Records[0];
+    expect(type4.fingerPositions).toEqual([2, 3]);
+    expect(type4.imageScanningResolution).toBe(19);
+
+    type4.fingerPositions = [7];
+    const reparsed = parseEft(writeEft(eft));
+    expect(reparsed.type4Records[0].fingerPosition).toBe(7);
+    expect(reparsed.type4Records[0].fingerPositions).toEqual([7]);
+  });
+
+  it('inserts missing length and CNT fields', () => {
+    const out = writeEft({ type1: { '1.002': '0502' }, records: [{ recordType: 2, idc: 0, raw: { '2.018': 'DOE,JANE' } }] });
+    const eft = parseEft(out);
+    expect(Object.keys(eft.type1)).toEqual(['1.001', '1.002', '1.003']);
+    expect(eft.type2.raw['2.002']).toBe('00');
+    expect(eft.type2.fullName).toBe('Jane Doe');
+  });
+
+  it('encodes text as UTF-8 when the transaction declares it', () => {
+    const type1 = { '1.001': '', '1.002': '0502', '1.003': '', '1.015': us('3', 'UTF-8') };
+    const out = writeEft({ type1, records: [{ recordType: 2, idc: 0, raw: { '2.018': 'MÜLLER,JÜRGEN' } }] });
+    expect(out.includes(Buffer.from('MÜLLER', 'utf8'))).toBe(true);
+    expect(parseEft(out).type2.fullName).toBe('Jürgen Müller');
+  });
+
+  it('round-trips STX/ETX segments in a declared character set byte for byte', () => {
+    const name = `SCOTT,${c(0x02)}001ZOË${c(0x03)}`;
+    const buf = buildEft([], { type1Fields: [['1.015', us('1', 'ISO-8859-1')]], type2Fields: [['2.002', '00'], ['2.018', name]] });
+    const eft = parseEft(buf);
+    expect(eft.type2.fullName).toBe('Zoë Scott');
+    expect(Buffer.compare(writeEft(eft), buf)).toBe(0);
+  });
+
+  it('writes edited non-ASCII text in STX/ETX segments of the declared character sets', () => {
+    const buf = buildEft([], { type1Fields: [['1.015', rs(us('1', 'ISO-8859-1'), us('2', 'UTF-16'))]], type2Fields: [['2.002', '00']] });
+    const eft = parseEft(buf);
+    setField(eft.type2, 'NAM', 'MÜLLER,JÜRGEN');
+    setField(eft.type2, 'RES', '東京');
+
+    const out = writeEft(eft);
+    expect(out.includes(Buffer.from(`${c(0x02)}001Ü${c(0x03)}`, 'latin1'))).toBe(true);
+    expect(out.includes(Buffer.concat([Buffer.from(`${c(0x02)}002`), Buffer.from([0x67, 0x71, 0x4e, 0xac]), Buffer.from([0x03])]))).toBe(true);
+    const reparsed = parseEft(out);
+    expect(reparsed.encodingIssues).toEqual([]);
+    expect(reparsed.type2.fullName).toBe('Jürgen Müller');
+    expect(reparsed.type2.address).toBe('東京');
+  });
+
+  it('throws EftError without a records array', () => {
+    expect(() => writeEft({ type1: {} })).toThrow(EftError);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { parseField, getField, getFields, setField, deleteField } from '../src/fields.js';
+import { ValidationError } from '../src/errors.js';
+import { parseEft } from '../src/eft-parser.js';
+import { eftBuf } from './fixture.js';
+import { buildEft, buildTaggedRecord, rs, us } from './builders.js';
+
+describe('parseField', () => {
+  it('splits subfields and information items', () => {
+    const field = parseField('2.067', rs(us('CROSSMATCH', 'L SCAN', '123'), us('OTHER', 'M')));
+    expect(field).toEqual({
+      tag: '2.067',
+      recordType: 2,
+      number: 67,
+      mnemonic: 'IMA',
+      raw: rs(us('CROSSMATCH', 'L SCAN', '123'), us('OTHER', 'M')),
+      subfields: [['CROSSMATCH', 'L SCAN', '123'], ['OTHER', 'M']],
+    });
+  });
+
+  it('returns a single item for plain values and no subfields for empty ones', () => {
+    expect(parseField('1.002', '0502').subfields).toEqual([['0502']]);
+    expect(parseField('2.019', '').subfields).toEqual([]);
+  });
+
+  it('leaves the mnemonic null for unknown fields', () => {
+    expect(parseField('2.999', 'x').mnemonic).toBeNull();
+  });
+});
+
+describe('getField', () => {
+  it('looks up Type-1 fields by mnemonic, number or tag regardless of padding', () => {
+    const eft = parseEft(eftBuf);
+    const cnt = getField(eft.type1, 'CNT');
+    expect(cnt.tag).toBe('1.03');
+    expect(cnt.subfields[0][0]).toBe('1');
+    expect(getField(eft.type1, 3)).toEqual(cnt);
+    expect(getField(eft.type1, '1.003')).toEqual(cnt);
+    expect(getField(eft.type1, 'cnt')).toEqual(cnt);
+  });
+
+  it('reads parsed records and Type-2 demographics', () => {
+    const type10 = buildTaggedRecord(10, [['10.002', '01'], ['10.003', 'FACE']]);
+    const eft = parseEft(buildEft([{ type: 10, idc: 1, buf: type10 }], {
+      type2Fields: [['2.002', '00'], ['2.019', rs('DOE,JOHN', 'ROE,RICHARD')]],
+    }));
+    expect(getField(eft.type10Records[0], 'IMT').raw).toBe('FACE');
+    expect(getField(eft.type2, 'AKA').subfields).toEqual([['DOE,JOHN'], ['ROE,RICHARD']]);
+    expect(eft.type2.aliases).toEqual(['DOE,JOHN', 'ROE,RICHARD']);
+  });
+
+  it('returns null for absent fields and unknown mnemonics', () => {
+    const eft = parseEft(eftBuf);
+    expect(getField(eft.type1, 'ZZZ')).toBeNull();
+    expect(getField(eft.type1, 900)).toBeNull();
+    expect(getField({}, 'CNT')).toBeNull();
+  });
+});
+
+describe('getFields', () => {
+  it('lists every field with its mnemonic', () => {
+    const eft = parseEft(eftBuf);
+    const fields = getFields(eft.type1);
+    expect(fields.map(f => f.mnemonic)).toContain('CNT');
+    expect(fields.every(f => Array.isArray(f.subfields))).toBe(true);
+  });
+});
+
+describe('setField', () => {
+  it('updates an existing field in place, keeping its tag', () => {
+    const eft = parseEft(eftBuf);
+    const field = setField(eft.type1, 'TOT', 'CAR');
+    expect(field.tag).toBe('1.04');
+    expect(eft.type1['1.04']).toBe('CAR');
+    expect(Object.keys(eft.type1).indexOf('1.04')).toBe(3);
+  });
+
+  it('adds new fields in field-number order and joins subfields', () => {
+    const eft = parseEft(eftBuf);
+    setField(eft.type2, 'AKA', [['DOE,JOHN'], 'ROE,RICHARD']);
+    const tags = Object.keys(eft.type2.raw);
+    expect(tags.indexOf('2.019')).toBe(tags.indexOf('2.018') + 1);
+    expect(eft.type2.raw['2.019']).toBe(rs('DOE,JOHN', 'ROE,RICHARD'));
+    setField(eft.type2, 67, [['MAKER', 'MODEL']]);
+    expect(getField(eft.type2, 'IMA').subfields).toEqual([['MAKER', 'MODEL']]);
+  });
+
+  it('rejects unknown mnemonics and the image data field', () => {
+    const eft = parseEft(eftBuf);
+    expect(() => setField(eft.type1, 'ZZZ', 'x')).toThrow(ValidationError);
+    expect(() => setField({ recordType: 10, fields: {} }, 999, 'x')).toThrow(ValidationError);
+    expect(() => setField({}, 'CNT', 'x')).toThrow(ValidationError);
+  });
+});
+
+describe('deleteField', () => {
+  it('removes a field by mnemonic', () => {
+    const eft = parseEft(eftBuf);
+    expect(deleteField(eft.type2, 'IMA')).toBe(true);
+    expect(getField(eft.type2, 'IMA')).toBeNull();
+    expect(deleteField(eft.type2, 'IMA')).toBe(false);
+  });
+});
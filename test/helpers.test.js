@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { resolveFingerPosition, filterRecords, formatHeight } from '../src/helpers.js';
+import { resolveFingerPosition, filterRecords, formatHeight, positionName } from '../src/helpers.js';
 import { ValidationError } from '../src/errors.js';
 
 describe('resolveFingerPosition', () => {
@@ -33,13 +33,41 @@ describe('resolveFingerPosition', () => {
     expect(resolveFingerPosition('Left_Index')).toBe(7);
   });
 
+  it('resolves palm numbers and names', () => {
+    expect(resolveFingerPosition('21')).toBe(21);
+    expect(resolveFingerPosition('38')).toBe(38);
+    expect(resolveFingerPosition('right_full_palm')).toBe(21);
+    expect(resolveFingerPosition("left writer's palm")).toBe(24);
+  });
+
   it('throws ValidationError on unknown finger', () => {
     expect(() => resolveFingerPosition('pinky')).toThrow(ValidationError);
     expect(() => resolveFingerPosition('pinky')).toThrow(/Unknown finger/);
   });
 
-  it('throws ValidationError on position 0', () => {
-    expect(() => resolveFingerPosition('0')).toThrow(ValidationError);
+  it('does not resolve Object.prototype property names', () => {
+    expect(() => resolveFingerPosition('constructor')).toThrow(ValidationError);
+    expect(() => resolveFingerPosition('__proto__')).toThrow(ValidationError);
+    expect(() => resolveFingerPosition('toString')).toThrow(ValidationError);
+  });
+
+  it('resolves the unknown, EJI and multi-finger positions', () => {
+    expect(resolveFingerPosition('0')).toBe(0);
+    expect(resolveFingerPosition('unknown_finger')).toBe(0);
+    expect(resolveFingerPosition('15')).toBe(15);
+    expect(resolveFingerPosition('eji')).toBe(19);
+    expect(resolveFingerPosition('right-index-middle')).toBe(40);
+    expect(resolveFingerPosition('50')).toBe(50);
+  });
+
+  it('resolves group names to their positions', () => {
+    expect(resolveFingerPosition('rolled')).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(resolveFingerPosition('Thumbs')).toEqual([1, 6, 11, 12, 15]);
+    expect(resolveFingerPosition('right slap')).toEqual([13, 40, 41, 42, 47, 48]);
+  });
+
+  it('throws ValidationError on codes between the finger and palm ranges', () => {
+    expect(() => resolveFingerPosition('39')).toThrow(ValidationError);
   });
 
   it('throws ValidationError on out-of-range number', () => {
@@ -71,12 +99,35 @@ describe('filterRecords', () => {
     expect(result[0].fingerPosition).toBe(6);
   });
 
+  it('filters palm records by name', () => {
+    const palms = [...records, { fingerPosition: 22, fingerName: "Right Writer's Palm" }];
+    expect(filterRecords(palms, 'right_writers_palm')).toStrictEqual([palms[3]]);
+  });
+
+  it('filters by group and by any possible position', () => {
+    const uncertain = [...records, { fingerPosition: 13, fingerPositions: [13] }, { fingerPosition: 7, fingerPositions: [7, 8] }];
+    expect(filterRecords(uncertain, 'thumbs')).toStrictEqual([uncertain[0], uncertain[2]]);
+    expect(filterRecords(uncertain, 'right_slap')).toStrictEqual([uncertain[3]]);
+    expect(filterRecords(uncertain, 'left_middle')).toStrictEqual([uncertain[4]]);
+    expect(() => filterRecords(records, 'left_slap')).toThrow(/positions 14, 43, 44, 45, 49, 50 \(left_slap\)/);
+  });
+
   it('throws ValidationError when no record matches', () => {
     expect(() => filterRecords(records, '10')).toThrow(ValidationError);
     expect(() => filterRecords(records, '10')).toThrow(/No fingerprint record found/);
   });
 });
 
+describe('positionName', () => {
+  it('names finger and palm positions', () => {
+    expect(positionName(1)).toBe('Right Thumb');
+    expect(positionName(23)).toBe('Left Full Palm');
+    expect(positionName(0)).toBe('Unknown Finger');
+    expect(positionName(46)).toBe('Right Index/Left Index');
+    expect(positionName(99)).toBeUndefined();
+  });
+});
+
 describe('formatHeight', () => {
   it('formats "602" as 6\'02"', () => {
     expect(formatHeight('602')).toBe('6\'02"');
@@ -1,7 +1,10 @@
 import { describe, it, expect } from 'vitest';
 import { parseEft } from '../src/eft-parser.js';
 import { decodeWsq } from '../src/wsq-decoder.js';
-import { toTiff, toPng, exportFilename } from '../src/image-export.js';
+import {
+  toTiff, toPng, exportFilename, exportImageRecord, photoFilename, latentFilename, irisFilename, decodeImage,
+} from '../src/image-export.js';
+import { EftError } from '../src/errors.js';
 import { eftBuf } from './fixture.js';
 
 const eft = parseEft(eftBuf);
@@ -49,11 +52,105 @@ describe('exportFilename', () => {
     expect(exportFilename(1)).toBe('01-right-thumb.tiff');
   });
 
+  it('names palm positions', () => {
+    expect(exportFilename(21)).toBe('21-right-full-palm.tiff');
+    expect(exportFilename(22, 'png')).toBe('22-right-writers-palm.png');
+  });
+
+  it('names EJI and multi-finger positions', () => {
+    expect(exportFilename(19)).toBe('19-eji.tiff');
+    expect(exportFilename(47)).toBe('47-right-index-middle-ring.tiff');
+  });
+
   it('falls back to generic slug for unknown finger position', () => {
     expect(exportFilename(99)).toBe('99-finger-99.tiff');
   });
 });
 
+describe('exportImageRecord', () => {
+  it('passes JPEG data through unchanged', async () => {
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+    const out = await exportImageRecord({ compression: 'JPEGB', imageData: jpeg });
+    expect(out.extension).toBe('jpg');
+    expect(Buffer.compare(out.buffer, jpeg)).toBe(0);
+  });
+
+  it('passes PNG data through unchanged', async () => {
+    const png = await toPng(new Uint8Array(4), 2, 2);
+    const out = await exportImageRecord({ compression: 'PNG', imageData: png });
+    expect(out.extension).toBe('png');
+    expect(Buffer.compare(out.buffer, png)).toBe(0);
+  });
+
+  it('passes JPEG 2000 data through unchanged', async () => {
+    const jp2 = Buffer.from([0x00, 0x00, 0x00, 0x0c, 0x6a, 0x50]);
+    const out = await exportImageRecord({ compression: 'JP2', imageData: jp2 });
+    expect(out.extension).toBe('jp2');
+    expect(Buffer.compare(out.buffer, jp2)).toBe(0);
+  });
+
+  it('encodes uncompressed RGB pixels as PNG', async () => {
+    const out = await exportImageRecord({
+      compression: 'NONE', colorSpace: 'RGB', width: 2, height: 2, imageData: new Uint8Array(12),
+    });
+    expect(out.extension).toBe('png');
+    expect(out.buffer[0]).toBe(0x89);
+    expect(out.buffer[1]).toBe(0x50);
+  });
+});
+
+describe('decodeImage', () => {
+  it('decodes WSQ records', async () => {
+    const decoded = await decodeImage(eft.type4Records[0]);
+    expect(decoded.width).toBe(545);
+    expect(decoded.height).toBe(622);
+  });
+
+  it('returns uncompressed pixels as-is', async () => {
+    const pixels = new Uint8Array([1, 2, 3, 4]);
+    const decoded = await decodeImage({ compression: 'NONE', width: 2, height: 2, imageData: pixels });
+    expect(decoded).toStrictEqual({ width: 2, height: 2, pixels });
+  });
+
+  it('decodes PNG records to single-channel pixels', async () => {
+    const png = await toPng(new Uint8Array([0, 50, 100, 150, 200, 250]), 3, 2);
+    const decoded = await decodeImage({ compression: 'PNG', imageData: png });
+    expect(decoded.width).toBe(3);
+    expect(decoded.height).toBe(2);
+    expect(Array.from(decoded.pixels)).toStrictEqual([0, 50, 100, 150, 200, 250]);
+  });
+
+  it('throws EftError for lossless JPEG data', async () => {
+    await expect(decodeImage({ compression: 'JPEGL', imageData: new Uint8Array(4) })).rejects.toThrow(EftError);
+  });
+});
+
+describe('latentFilename', () => {
+  it('names latents by IDC', () => {
+    expect(latentFilename({ idc: 3 })).toBe('latent-03.tiff');
+    expect(latentFilename({ idc: 12 }, 'png')).toBe('latent-12.png');
+  });
+});
+
+describe('irisFilename', () => {
+  it('names iris images by eye and IDC', () => {
+    expect(irisFilename({ idc: 2, eyeLabel: 1 }, 'jp2')).toBe('right-eye-02.jp2');
+    expect(irisFilename({ idc: 3, eyeLabel: 2 }, 'png')).toBe('left-eye-03.png');
+    expect(irisFilename({ idc: 4, eyeLabel: 0 }, 'png')).toBe('unknown-eye-04.png');
+  });
+});
+
+describe('photoFilename', () => {
+  it('names photos by image type and IDC', () => {
+    expect(photoFilename({ idc: 2, imageType: 'FACE' }, 'jpg')).toBe('face-02.jpg');
+    expect(photoFilename({ idc: 12, imageType: 'SMT' }, 'png')).toBe('smt-12.png');
+  });
+
+  it('falls back to a generic slug without an image type', () => {
+    expect(photoFilename({ idc: 3, imageType: '' }, 'jpg')).toBe('photo-03.jpg');
+  });
+});
+
 describe('full pipeline', () => {
   it('parse → decode → PNG export produces valid image', async () => {
     const rec = eft.type4Records[0];
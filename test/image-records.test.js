@@ -0,0 +1,365 @@
+import { describe, it, expect } from 'vitest';
+import { parseEft } from '../src/eft-parser.js';
+import { EftParseError } from '../src/errors.js';
+import { FS } from '../src/constants.js';
+import { decodeWsq } from '../src/wsq-decoder.js';
+import { toTiff } from '../src/image-export.js';
+import { filterRecords } from '../src/helpers.js';
+import { buildEft, buildTaggedRecord, buildType4, rs, us } from './builders.js';
+import { eftBuf } from './fixture.js';
+
+// Fake JPEG payload containing delimiter bytes, to prove T.999 is sliced by length
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, FS, 0x1d, 0x00, 0xff, 0xd9]);
+
+function type10(idc, fields, data = JPEG) {
+  return { type: 10, idc, buf: buildTaggedRecord(10, [['10.002', String(idc).padStart(2, '0')], ...fields], data) };
+}
+
+describe('Type-10 facial photo', () => {
+  const eft = parseEft(buildEft([
+    { type: 4, idc: 1, buf: buildType4(1) },
+    type10(2, [
+      ['10.003', 'FACE'],
+      ['10.004', 'TESTORI'],
+      ['10.005', '20240102'],
+      ['10.006', '480'],
+      ['10.007', '600'],
+      ['10.008', '1'],
+      ['10.009', '300'],
+      ['10.010', '300'],
+      ['10.011', 'JPEGB'],
+      ['10.012', 'SRGB'],
+      ['10.013', '32'],
+      ['10.020', 'F'],
+    ]),
+  ]));
+  const rec = eft.type10Records[0];
+
+  it('parses tagged fields', () => {
+    expect(eft.type10Records.length).toBe(1);
+    expect(rec.idc).toBe(2);
+    expect(rec.imageType).toBe('FACE');
+    expect(rec.imageTypeName).toBe('Face');
+    expect(rec.source).toBe('TESTORI');
+    expect(rec.photoDate).toStrictEqual({ year: 2024, month: 1, day: 2 });
+    expect(rec.width).toBe(480);
+    expect(rec.height).toBe(600);
+    expect(rec.ppi).toBe(300);
+    expect(rec.compression).toBe('JPEGB');
+    expect(rec.compressionName).toBe('JPEG');
+    expect(rec.colorSpaceName).toBe('sRGB');
+    expect(rec.acquisitionProfile).toBe(32);
+    expect(rec.poseName).toBe('Full face frontal');
+    expect(rec.smt).toBeNull();
+  });
+
+  it('returns image bytes intact even when they contain delimiters', () => {
+    expect(Buffer.compare(Buffer.from(rec.imageData), JPEG)).toBe(0);
+  });
+
+  it('does not expose image data in the raw field map', () => {
+    expect(Object.keys(rec.fields)).not.toContain('10.999');
+  });
+
+  it('keeps parsing Type-4 records alongside photos', () => {
+    expect(eft.type4Records.length).toBe(1);
+  });
+});
+
+describe('Type-10 SMT photo', () => {
+  const eft = parseEft(buildEft([
+    type10(1, [
+      ['10.003', 'SMT'],
+      ['10.008', '2'],
+      ['10.009', '118'],
+      ['10.011', 'PNG'],
+      ['10.040', rs('TAT R ARM', 'SC L HND')],
+      ['10.041', us('10', '5')],
+      ['10.042', rs(us('TATTOO', 'ANIMAL', 'CAT', 'BLACK CAT'), us('SCAR'))],
+      ['10.043', us('BLACK', 'RED')],
+    ]),
+  ]));
+  const rec = eft.type10Records[0];
+
+  it('parses SMT descriptors', () => {
+    expect(rec.imageTypeName).toBe('Scar, mark or tattoo');
+    expect(rec.smt.codes).toStrictEqual(['TAT R ARM', 'SC L HND']);
+    expect(rec.smt.size).toStrictEqual({ height: 10, width: 5 });
+    expect(rec.smt.descriptors).toStrictEqual([
+      { code: 'TATTOO', codeName: 'Tattoo', tattooClass: 'ANIMAL', subclass: 'CAT', description: 'BLACK CAT' },
+      { code: 'SCAR', codeName: 'Scar', tattooClass: null, subclass: null, description: null },
+    ]);
+    expect(rec.smt.colors).toStrictEqual(['BLACK', 'RED']);
+  });
+
+  it('converts pixels-per-centimetre scale to PPI', () => {
+    expect(rec.ppi).toBe(300);
+  });
+});
+
+describe('Type-10 errors', () => {
+  it('throws when the declared length exceeds the buffer', () => {
+    const rec = type10(1, [['10.003', 'FACE']]);
+    const truncated = buildEft([rec]).subarray(0, -3);
+    expect(() => parseEft(truncated)).toThrow(EftParseError);
+    expect(() => parseEft(truncated)).toThrow(/exceeds buffer/);
+  });
+
+  it('throws on IDC mismatch', () => {
+    const rec = { type: 10, idc: 4, buf: buildTaggedRecord(10, [['10.002', '01']], JPEG) };
+    expect(() => parseEft(buildEft([rec]))).toThrow(/Type-10 IDC mismatch/);
+  });
+});
+
+describe('Type-14 variable-resolution fingerprint', () => {
+  const wsq = parseEft(eftBuf).type4Records[0].imageData;
+  const type14 = (idc, fields) => ({
+    type: 14,
+    idc,
+    buf: buildTaggedRecord(14, [['14.002', String(idc).padStart(2, '0')], ...fields], Buffer.from(wsq)),
+  });
+  const eft = parseEft(buildEft([
+    type14(1, [
+      ['14.003', '1'],
+      ['14.004', 'TESTORI'],
+      ['14.005', '20240315'],
+      ['14.006', '545'],
+      ['14.007', '622'],
+      ['14.008', '1'],
+      ['14.009', '1000'],
+      ['14.010', '1000'],
+      ['14.011', 'WSQ20'],
+      ['14.012', '8'],
+      ['14.013', '06'],
+      ['14.014', us('6', 'FV1')],
+      ['14.018', rs(us('07', 'XX'), us('08', 'UP'))],
+      ['14.020', 'RE-PRINTED'],
+      ['14.021', us('06', '10', '500', '20', '600')],
+      ['14.022', us('06', '2')],
+      ['14.023', us('06', '88', '001F', '1')],
+      ['14.024', us('06', '75', '001F', '2')],
+    ]),
+    type14(2, [['14.003', '0'], ['14.011', 'WSQ20'], ['14.013', rs('13', '255')]]),
+  ]));
+  const [rec, plain] = eft.type14Records;
+
+  it('parses tagged fields with Type-4 compatible names', () => {
+    expect(eft.type14Records.length).toBe(2);
+    expect(rec.recordType).toBe(14);
+    expect(rec.idc).toBe(1);
+    expect(rec.impressionName).toBe('Live-scan rolled');
+    expect(rec.fingerPosition).toBe(6);
+    expect(rec.fingerName).toBe('Left Thumb');
+    expect(rec.width).toBe(545);
+    expect(rec.height).toBe(622);
+    expect(rec.ppi).toBe(1000);
+    expect(rec.compressionName).toBe('WSQ');
+    expect(rec.bitsPerPixel).toBe(8);
+    expect(rec.captureDate).toStrictEqual({ year: 2024, month: 3, day: 15 });
+  });
+
+  it('parses AMP, SEG, PPD and quality metrics', () => {
+    expect(rec.printPositions).toStrictEqual([{ position: 6, code: 'FV1' }]);
+    expect(rec.amputations).toStrictEqual([
+      { position: 7, code: 'XX', codeName: 'Amputated' },
+      { position: 8, code: 'UP', codeName: 'Unable to print' },
+    ]);
+    expect(rec.comment).toBe('RE-PRINTED');
+    expect(rec.segments).toStrictEqual([{ position: 6, left: 10, right: 500, top: 20, bottom: 600 }]);
+    expect(rec.nistQuality).toStrictEqual([{ position: 6, score: 2 }]);
+    expect(rec.segmentationQuality).toStrictEqual([{ position: 6, score: 88, vendor: '001F', product: '1' }]);
+    expect(rec.fingerprintQuality).toStrictEqual([{ position: 6, score: 75, vendor: '001F', product: '2' }]);
+  });
+
+  it('ignores 255 fill in FGP', () => {
+    expect(plain.fingerPositions).toStrictEqual([13]);
+    expect(plain.fingerName).toBe('Plain Right Four');
+  });
+
+  it('flows through filterRecords, decodeWsq and toTiff', async () => {
+    const [found] = filterRecords(eft.type14Records, 'left_thumb');
+    expect(found).toBe(rec);
+    const decoded = decodeWsq(found.imageData);
+    expect(decoded.width).toBe(545);
+    const tiff = await toTiff(decoded.pixels, decoded.width, decoded.height, found.ppi);
+    expect(tiff.readUInt16BE(0) === 0x4949 || tiff.readUInt16BE(0) === 0x4d4d).toBe(true);
+  });
+
+  it('is the link target for Type-9 minutiae with the same IDC', () => {
+    const linked = parseEft(buildEft([
+      type14(1, [['14.011', 'WSQ20'], ['14.013', '06']]),
+      { type: 9, idc: 1, buf: buildTaggedRecord(9, [['9.002', '01'], ['9.004', 'S']]) },
+    ]));
+    expect(linked.type9Records[0].linkedRecord).toBe(linked.type14Records[0]);
+  });
+});
+
+describe('Type-13 latent friction-ridge record', () => {
+  const pixels = Buffer.alloc(4 * 3, 0x80);
+  const eft = parseEft(buildEft([
+    { type: 4, idc: 1, buf: buildType4(1) },
+    {
+      type: 13,
+      idc: 2,
+      buf: buildTaggedRecord(13, [
+        ['13.002', '02'],
+        ['13.003', '4'],
+        ['13.004', 'LATENTUNIT'],
+        ['13.005', '20230704'],
+        ['13.006', '4'],
+        ['13.007', '3'],
+        ['13.008', '1'],
+        ['13.009', '1000'],
+        ['13.010', '1000'],
+        ['13.011', 'NONE'],
+        ['13.012', '8'],
+        ['13.013', rs('2', '3')],
+        ['13.014', rs(us('2', 'FV1'), us('3', 'FV2'))],
+        ['13.015', us('FV1', 'TIP', '1', '2', '3', '4')],
+        ['13.020', 'FROM DOOR HANDLE'],
+        ['13.024', us('2', '40', '001F', '9')],
+      ], pixels),
+    },
+  ]));
+  const rec = eft.type13Records[0];
+
+  it('parses tagged fields and marks the record as latent', () => {
+    expect(eft.type13Records.length).toBe(1);
+    expect(rec.recordType).toBe(13);
+    expect(rec.latent).toBe(true);
+    expect(rec.impressionName).toBe('Latent impression');
+    expect(rec.source).toBe('LATENTUNIT');
+    expect(rec.captureDate).toStrictEqual({ year: 2023, month: 7, day: 4 });
+    expect(rec.width).toBe(4);
+    expect(rec.height).toBe(3);
+    expect(rec.ppi).toBe(1000);
+    expect(rec.compressionName).toBe('Uncompressed');
+    expect(rec.fingerPositions).toStrictEqual([2, 3]);
+    expect(rec.comment).toBe('FROM DOOR HANDLE');
+    expect(Buffer.compare(Buffer.from(rec.imageData), pixels)).toBe(0);
+  });
+
+  it('parses SPD, PPC and latent quality', () => {
+    expect(rec.searchPositions).toStrictEqual([{ position: 2, code: 'FV1' }, { position: 3, code: 'FV2' }]);
+    expect(rec.printPositionCoordinates).toStrictEqual([
+      { view: 'FV1', segment: 'TIP', left: 1, right: 2, top: 3, bottom: 4 },
+    ]);
+    expect(rec.latentQuality).toStrictEqual([{ position: 2, score: 40, vendor: '001F', product: '9' }]);
+  });
+
+  it('describes every latent impression code', () => {
+    for (const imp of [4, 5, 6, 7]) {
+      const latent = parseEft(buildEft([{
+        type: 13, idc: 1, buf: buildTaggedRecord(13, [['13.002', '01'], ['13.003', String(imp)]], pixels),
+      }])).type13Records[0];
+      expect(latent.impressionName).toMatch(/^Latent /);
+    }
+  });
+});
+
+describe('Type-15 palmprint record', () => {
+  const eft = parseEft(buildEft([
+    {
+      type: 15,
+      idc: 1,
+      buf: buildTaggedRecord(15, [
+        ['15.002', '01'],
+        ['15.003', '10'],
+        ['15.004', 'TESTORI'],
+        ['15.005', '20240601'],
+        ['15.006', '2'],
+        ['15.007', '2'],
+        ['15.008', '1'],
+        ['15.009', '500'],
+        ['15.010', '500'],
+        ['15.011', 'NONE'],
+        ['15.012', '8'],
+        ['15.013', '22'],
+        ['15.018', us('21', 'UP')],
+        ['15.024', us('22', '60', '001F', '3')],
+      ], Buffer.alloc(4, 0x40)),
+    },
+  ]));
+  const rec = eft.type15Records[0];
+
+  it('parses palm position and image attributes', () => {
+    expect(eft.type15Records.length).toBe(1);
+    expect(rec.recordType).toBe(15);
+    expect(rec.palm).toBe(true);
+    expect(rec.fingerPosition).toBe(22);
+    expect(rec.fingerName).toBe("Right Writer's Palm");
+    expect(rec.width).toBe(2);
+    expect(rec.ppi).toBe(500);
+    expect(rec.compressionName).toBe('Uncompressed');
+    expect(rec.captureDate).toStrictEqual({ year: 2024, month: 6, day: 1 });
+  });
+
+  it('parses amputations and palm quality', () => {
+    expect(rec.amputations).toStrictEqual([{ position: 21, code: 'UP', codeName: 'Unable to print' }]);
+    expect(rec.palmQuality).toStrictEqual([{ position: 22, score: 60, vendor: '001F', product: '3' }]);
+  });
+
+  it('can be selected by palm name', () => {
+    expect(filterRecords(eft.type15Records, 'right_writers_palm')).toStrictEqual([rec]);
+  });
+});
+
+describe('Type-17 iris record', () => {
+  const JP2 = Buffer.from([0x00, 0x00, 0x00, 0x0c, 0x6a, 0x50, 0x20, 0x20, FS]);
+  const eft = parseEft(buildEft([
+    {
+      type: 17,
+      idc: 1,
+      buf: buildTaggedRecord(17, [
+        ['17.002', '01'],
+        ['17.003', '2'],
+        ['17.004', 'TESTORI'],
+        ['17.005', '20240910'],
+        ['17.006', '640'],
+        ['17.007', '480'],
+        ['17.008', '2'],
+        ['17.009', '100'],
+        ['17.010', '100'],
+        ['17.011', 'JP2'],
+        ['17.012', '8'],
+        ['17.013', 'GRAY'],
+        ['17.017', 'M1234'],
+        ['17.019', us('IRISCO', 'CAM2', 'SN9')],
+        ['17.020', 'BLU'],
+        ['17.024', us('85', '00FF', '1')],
+        ['17.026', '220'],
+        ['17.033', us('C', '2', '320', '240', '360', '240')],
+        ['17.034', us('E', '2', '300', '220', '420', '260')],
+      ], JP2),
+    },
+  ]));
+  const rec = eft.type17Records[0];
+
+  it('parses eye label, resolution and compression', () => {
+    expect(eft.type17Records.length).toBe(1);
+    expect(rec.recordType).toBe(17);
+    expect(rec.eyeLabel).toBe(2);
+    expect(rec.eyeName).toBe('Left Eye');
+    expect(rec.captureDate).toStrictEqual({ year: 2024, month: 9, day: 10 });
+    expect(rec.width).toBe(640);
+    expect(rec.ppi).toBe(254);
+    expect(rec.compressionName).toBe('JPEG 2000');
+    expect(rec.colorSpaceName).toBe('Grayscale');
+    expect(rec.eyeColor).toBe('BLU');
+    expect(rec.irisDiameter).toBe(220);
+    expect(Buffer.compare(Buffer.from(rec.imageData), JP2)).toBe(0);
+  });
+
+  it('parses capture device and quality', () => {
+    expect(rec.device).toStrictEqual({ uniqueId: 'M1234', make: 'IRISCO', model: 'CAM2', serial: 'SN9' });
+    expect(rec.quality).toStrictEqual([{ score: 85, vendor: '00FF', product: '1' }]);
+  });
+
+  it('parses iris boundaries', () => {
+    expect(rec.boundaries.pupil).toStrictEqual({
+      shape: 'C', shapeName: 'Circle', points: [{ x: 320, y: 240 }, { x: 360, y: 240 }],
+    });
+    expect(rec.boundaries.sclera.shapeName).toBe('Ellipse');
+    expect(rec.boundaries.upperEyelid).toBeNull();
+  });
+});
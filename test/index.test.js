@@ -11,8 +11,30 @@ describe('public API contract', () => {
 
     // Parser
     expect(api.parseEft).toBeTypeOf('function');
+    expect(api.parseAllEft).toBeTypeOf('function');
+    expect(api.parseEftStream).toBeTypeOf('function');
+    expect(api.unwrapEft).toBeTypeOf('function');
+    expect(api.parseWrappedEft).toBeTypeOf('function');
     expect(api.formatDate).toBeTypeOf('function');
     expect(api.titleCase).toBeTypeOf('function');
+    expect(api.writeEft).toBeTypeOf('function');
+    expect(api.findRecord).toBeTypeOf('function');
+    expect(api.insertRecord).toBeTypeOf('function');
+    expect(api.removeRecord).toBeTypeOf('function');
+    expect(api.replaceRecord).toBeTypeOf('function');
+    expect(api.moveRecord).toBeTypeOf('function');
+    expect(api.reassignIdc).toBeTypeOf('function');
+    expect(api.anonymizeEft).toBeTypeOf('function');
+    expect(api.verifyEft).toBeTypeOf('function');
+    expect(api.validateEft).toBeTypeOf('function');
+    expect(api.describeType2).toBeTypeOf('function');
+    expect(api.parseField).toBeTypeOf('function');
+    expect(api.getField).toBeTypeOf('function');
+    expect(api.getFields).toBeTypeOf('function');
+    expect(api.setField).toBeTypeOf('function');
+    expect(api.deleteField).toBeTypeOf('function');
+    expect(api.decodeText).toBeTypeOf('function');
+    expect(api.encodeText).toBeTypeOf('function');
 
     // WSQ
     expect(api.decodeWsq).toBeTypeOf('function');
@@ -21,22 +43,57 @@ describe('public API contract', () => {
     expect(api.toTiff).toBeTypeOf('function');
     expect(api.toPng).toBeTypeOf('function');
     expect(api.exportFilename).toBeTypeOf('function');
+    expect(api.exportImageRecord).toBeTypeOf('function');
+    expect(api.photoFilename).toBeTypeOf('function');
+    expect(api.latentFilename).toBeTypeOf('function');
+    expect(api.irisFilename).toBeTypeOf('function');
+    expect(api.userDefinedFilename).toBeTypeOf('function');
+    expect(api.detectImageFormat).toBeTypeOf('function');
+    expect(api.decodeImage).toBeTypeOf('function');
 
     // Helpers
     expect(api.resolveFingerPosition).toBeTypeOf('function');
     expect(api.filterRecords).toBeTypeOf('function');
     expect(api.formatHeight).toBeTypeOf('function');
+    expect(api.positionName).toBeTypeOf('function');
 
     // Constants — lookup objects
     expect(api.FINGER_NAMES).toBeTypeOf('object');
     expect(api.FINGER_ALIASES).toBeTypeOf('object');
+    expect(api.FINGER_GROUPS).toBeTypeOf('object');
     expect(api.FINGER_SLUGS).toBeTypeOf('object');
+    expect(api.PALM_NAMES).toBeTypeOf('object');
+    expect(api.PALM_ALIASES).toBeTypeOf('object');
+    expect(api.PALM_SLUGS).toBeTypeOf('object');
     expect(api.SEX_CODES).toBeTypeOf('object');
     expect(api.RACE_CODES).toBeTypeOf('object');
     expect(api.EYE_COLORS).toBeTypeOf('object');
     expect(api.HAIR_COLORS).toBeTypeOf('object');
+    expect(api.STATE_CODES).toBeTypeOf('object');
+    expect(api.YES_NO_CODES).toBeTypeOf('object');
+    expect(api.TYPE2_FIELDS).toBeTypeOf('object');
     expect(api.COMPRESSION_TYPES).toBeTypeOf('object');
+    expect(api.BILEVEL_COMPRESSION_TYPES).toBeTypeOf('object');
     expect(api.IMPRESSION_TYPES).toBeTypeOf('object');
+    expect(api.MINUTIA_TYPES).toBeTypeOf('object');
+    expect(api.INCITS_MINUTIA_TYPES).toBeTypeOf('object');
+    expect(api.COMPRESSION_CODES).toBeTypeOf('object');
+    expect(api.COLOR_SPACES).toBeTypeOf('object');
+    expect(api.PHOTO_TYPES).toBeTypeOf('object');
+    expect(api.POSE_CODES).toBeTypeOf('object');
+    expect(api.SMT_TYPES).toBeTypeOf('object');
+    expect(api.AMPUTATION_CODES).toBeTypeOf('object');
+    expect(api.EYE_LABELS).toBeTypeOf('object');
+    expect(api.IRIS_BOUNDARY_SHAPES).toBeTypeOf('object');
+    expect(api.CBEFF_BIOMETRIC_TYPES).toBeTypeOf('object');
+    expect(api.CBEFF_FORMATS).toBeTypeOf('object');
+    expect(api.FIELD_MNEMONICS).toBeTypeOf('object');
+    expect(api.STANDARD_VERSIONS).toBeTypeOf('object');
+    expect(api.TRANSACTION_TYPES).toBeTypeOf('object');
+    expect(api.CHARACTER_SETS).toBeTypeOf('object');
+    expect(api.ANONYMIZED_FIELDS).toBeTypeOf('object');
+    expect(api.EBTS_PROFILES).toBeTypeOf('object');
+    expect(api.FBI_EBTS_11).toBeTypeOf('object');
 
     // Constants — delimiters
     expect(api.FS).toBeTypeOf('number');
@@ -45,6 +102,6 @@ describe('public API contract', () => {
     expect(api.US).toBeTypeOf('number');
 
     // Verify total export count (no accidental additions)
-    expect(Object.keys(api)).toHaveLength(27);
+    expect(Object.keys(api)).toHaveLength(84);
   });
 });
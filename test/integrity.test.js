@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { parseEft } from '../src/eft-parser.js';
+import { verifyEft } from '../src/integrity.js';
+import { buildEft, buildTaggedRecord, buildType4, rs, us } from './builders.js';
+
+const sha256 = (buf) => createHash('sha256').update(buf).digest('hex');
+
+function buildAssuredEft(hashField) {
+  const type4 = buildType4(1);
+  const type10 = buildTaggedRecord(10, [['10.002', '02'], ['10.003', 'FACE']], Buffer.from([0xff, 0xd8]));
+  const ia = buildTaggedRecord(98, [
+    ['98.002', '03'],
+    ['98.003', '1B'],
+    ['98.004', '0001'],
+    ['98.005', '20240102030405Z'],
+    ['98.200', hashField({ type4, type10 })],
+    ['98.900', rs(us('ADD', 'Capture', '10.999', '20240102030405Z', 'NY0000000'), us('MOD', '', '2.018'))],
+    ['98.901', '2'],
+  ]);
+  return {
+    type4,
+    type10,
+    buf: buildEft([
+      { type: 4, idc: 1, buf: type4 },
+      { type: 10, idc: 2, buf: type10 },
+      { type: 98, idc: 3, buf: ia },
+    ]),
+  };
+}
+
+describe('Type-98 information assurance records', () => {
+  it('parses format owner, audit log and record hashes', () => {
+    const { buf, type4 } = buildAssuredEft(({ type4 }) => rs(us('4', '1', 'SHA-256', sha256(type4)), 'not a hash'));
+    const [rec] = parseEft(buf).type98Records;
+    expect(rec.recordType).toBe(98);
+    expect(rec.idc).toBe(3);
+    expect(rec.formatOwner).toBe('1B');
+    expect(rec.formatType).toBe('0001');
+    expect(rec.createdAt).toBe('20240102030405Z');
+    expect(rec.revision).toBe(2);
+    expect(rec.auditLog).toHaveLength(2);
+    expect(rec.auditLog[0]).toEqual({
+      event: 'ADD', reason: 'Capture', field: '10.999', date: '20240102030405Z', agency: 'NY0000000', oldValue: null,
+    });
+    expect(rec.hashes).toEqual([{ field: 200, recordType: 4, idc: 1, algorithm: 'SHA-256', digest: sha256(type4) }]);
+  });
+
+  it('records the byte range of every record in layout', () => {
+    const { buf, type4 } = buildAssuredEft(() => '');
+    const { layout } = parseEft(buf);
+    expect(layout.map(r => r.type)).toEqual([1, 2, 4, 10, 98]);
+    const entry = layout.find(r => r.type === 4);
+    expect(buf.subarray(entry.offset, entry.offset + entry.length)).toEqual(type4);
+  });
+});
+
+describe('verifyEft', () => {
+  it('reports matching and unreferenced records', () => {
+    const { buf } = buildAssuredEft(({ type4, type10 }) => rs(
+      us('4', '1', 'SHA-256', sha256(type4)),
+      us('10', '2', 'sha1', createHash('sha1').update(type10).digest('hex')),
+    ));
+    const { valid, results } = verifyEft(buf);
+    expect(valid).toBe(true);
+    expect(results.filter(r => r.status === 'match').map(r => r.recordType)).toEqual([4, 10]);
+    expect(results.filter(r => r.status === 'unreferenced').map(r => r.recordType)).toEqual([1, 2]);
+  });
+
+  it('reports mismatched, missing and unsupported hashes', () => {
+    const { buf } = buildAssuredEft(({ type4 }) => rs(
+      us('4', '1', 'SHA-256', sha256(Buffer.concat([type4, Buffer.from([0])]))),
+      us('14', '9', 'SHA-256', 'ab'),
+      us('10', '2', 'CRC99', 'ab'),
+    ));
+    const { valid, results } = verifyEft(buf);
+    expect(valid).toBe(false);
+    expect(results.slice(0, 3).map(r => r.status)).toEqual(['mismatch', 'missing', 'unsupported']);
+    expect(results[0].actual).not.toBe(results[0].expected);
+    expect(results[0].assuranceIdc).toBe(3);
+  });
+
+  it('treats a file without Type-98 records as valid and fully unreferenced', () => {
+    const { valid, results } = verifyEft(buildEft([{ type: 4, idc: 1, buf: buildType4(1) }]));
+    expect(valid).toBe(true);
+    expect(results.every(r => r.status === 'unreferenced')).toBe(true);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import { parseEft } from '../src/eft-parser.js';
+import { EftParseError } from '../src/errors.js';
+import { buildEft, buildTaggedRecord, buildType4, rs, us } from './builders.js';
+
+function type9(idc, fields) {
+  return { type: 9, idc, buf: buildTaggedRecord(9, [['9.002', String(idc).padStart(2, '0')], ...fields]) };
+}
+
+describe('Type-9 standard minutiae block', () => {
+  const buf = buildEft([
+    { type: 4, idc: 1, buf: buildType4(1, { fgp: [2] }) },
+    type9(1, [
+      ['9.003', '1'],
+      ['9.004', 'S'],
+      ['9.005', us('ACME', 'A', 'LS100')],
+      ['9.006', '02'],
+      ['9.007', us('T', 'WU')],
+      ['9.008', '01230456'],
+      ['9.009', rs('02000300', '04000500')],
+      ['9.010', '2'],
+      ['9.011', '1'],
+      ['9.012', rs(
+        us('001', '01000200090', '40', 'A', '002,3'),
+        us('002', '03000400180', '63', 'B', '001,3'),
+      )],
+    ]),
+  ]);
+  const eft = parseEft(buf);
+  const rec = eft.type9Records[0];
+
+  it('parses header fields', () => {
+    expect(eft.type9Records.length).toBe(1);
+    expect(rec.idc).toBe(1);
+    expect(rec.format).toBe('standard');
+    expect(rec.impressionName).toBe('Live-scan rolled');
+    expect(rec.fingerPosition).toBe(2);
+    expect(rec.fingerName).toBe('Right Index');
+    expect(rec.standard.originatingSystem).toStrictEqual({ name: 'ACME', method: 'A', equipment: 'LS100' });
+    expect(rec.standard.patternClassification).toStrictEqual([{ source: 'T', code: 'WU' }]);
+    expect(rec.standard.minutiaeCount).toBe(2);
+    expect(rec.standard.ridgeCountsPresent).toBe(true);
+  });
+
+  it('decodes minutiae with location, angle, type, quality and ridge counts', () => {
+    expect(rec.minutiae).toStrictEqual([
+      { index: 1, x: 100, y: 200, theta: 90, type: 'A', typeName: 'Ridge ending', quality: 40, ridgeCounts: [{ neighbor: 2, count: 3 }] },
+      { index: 2, x: 300, y: 400, theta: 180, type: 'B', typeName: 'Ridge bifurcation', quality: 63, ridgeCounts: [{ neighbor: 1, count: 3 }] },
+    ]);
+  });
+
+  it('decodes core and delta positions', () => {
+    expect(rec.cores).toStrictEqual([{ x: 123, y: 456 }]);
+    expect(rec.deltas).toStrictEqual([{ x: 200, y: 300 }, { x: 400, y: 500 }]);
+  });
+
+  it('links to the Type-4 record with the same IDC', () => {
+    expect(rec.linkedRecord).toBe(eft.type4Records[0]);
+  });
+
+  it('has no extended blocks', () => {
+    expect(rec.fbi).toBeNull();
+    expect(rec.incits).toBeNull();
+  });
+});
+
+describe('Type-9 FBI/IAFIS extended block', () => {
+  const eft = parseEft(buildEft([
+    type9(3, [
+      ['9.003', '0'],
+      ['9.004', 'U'],
+      ['9.014', '07'],
+      ['9.015', '1'],
+      ['9.016', us('AFIS', '2.1')],
+      ['9.017', us('WU', '12')],
+      ['9.021', us('05000600', '045', '0010')],
+      ['9.022', us('07000800', '010', '120', '240')],
+      ['9.023', us('001', '01500250270', '55', 'B', '00204', '00301')],
+    ]),
+  ]));
+  const rec = eft.type9Records[0];
+
+  it('uses FGN for the finger position', () => {
+    expect(rec.format).toBe('user-defined');
+    expect(rec.fingerPosition).toBe(7);
+    expect(rec.fingerName).toBe('Left Index');
+    expect(rec.fbi.characterizationProcess).toStrictEqual({ name: 'AFIS', version: '2.1' });
+    expect(rec.fbi.patternClassification).toStrictEqual(['WU']);
+  });
+
+  it('decodes MAT minutiae with packed ridge counts', () => {
+    expect(rec.minutiae).toStrictEqual([{
+      index: 1, x: 150, y: 250, theta: 270, type: 'B', typeName: 'Ridge bifurcation', quality: 55,
+      ridgeCounts: [{ neighbor: 2, count: 4 }, { neighbor: 3, count: 1 }],
+    }]);
+  });
+
+  it('decodes core and delta attributes', () => {
+    expect(rec.cores).toStrictEqual([{ x: 500, y: 600, direction: 45, radius: 10 }]);
+    expect(rec.deltas).toStrictEqual([{ x: 700, y: 800, directions: [10, 120, 240] }]);
+  });
+
+  it('has no linked record when no image shares the IDC', () => {
+    expect(rec.linkedRecord).toBeNull();
+  });
+});
+
+describe('Type-9 INCITS 378 block', () => {
+  const eft = parseEft(buildEft([
+    type9(1, [
+      ['9.003', '0'],
+      ['9.004', 'U'],
+      ['9.126', us('27', '513', '0')],
+      ['9.128', '500'],
+      ['9.129', '600'],
+      ['9.130', '1'],
+      ['9.131', '197'],
+      ['9.132', '197'],
+      ['9.134', '01'],
+      ['9.135', us('80', '0', '0')],
+      ['9.136', '2'],
+      ['9.137', rs(us('1', '100', '120', '45', '1', '90'), us('2', '200', '220', '0', '2', '70'))],
+      ['9.138', us('1', '2', '5')],
+      ['9.139', us('150', '160', '30')],
+      ['9.140', us('250', '260', '10', '20', '30')],
+    ]),
+  ]));
+  const rec = eft.type9Records[0];
+
+  it('decodes minutiae converting 2-degree angle units', () => {
+    expect(rec.fingerPosition).toBe(1);
+    expect(rec.minutiae[0]).toStrictEqual({
+      index: 1, x: 100, y: 120, theta: 90, type: 1, typeName: 'Ridge ending', quality: 90, ridgeCounts: [],
+    });
+    expect(rec.minutiae[1].typeName).toBe('Ridge bifurcation');
+  });
+
+  it('decodes header, ridge counts, cores and deltas', () => {
+    expect(rec.incits.cbeff).toStrictEqual({ formatOwner: '27', formatType: '513', productId: '0' });
+    expect(rec.incits.width).toBe(500);
+    expect(rec.incits.horizontalResolution).toBe(197);
+    expect(rec.incits.quality).toStrictEqual([{ quality: 80, vendor: '0', algorithm: '0' }]);
+    expect(rec.incits.ridgeCounts).toStrictEqual([{ from: 1, to: 2, count: 5 }]);
+    expect(rec.cores).toStrictEqual([{ x: 150, y: 160, direction: 60 }]);
+    expect(rec.deltas).toStrictEqual([{ x: 250, y: 260, directions: [20, 40, 60] }]);
+  });
+
+  it('keeps unknown type codes and missing angles as they are', () => {
+    const sparse = parseEft(buildEft([
+      type9(1, [
+        ['9.004', 'U'],
+        ['9.137', rs(us('1', '100', '120', '', '7', '90'), us('2', '200', '220'))],
+        ['9.139', us('150', '160', 'x')],
+        ['9.140', us('250', '260', '10', '')],
+      ]),
+    ])).type9Records[0];
+    expect(sparse.minutiae.map(m => [m.theta, m.typeName])).toStrictEqual([[null, 'Unknown (7)'], [null, 'Unknown ()']]);
+    expect(sparse.cores).toStrictEqual([{ x: 150, y: 160, direction: null }]);
+    expect(sparse.deltas).toStrictEqual([{ x: 250, y: 260, directions: [20, null] }]);
+  });
+});
+
+describe('Type-9 errors', () => {
+  it('throws on IDC mismatch', () => {
+    const bad = { type: 9, idc: 1, buf: buildTaggedRecord(9, [['9.002', '05'], ['9.004', 'S']]) };
+    expect(() => parseEft(buildEft([bad]))).toThrow(EftParseError);
+    expect(() => parseEft(buildEft([bad]))).toThrow(/Type-9 IDC mismatch/);
+  });
+
+  it('continues parsing records after a Type-9', () => {
+    const eft = parseEft(buildEft([
+      type9(1, [['9.004', 'S'], ['9.006', '03']]),
+      { type: 4, idc: 1, buf: buildType4(1, { fgp: [3] }) },
+    ]));
+    expect(eft.type4Records[0].fingerPosition).toBe(3);
+    expect(eft.type9Records[0].linkedRecord).toBe(eft.type4Records[0]);
+  });
+});
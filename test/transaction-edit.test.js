@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { parseEft } from '../src/eft-parser.js';
+import { writeEft } from '../src/eft-writer.js';
+import { setField } from '../src/fields.js';
+import {
+  findRecord, insertRecord, removeRecord, replaceRecord, moveRecord, reassignIdc,
+} from '../src/transaction-edit.js';
+import { ValidationError } from '../src/errors.js';
+import { buildEft, buildTaggedRecord, buildType4, rs, us } from './builders.js';
+
+function buildFingerprints() {
+  return parseEft(buildEft([
+    { type: 4, idc: 1, buf: buildType4(1, { fgp: [1] }) },
+    { type: 4, idc: 2, buf: buildType4(2, { fgp: [2] }) },
+    { type: 10, idc: 3, buf: buildTaggedRecord(10, [['10.002', '03'], ['10.003', 'FACE']], Buffer.from([0xff, 0xd8])) },
+  ], { type1Fields: [['1.004', 'CRM']] }));
+}
+
+describe('transaction editing', () => {
+  it('finds records by type and IDC', () => {
+    const eft = buildFingerprints();
+    expect(findRecord(eft, 4, 2).fingerPosition).toBe(2);
+    expect(findRecord(eft, 4, 9)).toBeNull();
+  });
+
+  it('removes a record and keeps CNT and typed lists consistent', () => {
+    const eft = buildFingerprints();
+    removeRecord(eft, findRecord(eft, 4, 1));
+    expect(eft.type4Records.map(r => r.idc)).toEqual([2]);
+
+    const reparsed = parseEft(writeEft(eft));
+    expect(reparsed.type1['1.003']).toBe(rs(us('1', '3'), us('2', '00'), us('4', '02'), us('10', '03')));
+    expect(reparsed.type4Records.map(r => r.fingerPosition)).toEqual([2]);
+  });
+
+  it('writes a transaction whose Type-2 record was removed', () => {
+    const eft = buildFingerprints();
+    removeRecord(eft, eft.type2);
+    expect(eft.type2Records).toEqual([]);
+    expect(eft.type2).toMatchObject({ recordType: 2, idc: null, raw: {}, name: null });
+
+    const reparsed = parseEft(writeEft(eft));
+    expect(eft.type2).toEqual(reparsed.type2);
+    expect(reparsed.type1['1.003']).toBe(rs(us('1', '3'), us('4', '01'), us('4', '02'), us('10', '03')));
+    expect(reparsed.type2Records).toEqual([]);
+    expect(reparsed.type4Records).toHaveLength(2);
+  });
+
+  it('replaces a finger image in place', () => {
+    const eft = buildFingerprints();
+    const old = findRecord(eft, 4, 2);
+    replaceRecord(eft, old, { ...old, width: 20, imageData: Buffer.alloc(12, 7) });
+
+    const reparsed = parseEft(writeEft(eft));
+    expect(reparsed.records.map(r => r.recordType)).toEqual([2, 4, 4, 10]);
+    expect(reparsed.type4Records[1].width).toBe(20);
+    expect(reparsed.type4Records[1].imageData).toEqual(Buffer.alloc(12, 7));
+  });
+
+  it('inserts, reorders and renumbers records', () => {
+    const eft = buildFingerprints();
+    insertRecord(eft, { recordType: 9, idc: 1, fields: { '9.001': '', '9.002': '01', '9.003': '0', '9.004': 'U' } });
+    moveRecord(eft, findRecord(eft, 10, 3), 1);
+    reassignIdc(eft, findRecord(eft, 10, 3), 5);
+
+    const reparsed = parseEft(writeEft(eft));
+    expect(reparsed.records.map(r => `${r.recordType}/${r.idc}`)).toEqual(['2/0', '10/5', '4/1', '4/2', '9/1']);
+    expect(reparsed.type10Records[0].fields['10.002']).toBe('05');
+    expect(reparsed.type9Records[0].linkedRecord.idc).toBe(1);
+  });
+
+  it('fixes the transaction type with setField', () => {
+    const eft = buildFingerprints();
+    setField(eft.type1, 'TOT', 'CAR');
+    expect(parseEft(writeEft(eft)).header.transactionType).toBe('CAR');
+  });
+
+  it('rejects records outside the transaction and invalid IDCs', () => {
+    const eft = buildFingerprints();
+    expect(() => removeRecord(eft, { recordType: 4, idc: 1 })).toThrow(ValidationError);
+    expect(() => reassignIdc(eft, eft.type4Records[0], 100)).toThrow(ValidationError);
+    expect(() => insertRecord(eft, { recordType: 1, idc: 0 })).toThrow(ValidationError);
+    expect(() => moveRecord(eft, eft.type4Records[0], 1.5)).toThrow(ValidationError);
+  });
+});
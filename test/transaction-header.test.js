@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { parseTransactionHeader } from '../src/transaction-header.js';
+import { parseEft } from '../src/eft-parser.js';
+import { eftBuf } from './fixture.js';
+import { rs, us } from './builders.js';
+
+describe('parseTransactionHeader', () => {
+  it('decodes every standard Type-1 field', () => {
+    const fields = {
+      '1.001': '200',
+      '1.002': '0500',
+      '1.003': rs(us('1', '1'), us('2', '00')),
+      '1.004': 'CAR',
+      '1.005': '20240315',
+      '1.006': '2',
+      '1.007': 'DCFBIWA0Z',
+      '1.008': 'NY0303000',
+      '1.009': 'TCN123',
+      '1.010': 'TCR456',
+      '1.011': '19.69',
+      '1.012': '39.37',
+      '1.013': us('NORAM', '11.0'),
+      '1.014': '20240315123045Z',
+      '1.015': rs(us('0', 'ASCII', ''), us('3', 'UTF-8', '')),
+      '1.017': us('FBI CJIS', 'NYPD'),
+    };
+    const h = parseTransactionHeader(fields);
+    expect(h.raw).toEqual(fields);
+    expect(h.version).toBe(500);
+    expect(h.versionName).toBe('ANSI/NIST-ITL 1-2011');
+    expect(h.transactionType).toBe('CAR');
+    expect(h.transactionTypeName).toBe('Criminal Ten-Print Submission (Answer Required)');
+    expect(h.date).toEqual({ year: 2024, month: 3, day: 15 });
+    expect(h.priority).toBe(2);
+    expect(h.destinationAgency).toBe('DCFBIWA0Z');
+    expect(h.originatingAgency).toBe('NY0303000');
+    expect(h.agencyNames).toEqual({ destination: 'FBI CJIS', originating: 'NYPD' });
+    expect(h.controlNumber).toBe('TCN123');
+    expect(h.controlReference).toBe('TCR456');
+    expect(h.nativeResolution).toEqual({ ppmm: 19.69, ppi: 500 });
+    expect(h.transmittingResolution).toEqual({ ppmm: 39.37, ppi: 1000 });
+    expect(h.domain).toEqual({ name: 'NORAM', version: '11.0' });
+    expect(h.gmt.toISOString()).toBe('2024-03-15T12:30:45.000Z');
+    expect(h.characterSets).toEqual([
+      { index: 0, name: 'ASCII', version: null },
+      { index: 3, name: 'UTF-8', version: null },
+    ]);
+  });
+
+  it('returns nulls for absent or malformed fields', () => {
+    const h = parseTransactionHeader({ '1.01': '50', '1.04': 'ZZZ', '1.11': '05450622', '1.14': '2024' });
+    expect(h.version).toBeNull();
+    expect(h.transactionTypeName).toBe('Unknown (ZZZ)');
+    expect(h.nativeResolution).toBeNull();
+    expect(h.gmt).toBeNull();
+    expect(h.domain).toBeNull();
+    expect(h.characterSets).toEqual([]);
+  });
+});
+
+describe('parseEft header', () => {
+  it('exposes the structured header alongside the raw Type-1 map', () => {
+    const eft = parseEft(eftBuf);
+    expect(eft.header.raw).toEqual(eft.type1);
+    expect(eft.header.version).toBe(502);
+    expect(eft.header.controlNumber).toBe('TESTCASE001');
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { parseEft } from '../src/eft-parser.js';
+import { describeType2 } from '../src/type2-fields.js';
+import { FIELD_MNEMONICS, TYPE2_FIELDS } from '../src/constants.js';
+import { eftBuf } from './fixture.js';
+import { buildEft, rs, us } from './builders.js';
+
+describe('describeType2', () => {
+  it('labels and decodes every populated field', () => {
+    const eft = parseEft(buildEft([], {
+      type2Fields: [
+        ['2.002', '00'], ['2.005', 'Y'], ['2.016', rs('123456789', '987654321')], ['2.020', 'PA'], ['2.021', rs('MX', 'ZZ')],
+        ['2.027', '511'], ['2.045', '20240105'], ['2.047', rs(us('20240101', 'THEFT'), us('', 'BURGLARY'))],
+        ['2.073', ''], ['2.084', us('7', 'XX')], ['2.250', 'AGENCY'],
+      ],
+    }));
+    const [len, ...fields] = describeType2(eft.type2);
+    expect(len).toMatchObject({ tag: '2.001', name: 'Record Length' });
+    expect(fields.map(f => [f.mnemonic, f.name, f.value])).toEqual([
+      ['IDC', 'Information Designation Character', '00'],
+      ['RET', 'Retention Code', 'Yes'],
+      ['SOC', 'Social Security Number', '123456789; 987654321'],
+      ['POB', 'Place of Birth', 'Pennsylvania'],
+      ['CTZ', 'Country of Citizenship', 'MX; ZZ'],
+      ['HGT', 'Height', '5\'11"'],
+      ['DOA', 'Date of Arrest', 'January 5, 2024'],
+      ['ASL', 'Arrest Segment Literal', 'January 1, 2024 — THEFT; BURGLARY'],
+      ['AMP', 'Amputated or Bandaged', 'Left Index — Amputated'],
+      [null, null, 'AGENCY'],
+    ]);
+  });
+
+  it('describes the sample fixture with raw values kept', () => {
+    const fields = describeType2(parseEft(eftBuf).type2);
+    expect(fields.find(f => f.mnemonic === 'WGT')).toMatchObject({ tag: '2.029', raw: '185', value: '185 lbs' });
+    expect(fields.find(f => f.mnemonic === 'IMA').value).toBe('TESTSCAN — MODEL1 — SN001');
+  });
+
+  it('keeps FIELD_MNEMONICS in step with the dictionary', () => {
+    expect(Object.keys(FIELD_MNEMONICS[2])).toEqual(Object.keys(TYPE2_FIELDS));
+    expect(FIELD_MNEMONICS[2][47]).toBe('ASL');
+  });
+
+  it('marks place of birth, whose country codes are not listed, as partial', () => {
+    const partial = Object.values(TYPE2_FIELDS).filter(spec => spec.partial).map(spec => spec.mnemonic);
+    expect(partial).toEqual(['POB']);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import { parseEft } from '../src/eft-parser.js';
+import { validateEft } from '../src/validator.js';
+import { setField } from '../src/fields.js';
+import { FBI_EBTS_11 } from '../src/profiles.js';
+import { ValidationError } from '../src/errors.js';
+import { buildEft, buildTaggedRecord, buildType4, rs } from './builders.js';
+
+const TYPE1 = [
+  ['1.004', 'CAR'], ['1.005', '20240102'], ['1.007', 'WVIAFIS0Z'], ['1.008', 'NY0303000'],
+  ['1.009', 'TCN0001'], ['1.011', '19.69'], ['1.012', '19.69'],
+];
+
+function build(records = [{ type: 4, idc: 1, buf: buildType4(1) }], { type1Fields = TYPE1, type2Fields = [['2.002', '00']] } = {}) {
+  return buildEft(records, { type1Fields, type2Fields });
+}
+
+// Conformance rules only; profile rules are tested separately
+const validate = (source) => validateEft(source, { profile: null });
+const rules = (report) => report.issues.map(i => i.rule);
+
+describe('validateEft', () => {
+  it('accepts a conformant transaction', () => {
+    const report = validate(build());
+    expect(report).toEqual({ valid: true, errors: 0, warnings: 0, issues: [] });
+  });
+
+  it('reports missing mandatory fields', () => {
+    const report = validate(build(undefined, { type1Fields: TYPE1.filter(([tag]) => tag !== '1.009') }));
+    expect(report.valid).toBe(false);
+    expect(report.issues).toEqual([expect.objectContaining({ rule: 'mandatory-field', recordType: 1, message: expect.stringContaining('1.009') })]);
+  });
+
+  it('checks field formats, dates and Type-2 code values', () => {
+    const report = validate(build(undefined, {
+      type1Fields: TYPE1.map(([tag, value]) => [tag, tag === '1.005' ? '20240231' : tag === '1.011' ? '500' : value]),
+      type2Fields: [['2.002', '00'], ['2.022', '29990101'], ['2.024', 'X'], ['2.025', 'W'], ['2.031', 'PUR'], ['2.032', 'BRO']],
+    }));
+    expect(report.issues.map(i => [i.rule, i.tag])).toEqual([
+      ['date', '1.005'],
+      ['field-format', '1.011'],
+      ['code-value', '2.024'],
+      ['code-value', '2.031'],
+      ['date', '2.022'],
+    ]);
+  });
+
+  it('checks each date of birth of the repeating DOB field', () => {
+    expect(validate(build(undefined, { type2Fields: [['2.002', '00'], ['2.022', rs('19800101', '19810202')]] })).issues).toEqual([]);
+
+    const report = validate(build(undefined, { type2Fields: [['2.002', '00'], ['2.022', rs('19800101', '1981', '29990101')]] }));
+    expect(report.issues.map(i => [i.rule, i.message])).toEqual([
+      ['field-format', '2.022 value "1981" must be a date (YYYYMMDD)'],
+      ['date', '2.022 date of birth 29990101 is in the future'],
+    ]);
+  });
+
+  it('accepts hexadecimal CBEFF biometric types', () => {
+    const cbeff = (bty) => buildTaggedRecord(99, [
+      ['99.002', '01'], ['99.004', 'SRC'], ['99.005', '20240102'], ['99.100', '0101'], ['99.101', bty], ['99.103', '0101'], ['99.104', '0001'],
+    ], Buffer.alloc(8));
+    expect(validate(build([{ type: 99, idc: 1, buf: cbeff('0000000A') }])).issues).toEqual([]);
+    expect(rules(validate(build([{ type: 99, idc: 1, buf: cbeff('00G8') }])))).toEqual(['field-format']);
+  });
+
+  it('reports duplicate IDCs and CNT that does not match the records', () => {
+    const eft = parseEft(build([
+      { type: 4, idc: 1, buf: buildType4(1) },
+      { type: 4, idc: 1, buf: buildType4(1, { fgp: [2] }) },
+    ]));
+    expect(rules(validate(eft))).toEqual(['idc-unique']);
+
+    eft.records.pop();
+    expect(rules(validate(eft))).toEqual(['cnt']);
+  });
+
+  it('checks friction-ridge resolution and physical size', () => {
+    const report = validate(build([
+      { type: 4, idc: 1, buf: buildType4(1, { isr: 0, hll: 1000, vll: 750 }) },
+      { type: 4, idc: 2, buf: buildType4(2, { isr: 1, fgp: [2] }) },
+      { type: 4, idc: 3, buf: buildType4(3, { fgp: [77] }) },
+      { type: 4, idc: 4, buf: buildType4(4, { isr: 250, fgp: [4] }) },
+    ], { type1Fields: TYPE1.map(([tag, value]) => [tag, tag === '1.011' ? '09.84' : value]) }));
+    expect(report.issues.map(i => [i.rule, i.idc])).toEqual([
+      ['unknown-resolution', 4],
+      ['image-size', 1],
+      ['resolution', 2],
+      ['code-value', 3],
+    ]);
+    expect(report.issues[1].message).toContain('2.00 x 1.50 in at 500 PPI');
+  });
+
+  it('limits rolled fingers to 1.6 x 1.5 in and plain ones to 1.6 x 2.0 in', () => {
+    const report = validate(build([
+      { type: 4, idc: 1, buf: buildType4(1, { imp: 1, hll: 800, vll: 900 }) },
+      { type: 4, idc: 2, buf: buildType4(2, { imp: 0, hll: 800, vll: 900, fgp: [2] }) },
+    ]));
+    expect(report.issues.map(i => [i.rule, i.idc])).toEqual([['image-size', 1]]);
+    expect(report.issues[0].message).toContain('larger than 1.6 x 1.5 in');
+  });
+
+  it('reports parse problems and unknown compression codes', () => {
+    const mismatch = validate(build([{ type: 4, idc: 1, buf: buildType4(2) }]));
+    expect(rules(mismatch)).toEqual(['idc-mismatch', 'cnt']);
+
+    const vendor = validate(build([{ type: 4, idc: 1, buf: buildType4(1, { cga: 42 }) }]));
+    expect(vendor).toMatchObject({ valid: true, errors: 0, warnings: 1 });
+  });
+
+  it('checks mandatory fields of tagged image records', () => {
+    const photo = buildTaggedRecord(10, [['10.002', '01'], ['10.003', 'FACE'], ['10.006', '480']]);
+    const report = validate(build([{ type: 10, idc: 1, buf: photo }]));
+    expect(report.issues.filter(i => i.rule === 'mandatory-field').map(i => i.message)).toEqual([
+      'Type-10 field 10.004 is mandatory',
+      'Type-10 field 10.005 is mandatory',
+      'Type-10 field 10.007 is mandatory',
+      'Type-10 field 10.008 is mandatory',
+      'Type-10 field 10.009 is mandatory',
+      'Type-10 field 10.010 is mandatory',
+      'Type-10 field 10.011 is mandatory',
+    ]);
+  });
+});
+
+const TENPRINT_TYPE2 = [
+  ['2.002', '00'], ['2.018', 'DOE,JOHN'], ['2.020', 'NY'], ['2.022', '19800101'], ['2.024', 'M'], ['2.025', 'W'],
+  ['2.027', '510'], ['2.029', '180'], ['2.031', 'BRO'], ['2.032', 'BLK'], ['2.038', '20240102'],
+  ['2.045', '20240101'], ['2.047', 'THEFT'], ['2.005', 'Y'],
+];
+const tenprint = (count = 10) => Array.from({ length: count }, (_, i) => ({ type: 4, idc: i + 1, buf: buildType4(i + 1, { fgp: [i + 1] }) }));
+
+describe('validateEft profiles', () => {
+  it('accepts a complete CAR tenprint under the default FBI EBTS 11 profile', () => {
+    const report = validateEft(build(tenprint(), { type2Fields: TENPRINT_TYPE2 }));
+    expect(report).toEqual({ valid: true, errors: 0, warnings: 0, issues: [] });
+  });
+
+  it('reports missing records, Type-2 fields and rolled fingers for the TOT', () => {
+    const report = validateEft(build(tenprint(9), { type2Fields: TENPRINT_TYPE2.filter(([tag]) => tag !== '2.047' && tag !== '2.005') }));
+    expect(report.issues.map(i => [i.rule, i.message])).toEqual([
+      ['profile-record', 'CAR requires at least 10 Type-4 or Type-14 record(s), found 9'],
+      ['profile-field', 'CAR requires Type-2 field ASL'],
+      ['profile-field', 'CAR requires Type-2 field RET'],
+      ['profile-position', 'CAR requires finger positions 10'],
+    ]);
+  });
+
+  it('checks version, finger positions and compression', () => {
+    const records = tenprint();
+    records[0] = { type: 4, idc: 1, buf: buildType4(1, { fgp: [1], cga: 0 }) };
+    records.push({ type: 4, idc: 11, buf: buildType4(11, { fgp: [16] }) });
+    const eft = parseEft(build(records, { type2Fields: TENPRINT_TYPE2 }));
+    setField(eft.type1, 'VER', '0300');
+    const report = validateEft(eft, { profile: 'fbi-ebts-11' });
+    expect(rules(report)).toEqual(['profile-version', 'profile-compression', 'profile-position']);
+  });
+
+  it('accepts the WSQ compression code only in version 0400', () => {
+    const type14 = buildTaggedRecord(14, [
+      ['14.002', '01'], ['14.003', '1'], ['14.004', 'SRC'], ['14.005', '20240102'], ['14.006', '10'], ['14.007', '10'],
+      ['14.008', '1'], ['14.009', '500'], ['14.010', '500'], ['14.011', 'WSQ'], ['14.012', '8'], ['14.013', '1'],
+    ], Buffer.alloc(4));
+    const eft = parseEft(build([{ type: 14, idc: 1, buf: type14 }], { type1Fields: TYPE1.map(([tag, value]) => [tag, tag === '1.004' ? 'TPIS' : value]) }));
+    setField(eft.type1, 'VER', '0400');
+    expect(rules(validateEft(eft))).toEqual([]);
+    setField(eft.type1, 'VER', '0502');
+    expect(rules(validateEft(eft))).toEqual(['profile-compression']);
+  });
+
+  it('warns about transaction types the profile does not define', () => {
+    const report = validateEft(build(undefined, { type1Fields: TYPE1.map(([tag, value]) => [tag, tag === '1.004' ? 'XYZ' : value]) }));
+    expect(report).toMatchObject({ valid: true, warnings: 1, issues: [{ rule: 'profile-tot', tag: '1.004' }] });
+  });
+
+  it('accepts a custom profile and rejects unknown profile ids', () => {
+    const agency = { ...FBI_EBTS_11, name: 'State AFIS', transactions: { CAR: { records: [{ types: [4], max: 1 }], type2: ['NAM'] } } };
+    expect(validateEft(build(), { profile: agency }).issues.map(i => i.message)).toEqual(['CAR requires Type-2 field NAM']);
+    expect(() => validateEft(build(), { profile: 'ebts-99' })).toThrow(ValidationError);
+  });
+});